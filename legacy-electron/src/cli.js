@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const {
+  getRuntimeConfig,
+  getSettingsLoadError,
+  getUnreadableSecretServiceIds,
+  normalizeServiceProtocol
+} = require('./config');
+const { translateText, streamTranslateText } = require('./translator');
+const { configureTranslationCache, flushTranslationCache } = require('./translation-cache');
+const { detectLanguage, languageLabel, resolvePairTarget } = require('./language');
+const { PROMPT_PRESETS } = require('./prompt-templates');
+
+const USAGE = `用法：jikeyi [选项] [文本...]
+
+未提供文本和 --file 时从标准输入读取。
+
+选项：
+  -s, --service <id|名称>   使用指定服务（默认使用当前生效服务）
+  -t, --target <语言>       覆盖目标语言，例如 English、简体中文
+  -p, --preset <风格>       翻译风格：${PROMPT_PRESETS.map((preset) => `${preset.id}（${preset.label}）`).join('、')}
+  -a, --all-services        使用全部启用的服务并行翻译
+      --stream              流式输出译文
+      --json                以 JSON 输出（配合 --stream 时为逐行 JSON 事件）
+  -f, --file <路径>         翻译文件内容，可重复指定
+  -l, --list-services       列出已配置服务
+  -h, --help                显示帮助
+
+配置文件：~/.jikeyi-trans/settings.json`;
+
+function buildUsageError(message) {
+  const error = new Error(message);
+  error.exitCode = 2;
+  return error;
+}
+
+function parseCliArgs(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        service: { type: 'string', short: 's' },
+        target: { type: 'string', short: 't' },
+        preset: { type: 'string', short: 'p' },
+        'all-services': { type: 'boolean', short: 'a' },
+        stream: { type: 'boolean' },
+        json: { type: 'boolean' },
+        file: { type: 'string', short: 'f', multiple: true },
+        'list-services': { type: 'boolean', short: 'l' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw buildUsageError(error.message);
+  }
+}
+
+function getCliServices(runtimeConfig) {
+  const services = Array.isArray(runtimeConfig.services) ? runtimeConfig.services : [];
+  const unreadableIds = getUnreadableSecretServiceIds();
+  const envApiKey = String(process.env.ANTHROPIC_AUTH_TOKEN || '').trim();
+  return services
+    .filter((service) => service && typeof service === 'object')
+    .map((service) => {
+      const timeoutValue = Number(service.timeoutMs);
+      return {
+        id: String(service.id || '').trim(),
+        name: String(service.name || '').trim() || '未命名服务',
+        enabled: service.enabled !== false,
+        protocol: normalizeServiceProtocol(service.protocol),
+        baseUrl: String(service.baseUrl || '').trim(),
+        apiKey:
+          String(service.apiKey || '').trim() || (unreadableIds.includes(service.id) ? envApiKey : ''),
+        keyUnreadable: unreadableIds.includes(service.id) && !service.apiKey,
+        model: String(service.model || '').trim(),
+        targetLanguage: String(service.targetLanguage || runtimeConfig.targetLanguage || '简体中文').trim(),
+        timeoutMs:
+          Number.isFinite(timeoutValue) && timeoutValue > 0
+            ? Math.floor(timeoutValue)
+            : runtimeConfig.timeoutMs || 60000,
+        retry: service.retry,
+        promptTemplate: service.promptTemplate,
+        promptTemplates: service.promptTemplates
+      };
+    })
+    .filter((service) => service.id && service.baseUrl && service.model);
+}
+
+function pickCliServices(services, runtimeConfig, values) {
+  if (values.service) {
+    const query = values.service.trim().toLowerCase();
+    const service =
+      services.find((item) => item.id.toLowerCase() === query) ||
+      services.find((item) => item.name.toLowerCase() === query);
+    if (!service) {
+      throw buildUsageError(`未找到服务：${values.service}（可用 --list-services 查看）`);
+    }
+    return [service];
+  }
+
+  const enabledServices = services.filter((service) => service.enabled);
+  if (values['all-services']) {
+    return enabledServices;
+  }
+
+  const active =
+    enabledServices.find((service) => service.id === runtimeConfig.activeServiceId) ||
+    enabledServices[0];
+  return active ? [active] : [];
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function collectInputs(values, positionals) {
+  const files = Array.isArray(values.file) ? values.file : [];
+  if (files.length > 0) {
+    return files.map((file) => ({
+      file: path.resolve(file),
+      text: fs.readFileSync(file, 'utf-8')
+    }));
+  }
+
+  if (positionals.length > 0) {
+    return [{ file: '', text: positionals.join(' ') }];
+  }
+
+  if (process.stdin.isTTY) {
+    throw buildUsageError('缺少待翻译文本，请通过参数、--file 或标准输入提供。');
+  }
+  return [{ file: '', text: await readStdin() }];
+}
+
+function writeJsonLine(payload) {
+  process.stdout.write(`${JSON.stringify(payload)}\n`);
+}
+
+function resolveCliLanguages(text, runtimeConfig, values) {
+  const language = runtimeConfig.language || {};
+  const sourceLanguage = language.autoDetect !== false ? detectLanguage(text) : '';
+  const targetLanguage =
+    String(values.target || '').trim() ||
+    (sourceLanguage ? resolvePairTarget(sourceLanguage, language.pairs) : '');
+  return {
+    sourceLanguage,
+    targetLanguage
+  };
+}
+
+async function translateInput(input, services, values, runtimeConfig) {
+  const stream = values.stream === true;
+  const json = values.json === true;
+  const single = services.length === 1;
+  const glossary = Array.isArray(runtimeConfig.glossary) ? runtimeConfig.glossary : [];
+  const { sourceLanguage, targetLanguage } = resolveCliLanguages(input.text, runtimeConfig, values);
+  const sourceLanguageLabel = languageLabel(sourceLanguage);
+
+  const reportRetry = (service, retryInfo) => {
+    const message = retryInfo.error instanceof Error ? retryInfo.error.message : String(retryInfo.error);
+    if (json && stream) {
+      writeJsonLine({
+        event: 'retry',
+        serviceId: service.id,
+        attempt: retryInfo.attempt,
+        maxAttempts: retryInfo.maxAttempts,
+        delayMs: retryInfo.delayMs,
+        error: message
+      });
+      return;
+    }
+    process.stderr.write(
+      `${service.name}：${message}，${Math.ceil(retryInfo.delayMs / 1000)} 秒后重试（${retryInfo.attempt}/${retryInfo.maxAttempts}）\n`
+    );
+  };
+
+  const runService = async (service) => {
+    const serviceConfig = targetLanguage ? { ...service, targetLanguage } : service;
+    const result = {
+      serviceId: service.id,
+      serviceName: service.name,
+      model: service.model,
+      targetLanguage: serviceConfig.targetLanguage,
+      status: 'done',
+      translation: '',
+      error: ''
+    };
+
+    try {
+      const translation = stream
+        ? await streamTranslateText(
+            input.text,
+            {
+              onDelta: (fullText, deltaText) => {
+                if (json) {
+                  writeJsonLine({ event: 'delta', serviceId: service.id, delta: deltaText });
+                } else if (single) {
+                  process.stdout.write(deltaText);
+                }
+              },
+              onRetry: (retryInfo) => reportRetry(service, retryInfo)
+            },
+            { serviceConfig, glossary, sourceLanguage: sourceLanguageLabel, promptPreset: values.preset }
+          )
+        : await translateText(input.text, {
+            serviceConfig,
+            glossary,
+            sourceLanguage: sourceLanguageLabel,
+            promptPreset: values.preset,
+            onRetry: (retryInfo) => reportRetry(service, retryInfo)
+          });
+      result.translation = String(translation || '').trim();
+    } catch (error) {
+      result.status = 'error';
+      result.error = error instanceof Error ? error.message : String(error);
+    }
+
+    if (json && stream) {
+      writeJsonLine({ event: 'service-done', ...result });
+    } else if (!json && !single) {
+      const body = result.status === 'done' ? result.translation : `失败：${result.error}`;
+      process.stdout.write(`## ${result.serviceName}（${result.model}）\n${body}\n\n`);
+    } else if (!json && single) {
+      if (result.status === 'error') {
+        if (stream) {
+          process.stdout.write('\n');
+        }
+        process.stderr.write(`翻译失败：${result.error}\n`);
+      } else {
+        process.stdout.write(stream ? '\n' : `${result.translation}\n`);
+      }
+    }
+    return result;
+  };
+
+  const results = await Promise.all(services.map((service) => runService(service)));
+  return {
+    file: input.file || undefined,
+    sourceText: input.text,
+    sourceLanguage,
+    results
+  };
+}
+
+async function main(argv) {
+  const { values, positionals } = parseCliArgs(argv);
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const runtimeConfig = getRuntimeConfig();
+  const settingsError = getSettingsLoadError();
+  if (settingsError) {
+    process.stderr.write(`警告：${settingsError}\n`);
+  }
+  const services = getCliServices(runtimeConfig);
+
+  if (values['list-services']) {
+    const rows = services.map((service) => ({
+      id: service.id,
+      name: service.name,
+      enabled: service.enabled,
+      active: service.id === runtimeConfig.activeServiceId,
+      protocol: service.protocol,
+      model: service.model,
+      targetLanguage: service.targetLanguage
+    }));
+    if (values.json) {
+      writeJsonLine(rows);
+    } else {
+      for (const row of rows) {
+        const flags = [row.active ? '当前' : '', row.enabled ? '' : '已停用'].filter(Boolean).join(',');
+        process.stdout.write(
+          `${row.id}\t${row.name}\t${row.protocol}\t${row.model}\t${row.targetLanguage}${flags ? `\t[${flags}]` : ''}\n`
+        );
+      }
+    }
+    return 0;
+  }
+
+  if (values.preset && !PROMPT_PRESETS.some((preset) => preset.id === values.preset.trim().toLowerCase())) {
+    throw buildUsageError(`未知翻译风格：${values.preset}（可选 ${PROMPT_PRESETS.map((preset) => preset.id).join(', ')}）`);
+  }
+
+  const selectedServices = pickCliServices(services, runtimeConfig, values);
+  if (selectedServices.length === 0) {
+    throw new Error('没有可用翻译服务，请先在偏好设置里配置服务。');
+  }
+  const lockedServices = selectedServices.filter((service) => service.keyUnreadable && !service.apiKey);
+  if (lockedServices.length > 0) {
+    process.stderr.write(
+      `提示：${lockedServices.map((service) => service.name).join('、')} 的 API Key 已加密保存在系统钥匙串中，命令行无法读取；可通过环境变量 ANTHROPIC_AUTH_TOKEN 提供。
+`
+    );
+  }
+
+  configureTranslationCache(runtimeConfig.cache);
+  const inputs = (await collectInputs(values, positionals)).filter((input) => input.text.trim());
+  if (inputs.length === 0) {
+    throw buildUsageError('待翻译文本为空。');
+  }
+
+  const outputs = [];
+  for (const input of inputs) {
+    if (!values.json && inputs.length > 1) {
+      process.stdout.write(`==> ${input.file} <==\n`);
+    }
+    outputs.push(await translateInput(input, selectedServices, values, runtimeConfig));
+  }
+  flushTranslationCache();
+
+  if (values.json && !values.stream) {
+    writeJsonLine(outputs.length === 1 ? outputs[0] : outputs);
+  }
+
+  const failed = outputs.some((output) => output.results.every((item) => item.status !== 'done'));
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    process.stderr.write(`${error instanceof Error ? error.message : String(error)}\n`);
+    if (error?.exitCode === 2) {
+      process.stderr.write('使用 --help 查看用法。\n');
+    }
+    process.exitCode = error?.exitCode || 1;
+  });
@@ -1,14 +1,32 @@
 const fs = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
+const { ANY_LANGUAGE, normalizeLanguageCode } = require('./language');
+const { normalizeGlossary } = require('./glossary');
+const { normalizePromptTemplate, normalizePromptTemplates } = require('./prompt-templates');
+const { loadServiceSecrets, saveServiceSecrets } = require('./secret-store');
 
 const CONFIG_DIR_NAME = '.jikeyi-trans';
 const LEGACY_CONFIG_DIR_NAME = '.mini-bob';
 const STATE_FILE_NAME = '.jikeyi-trans.json';
+const SECRETS_FILE_NAME = 'secrets.json';
+const BACKUP_DIR_NAME = 'backups';
+const SETTINGS_BACKUP_LIMIT = 10;
+const SETTINGS_BACKUP_NAME_PATTERN = /^settings-\d{8}-\d{6}-\d{3}-(.+)\.json$/;
+const SETTINGS_SCHEMA_VERSION = 3;
 const LEGACY_STATE_FILE_NAME = '.mini-bob.json';
 
 const DEFAULT_SERVICE_ID = 'svc_default';
 const DEFAULT_SERVICE_NAME = '默认服务';
+const SERVICE_PROTOCOLS = ['anthropic', 'openai'];
+const DEFAULT_SERVICE_PROTOCOL = 'anthropic';
+const DEFAULT_SERVICE_RETRY = {
+  maxAttempts: 3,
+  baseDelayMs: 800,
+  maxDelayMs: 8000
+};
+const ROUTING_STRATEGIES = ['parallel', 'race', 'sequential', 'cheapest', 'length'];
+const DEFAULT_ROUTING_STRATEGY = 'parallel';
 
 const DEFAULT_SETTINGS = {
   env: {
@@ -24,7 +42,12 @@ const DEFAULT_SETTINGS = {
   },
   routing: {
     autoRouteEnabled: true,
-    fallbackEnabled: true
+    fallbackEnabled: true,
+    synthesisEnabled: false,
+    judgeServiceId: '',
+    strategy: DEFAULT_ROUTING_STRATEGY,
+    raceCount: 2,
+    lengthRules: []
   },
   bubbleVisibleServiceIds: [],
   glossary: [],
@@ -35,10 +58,39 @@ const DEFAULT_SETTINGS = {
     autoCopyOcrResult: false,
     autoCopyFirstResult: false,
     copyHighlightedWordOnClick: false,
-    autoPlaySourceText: false
+    autoPlaySourceText: false,
+    dictionaryLookup: true
+  },
+  cache: {
+    enabled: true,
+    maxEntries: 2000,
+    maxAgeDays: 30
+  },
+  localApi: {
+    enabled: false,
+    port: 17892,
+    token: ''
+  },
+  language: {
+    autoDetect: true,
+    pairs: [
+      {
+        source: 'zh',
+        target: 'English'
+      }
+    ]
   }
 };
 
+const CACHE_MAX_ENTRIES_RANGE = [50, 100000];
+const CACHE_MAX_AGE_DAYS_RANGE = [1, 3650];
+const LOCAL_API_PORT_RANGE = [1024, 65535];
+const RETRY_MAX_ATTEMPTS_RANGE = [1, 6];
+const RETRY_BASE_DELAY_MS_RANGE = [100, 10000];
+const RETRY_MAX_DELAY_MS_RANGE = [500, 60000];
+const ROUTING_RACE_COUNT_RANGE = [2, 6];
+const ROUTING_LENGTH_RULE_LIMIT = 10;
+
 function mergeEnvWithDefaults(env = {}) {
   return {
     ...DEFAULT_SETTINGS.env,
@@ -77,37 +129,53 @@ function normalizeRouting(rawRouting = {}) {
     fallbackEnabled: normalizeBoolean(
       rawRouting?.fallbackEnabled,
       DEFAULT_SETTINGS.routing.fallbackEnabled
-    )
+    ),
+    synthesisEnabled: normalizeBoolean(
+      rawRouting?.synthesisEnabled,
+      DEFAULT_SETTINGS.routing.synthesisEnabled
+    ),
+    judgeServiceId: String(rawRouting?.judgeServiceId || '').trim(),
+    strategy: normalizeRoutingStrategy(rawRouting?.strategy),
+    raceCount: normalizeBoundedInteger(
+      rawRouting?.raceCount,
+      ROUTING_RACE_COUNT_RANGE,
+      DEFAULT_SETTINGS.routing.raceCount
+    ),
+    lengthRules: normalizeRoutingLengthRules(rawRouting?.lengthRules)
   };
 }
 
-function normalizeGlossary(rawGlossary = []) {
-  if (!Array.isArray(rawGlossary)) {
-    return [];
-  }
-
-  const dedupe = new Set();
-  const result = [];
-
-  for (const item of rawGlossary) {
-    const source = String(item?.source || '').trim();
-    const target = String(item?.target || '').trim();
-    if (!source || !target) {
-      continue;
-    }
+function normalizeRoutingStrategy(value) {
+  const normalized = String(value || '')
+    .trim()
+    .toLowerCase();
+  return ROUTING_STRATEGIES.includes(normalized) ? normalized : DEFAULT_ROUTING_STRATEGY;
+}
 
-    const key = `${source}\u0001${target}`;
-    if (dedupe.has(key)) {
-      continue;
-    }
-    dedupe.add(key);
-    result.push({
-      source,
-      target
-    });
+function normalizeRoutingLengthRules(rawRules) {
+  if (!Array.isArray(rawRules)) {
+    return [];
   }
-
-  return result;
+  return rawRules
+    .map((rule) => {
+      const maxLength = Number(rule?.maxLength);
+      return {
+        maxLength: Number.isFinite(maxLength) && maxLength > 0 ? Math.floor(maxLength) : 0,
+        serviceIds: Array.from(
+          new Set(
+            (Array.isArray(rule?.serviceIds) ? rule.serviceIds : [])
+              .map((id) => String(id || '').trim())
+              .filter(Boolean)
+          )
+        )
+      };
+    })
+    .filter((rule) => rule.serviceIds.length > 0)
+    .slice(0, ROUTING_LENGTH_RULE_LIMIT)
+    .sort(
+      (left, right) =>
+        (left.maxLength || Number.MAX_SAFE_INTEGER) - (right.maxLength || Number.MAX_SAFE_INTEGER)
+    );
 }
 
 function normalizeAutomation(rawAutomation = {}) {
@@ -140,10 +208,85 @@ function normalizeAutomation(rawAutomation = {}) {
     autoPlaySourceText: normalizeBoolean(
       source.autoPlaySourceText,
       DEFAULT_SETTINGS.automation.autoPlaySourceText
+    ),
+    dictionaryLookup: normalizeBoolean(
+      source.dictionaryLookup,
+      DEFAULT_SETTINGS.automation.dictionaryLookup
     )
   };
 }
 
+function normalizeBoundedInteger(value, range, fallback) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+  return Math.min(range[1], Math.max(range[0], Math.floor(parsed)));
+}
+
+function normalizeCache(rawCache = {}) {
+  const source = rawCache && typeof rawCache === 'object' ? rawCache : {};
+  return {
+    enabled: normalizeBoolean(source.enabled, DEFAULT_SETTINGS.cache.enabled),
+    maxEntries: normalizeBoundedInteger(
+      source.maxEntries,
+      CACHE_MAX_ENTRIES_RANGE,
+      DEFAULT_SETTINGS.cache.maxEntries
+    ),
+    maxAgeDays: normalizeBoundedInteger(
+      source.maxAgeDays,
+      CACHE_MAX_AGE_DAYS_RANGE,
+      DEFAULT_SETTINGS.cache.maxAgeDays
+    )
+  };
+}
+
+function normalizeLocalApi(rawLocalApi = {}) {
+  const source = rawLocalApi && typeof rawLocalApi === 'object' ? rawLocalApi : {};
+  return {
+    enabled: normalizeBoolean(source.enabled, DEFAULT_SETTINGS.localApi.enabled),
+    port: normalizeBoundedInteger(
+      source.port,
+      LOCAL_API_PORT_RANGE,
+      DEFAULT_SETTINGS.localApi.port
+    ),
+    token: String(source.token || '').trim()
+  };
+}
+
+function normalizeLanguagePairs(rawPairs) {
+  if (!Array.isArray(rawPairs)) {
+    return DEFAULT_SETTINGS.language.pairs.map((pair) => ({ ...pair }));
+  }
+
+  const seenSources = new Set();
+  const result = [];
+  for (const item of rawPairs) {
+    const source = normalizeLanguageCode(item?.source);
+    const target = String(item?.target || '').trim();
+    if (!source || !target || seenSources.has(source)) {
+      continue;
+    }
+    seenSources.add(source);
+    result.push({
+      source,
+      target
+    });
+  }
+
+  return result.sort((left, right) => {
+    return Number(left.source === ANY_LANGUAGE) - Number(right.source === ANY_LANGUAGE);
+  });
+}
+
+function normalizeLanguageSettings(rawLanguage = {}) {
+  const source = rawLanguage && typeof rawLanguage === 'object' ? rawLanguage : {};
+  return {
+    autoDetect: normalizeBoolean(source.autoDetect, DEFAULT_SETTINGS.language.autoDetect),
+    pairs: normalizeLanguagePairs(source.pairs)
+  };
+}
+
 function normalizeServiceIdList(rawIds, services = []) {
   const validIds = new Set(
     (Array.isArray(services) ? services : [])
@@ -182,6 +325,45 @@ function normalizeServiceIdList(rawIds, services = []) {
     .filter(Boolean);
 }
 
+function normalizeServiceProtocol(value, fallback = DEFAULT_SERVICE_PROTOCOL) {
+  const normalized = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (SERVICE_PROTOCOLS.includes(normalized)) {
+    return normalized;
+  }
+  return SERVICE_PROTOCOLS.includes(fallback) ? fallback : DEFAULT_SERVICE_PROTOCOL;
+}
+
+function normalizeServiceRetry(rawRetry = {}) {
+  const source = rawRetry && typeof rawRetry === 'object' ? rawRetry : {};
+  const baseDelayMs = normalizeBoundedInteger(
+    source.baseDelayMs,
+    RETRY_BASE_DELAY_MS_RANGE,
+    DEFAULT_SERVICE_RETRY.baseDelayMs
+  );
+  return {
+    maxAttempts: normalizeBoundedInteger(
+      source.maxAttempts,
+      RETRY_MAX_ATTEMPTS_RANGE,
+      DEFAULT_SERVICE_RETRY.maxAttempts
+    ),
+    baseDelayMs,
+    maxDelayMs: Math.max(
+      baseDelayMs,
+      normalizeBoundedInteger(source.maxDelayMs, RETRY_MAX_DELAY_MS_RANGE, DEFAULT_SERVICE_RETRY.maxDelayMs)
+    )
+  };
+}
+
+function normalizeServiceCost(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.round(parsed * 10000) / 10000 : null;
+}
+
 function normalizeTimeoutString(value, fallback) {
   const parsed = Number(String(value ?? '').trim());
   if (!Number.isFinite(parsed) || parsed <= 0) {
@@ -196,6 +378,7 @@ function buildServiceFromEnv(env = {}, overrides = {}) {
     id: String(overrides.id || DEFAULT_SERVICE_ID),
     name: String(overrides.name || DEFAULT_SERVICE_NAME),
     enabled: overrides.enabled !== false,
+    protocol: normalizeServiceProtocol(overrides.protocol),
     baseUrl: String(overrides.baseUrl ?? mergedEnv.ANTHROPIC_BASE_URL ?? '').trim(),
     apiKey: String(overrides.apiKey ?? mergedEnv.ANTHROPIC_AUTH_TOKEN ?? '').trim(),
     model: String(overrides.model ?? mergedEnv.ANTHROPIC_MODEL ?? '').trim(),
@@ -203,7 +386,11 @@ function buildServiceFromEnv(env = {}, overrides = {}) {
     timeoutMs: normalizeTimeoutString(
       overrides.timeoutMs ?? mergedEnv.API_TIMEOUT_MS,
       mergedEnv.API_TIMEOUT_MS
-    )
+    ),
+    retry: normalizeServiceRetry(overrides.retry),
+    cost: normalizeServiceCost(overrides.cost),
+    promptTemplate: normalizePromptTemplate(overrides.promptTemplate),
+    promptTemplates: normalizePromptTemplates(overrides.promptTemplates)
   };
 }
 
@@ -225,6 +412,8 @@ function normalizeService(rawService, index, envFallback) {
 
   const enabled = rawService?.enabled !== false;
 
+  const protocol = normalizeServiceProtocol(rawService?.protocol, fallback.protocol);
+
   const baseUrl =
     typeof rawService?.baseUrl === 'string' && rawService.baseUrl.trim()
       ? rawService.baseUrl.trim()
@@ -245,15 +434,28 @@ function normalizeService(rawService, index, envFallback) {
 
   const timeoutMs = normalizeTimeoutString(rawService?.timeoutMs, fallback.timeoutMs);
 
+  const retry = normalizeServiceRetry(rawService?.retry);
+
+  const cost = normalizeServiceCost(rawService?.cost);
+
+  const promptTemplate = normalizePromptTemplate(rawService?.promptTemplate);
+
+  const promptTemplates = normalizePromptTemplates(rawService?.promptTemplates);
+
   return {
     id,
     name,
     enabled,
+    protocol,
     baseUrl,
     apiKey,
     model,
     targetLanguage,
-    timeoutMs
+    timeoutMs,
+    retry,
+    cost,
+    promptTemplate,
+    promptTemplates
   };
 }
 
@@ -341,13 +543,17 @@ function normalizeSettings(rawSettings = {}) {
 
   return {
     ...base,
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
     env: syncedEnv,
     services,
     activeServiceId,
     routing: normalizeRouting(base.routing),
     bubbleVisibleServiceIds: normalizeServiceIdList(base.bubbleVisibleServiceIds, services),
     glossary: normalizeGlossary(base.glossary),
-    automation: normalizeAutomation(base.automation)
+    automation: normalizeAutomation(base.automation),
+    cache: normalizeCache(base.cache),
+    localApi: normalizeLocalApi(base.localApi),
+    language: normalizeLanguageSettings(base.language)
   };
 }
 
@@ -363,10 +569,34 @@ function getSettingsPath() {
   return path.join(getConfigDir(), 'settings.json');
 }
 
+function getHistoryPath() {
+  return path.join(getConfigDir(), 'history.json');
+}
+
+function getSecretsPath() {
+  return path.join(getConfigDir(), SECRETS_FILE_NAME);
+}
+
+function getBackupDir() {
+  return path.join(getConfigDir(), BACKUP_DIR_NAME);
+}
+
+function getCachePath() {
+  return path.join(getConfigDir(), 'cache.json');
+}
+
 function getLegacySettingsPath() {
   return path.join(getLegacyConfigDir(), 'settings.json');
 }
 
+function getVocabularyPath() {
+  return path.join(getConfigDir(), 'vocabulary.json');
+}
+
+function getServiceMetricsPath() {
+  return path.join(getConfigDir(), 'service-metrics.json');
+}
+
 function getStatePath() {
   return path.join(os.homedir(), STATE_FILE_NAME);
 }
@@ -375,6 +605,312 @@ function getLegacyStatePath() {
   return path.join(os.homedir(), LEGACY_STATE_FILE_NAME);
 }
 
+function readAppState() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getStatePath(), 'utf-8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function updateAppState(patch = {}) {
+  const nextState = {
+    hasCompletedOnboarding: true,
+    ...readAppState(),
+    ...patch
+  };
+  fs.writeFileSync(getStatePath(), JSON.stringify(nextState, null, 2), 'utf-8');
+  return nextState;
+}
+
+function importLegacyAppState() {
+  const statePath = getStatePath();
+  const legacyStatePath = getLegacyStatePath();
+  if (fs.existsSync(statePath) || !fs.existsSync(legacyStatePath)) {
+    return;
+  }
+
+  try {
+    const legacyParsed = JSON.parse(fs.readFileSync(legacyStatePath, 'utf-8'));
+    const migratedState =
+      legacyParsed && typeof legacyParsed === 'object' ? legacyParsed : { hasCompletedOnboarding: true };
+    fs.writeFileSync(statePath, JSON.stringify(migratedState, null, 2), 'utf-8');
+  } catch {
+    // Ignore unreadable legacy state, a fresh state file is created instead.
+  }
+}
+
+function readLegacySettings() {
+  const legacySettingsPath = getLegacySettingsPath();
+  if (!fs.existsSync(legacySettingsPath)) {
+    return null;
+  }
+
+  try {
+    const raw = fs.readFileSync(legacySettingsPath, 'utf-8');
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return null;
+    }
+    backupSettingsFile(raw, 'legacy-import');
+    return parsed;
+  } catch {
+    // Ignore unreadable legacy settings, the legacy file itself is left untouched.
+    return null;
+  }
+}
+
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'legacy-mini-bob-import',
+    migrate: (settings, context) => {
+      if (!context.importLegacy) {
+        return settings;
+      }
+      importLegacyAppState();
+      return readLegacySettings() || settings;
+    }
+  },
+  {
+    version: 2,
+    name: 'legacy-env-service',
+    migrate: (settings) => {
+      if (Array.isArray(settings.services) && settings.services.length > 0) {
+        return settings;
+      }
+      const service = buildServiceFromEnv(settings.env || {});
+      return {
+        ...settings,
+        services: [service],
+        activeServiceId: service.id
+      };
+    }
+  },
+  {
+    version: 3,
+    name: 'structured-glossary',
+    migrate: (settings) => ({
+      ...settings,
+      glossary: normalizeGlossary(settings.glossary || [])
+    })
+  }
+];
+
+function buildSettingsError(message, code, settingsPath) {
+  const error = new Error(message);
+  error.code = code;
+  error.settingsPath = settingsPath;
+  return error;
+}
+
+function readSchemaVersion(settings) {
+  const version = Number(settings?.schemaVersion);
+  return Number.isInteger(version) && version > 0 ? version : 0;
+}
+
+function migrateSettings(rawSettings, context = {}) {
+  let settings = rawSettings && typeof rawSettings === 'object' && !Array.isArray(rawSettings) ? rawSettings : {};
+  const fromVersion = readSchemaVersion(settings);
+  const applied = [];
+  for (const migration of SETTINGS_MIGRATIONS) {
+    if (migration.version <= fromVersion) {
+      continue;
+    }
+    settings = {
+      ...migration.migrate(settings, context),
+      schemaVersion: migration.version
+    };
+    applied.push(migration.name);
+  }
+
+  return {
+    settings,
+    fromVersion,
+    applied
+  };
+}
+
+function parseSettingsText(raw, settingsPath) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw buildSettingsError(
+      `配置文件 ${settingsPath} 不是有效的 JSON（${error.message}），请修正后重试；文件未被改动。`,
+      'SETTINGS_PARSE_ERROR',
+      settingsPath
+    );
+  }
+}
+
+function validateSettingsText(raw) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    return [`JSON 格式错误（${error.message}）`];
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return ['顶层必须是 JSON 对象'];
+  }
+
+  const errors = [];
+  if (readSchemaVersion(parsed) > SETTINGS_SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${parsed.schemaVersion} 高于当前支持的 ${SETTINGS_SCHEMA_VERSION}`);
+  }
+  if (parsed.env !== undefined && (!parsed.env || typeof parsed.env !== 'object' || Array.isArray(parsed.env))) {
+    errors.push('env 必须是对象');
+  }
+  if (parsed.glossary !== undefined && !Array.isArray(parsed.glossary)) {
+    errors.push('glossary 必须是数组');
+  }
+  if (parsed.services !== undefined) {
+    if (!Array.isArray(parsed.services)) {
+      errors.push('services 必须是数组');
+    } else {
+      const seenIds = new Set();
+      parsed.services.forEach((service, index) => {
+        const label = `服务「${String(service?.name || service?.id || index + 1)}」`;
+        if (!service || typeof service !== 'object' || Array.isArray(service)) {
+          errors.push(`第 ${index + 1} 个服务必须是对象`);
+          return;
+        }
+        if (!String(service.baseUrl || '').trim()) {
+          errors.push(`${label}缺少 baseUrl`);
+        }
+        if (!String(service.model || '').trim()) {
+          errors.push(`${label}缺少 model`);
+        }
+        const protocol = String(service.protocol || DEFAULT_SERVICE_PROTOCOL).trim().toLowerCase();
+        if (!SERVICE_PROTOCOLS.includes(protocol)) {
+          errors.push(`${label}的 protocol 只能是 ${SERVICE_PROTOCOLS.join(' / ')}`);
+        }
+        const serviceId = String(service.id || '').trim();
+        if (serviceId && seenIds.has(serviceId)) {
+          errors.push(`服务 ID「${serviceId}」重复`);
+        }
+        seenIds.add(serviceId);
+      });
+    }
+  }
+  return errors;
+}
+
+function formatBackupTimestamp(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(
+    date.getMinutes()
+  )}${pad(date.getSeconds())}-${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+function redactBackupText(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object') {
+      return raw;
+    }
+    const redacted = { ...parsed };
+    if (redacted.env && typeof redacted.env === 'object' && redacted.env.ANTHROPIC_AUTH_TOKEN) {
+      redacted.env = { ...redacted.env, ANTHROPIC_AUTH_TOKEN: '' };
+    }
+    if (Array.isArray(redacted.services)) {
+      redacted.services = redacted.services.map((service) =>
+        service && typeof service === 'object' ? { ...service, apiKey: '' } : service
+      );
+    }
+    return JSON.stringify(redacted, null, 2);
+  } catch {
+    return raw;
+  }
+}
+
+function backupSettingsFile(raw, reason) {
+  const backupDir = getBackupDir();
+  fs.mkdirSync(backupDir, { recursive: true });
+  const backupPath = path.join(backupDir, `settings-${formatBackupTimestamp(new Date())}-${reason}.json`);
+  fs.writeFileSync(backupPath, redactBackupText(raw), { encoding: 'utf-8', mode: 0o600 });
+
+  const backups = fs
+    .readdirSync(backupDir)
+    .filter((name) => name.match(SETTINGS_BACKUP_NAME_PATTERN)?.[1] === reason)
+    .sort();
+  for (const name of backups.slice(0, Math.max(0, backups.length - SETTINGS_BACKUP_LIMIT))) {
+    try {
+      fs.unlinkSync(path.join(backupDir, name));
+    } catch {
+      // Ignore backup cleanup errors.
+    }
+  }
+  return backupPath;
+}
+
+function splitSettingsSecrets(settings) {
+  const secrets = {};
+  const services = settings.services.map((service) => {
+    secrets[service.id] = service.apiKey;
+    return {
+      ...service,
+      apiKey: ''
+    };
+  });
+
+  return {
+    settings: {
+      ...settings,
+      env: {
+        ...settings.env,
+        ANTHROPIC_AUTH_TOKEN: ''
+      },
+      services
+    },
+    secrets
+  };
+}
+
+function mergeSettingsSecrets(settings) {
+  const { keys } = loadServiceSecrets(getSecretsPath());
+  const services = settings.services.map((service) => ({
+    ...service,
+    apiKey: service.apiKey || keys[service.id] || ''
+  }));
+  const activeService = getActiveService(services, settings.activeServiceId);
+
+  return {
+    ...settings,
+    env: {
+      ...settings.env,
+      ANTHROPIC_AUTH_TOKEN: activeService?.apiKey || ''
+    },
+    services
+  };
+}
+
+function persistSettings(normalized, reason = 'save') {
+  const { settings, secrets } = splitSettingsSecrets(normalized);
+  const settingsPath = getSettingsPath();
+  const nextText = JSON.stringify(settings, null, 2);
+  saveServiceSecrets(getSecretsPath(), secrets);
+
+  let currentText = null;
+  try {
+    currentText = fs.readFileSync(settingsPath, 'utf-8');
+  } catch {
+    // Ignore missing settings file, there is nothing to back up.
+  }
+  if (currentText !== null && currentText.trim() === nextText) {
+    return;
+  }
+  if (currentText !== null && currentText.trim()) {
+    backupSettingsFile(currentText, reason);
+  }
+  fs.writeFileSync(settingsPath, nextText, 'utf-8');
+}
+
+function getUnreadableSecretServiceIds() {
+  return loadServiceSecrets(getSecretsPath()).unreadableIds;
+}
+
 function ensureConfigFiles() {
   const configDir = getConfigDir();
   if (!fs.existsSync(configDir)) {
@@ -382,70 +918,53 @@ function ensureConfigFiles() {
   }
 
   const settingsPath = getSettingsPath();
-  const legacySettingsPath = getLegacySettingsPath();
   if (!fs.existsSync(settingsPath)) {
-    if (fs.existsSync(legacySettingsPath)) {
-      try {
-        const legacyRaw = fs.readFileSync(legacySettingsPath, 'utf-8');
-        const legacyParsed = JSON.parse(legacyRaw);
-        const migrated = normalizeSettings(legacyParsed);
-        fs.writeFileSync(settingsPath, JSON.stringify(migrated, null, 2), 'utf-8');
-      } catch {
-        fs.writeFileSync(settingsPath, JSON.stringify(normalizeSettings(DEFAULT_SETTINGS), null, 2), 'utf-8');
-      }
-    } else {
-      fs.writeFileSync(settingsPath, JSON.stringify(normalizeSettings(DEFAULT_SETTINGS), null, 2), 'utf-8');
-    }
+    const { settings } = migrateSettings(DEFAULT_SETTINGS, { importLegacy: true });
+    persistSettings(normalizeSettings(settings), 'create');
   } else {
-    try {
-      const raw = fs.readFileSync(settingsPath, 'utf-8');
-      const parsed = JSON.parse(raw);
-      const normalized = normalizeSettings(parsed);
-      const normalizedText = JSON.stringify(normalized, null, 2);
-      if (raw.trim() !== normalizedText) {
-        fs.writeFileSync(settingsPath, normalizedText, 'utf-8');
-      }
-    } catch {
-      fs.writeFileSync(settingsPath, JSON.stringify(normalizeSettings(DEFAULT_SETTINGS), null, 2), 'utf-8');
+    const raw = fs.readFileSync(settingsPath, 'utf-8');
+    const parsed = parseSettingsText(raw, settingsPath);
+    if (readSchemaVersion(parsed) > SETTINGS_SCHEMA_VERSION) {
+      throw buildSettingsError(
+        `配置文件 ${settingsPath} 由更高版本的即刻译写入（schemaVersion ${parsed.schemaVersion}），当前版本不会改写它，请升级后再修改设置。`,
+        'SETTINGS_VERSION_UNSUPPORTED',
+        settingsPath
+      );
     }
+
+    const { settings: migrated, applied } = migrateSettings(parsed);
+    const normalized = mergeSettingsSecrets(normalizeSettings(migrated));
+    persistSettings(normalized, applied.length > 0 ? `v${readSchemaVersion(parsed)}-migrate` : 'normalize');
   }
 
   const statePath = getStatePath();
-  const legacyStatePath = getLegacyStatePath();
   if (!fs.existsSync(statePath)) {
-    if (fs.existsSync(legacyStatePath)) {
-      try {
-        const legacyRaw = fs.readFileSync(legacyStatePath, 'utf-8');
-        const legacyParsed = JSON.parse(legacyRaw);
-        const migratedState =
-          legacyParsed && typeof legacyParsed === 'object'
-            ? legacyParsed
-            : { hasCompletedOnboarding: true };
-        fs.writeFileSync(statePath, JSON.stringify(migratedState, null, 2), 'utf-8');
-      } catch {
-        fs.writeFileSync(statePath, JSON.stringify({ hasCompletedOnboarding: true }, null, 2), 'utf-8');
-      }
-    } else {
-      fs.writeFileSync(statePath, JSON.stringify({ hasCompletedOnboarding: true }, null, 2), 'utf-8');
-    }
+    fs.writeFileSync(statePath, JSON.stringify({ hasCompletedOnboarding: true }, null, 2), 'utf-8');
   }
 }
 
+let settingsLoadError = null;
+
 function readSettings() {
   const settingsPath = getSettingsPath();
   try {
     const raw = fs.readFileSync(settingsPath, 'utf-8');
-    const parsed = JSON.parse(raw);
-    return normalizeSettings(parsed);
-  } catch {
+    const parsed = parseSettingsText(raw, settingsPath);
+    settingsLoadError = null;
+    return mergeSettingsSecrets(normalizeSettings(migrateSettings(parsed).settings));
+  } catch (error) {
+    settingsLoadError = error?.code === 'SETTINGS_PARSE_ERROR' ? error : null;
     return normalizeSettings(DEFAULT_SETTINGS);
   }
 }
 
+function getSettingsLoadError() {
+  return settingsLoadError ? settingsLoadError.message : '';
+}
+
 function writeSettings(nextSettings) {
   ensureConfigFiles();
-  const normalized = normalizeSettings(nextSettings);
-  fs.writeFileSync(getSettingsPath(), JSON.stringify(normalized, null, 2), 'utf-8');
+  persistSettings(normalizeSettings(nextSettings));
 }
 
 function getRuntimeConfig() {
@@ -454,10 +973,14 @@ function getRuntimeConfig() {
   const routing = normalizeRouting(settings.routing || {});
   const glossary = normalizeGlossary(settings.glossary || []);
   const automation = normalizeAutomation(settings.automation || {});
+  const cache = normalizeCache(settings.cache || {});
+  const localApi = normalizeLocalApi(settings.localApi || {});
+  const language = normalizeLanguageSettings(settings.language || {});
   const activeService = getActiveService(settings.services, settings.activeServiceId);
   const serviceFallback = buildServiceFromEnv(env);
   const serviceConfig = activeService || serviceFallback;
 
+  const protocol = normalizeServiceProtocol(serviceConfig.protocol);
   const baseUrl = serviceConfig.baseUrl || process.env.ANTHROPIC_BASE_URL || env.ANTHROPIC_BASE_URL;
   const apiKey = serviceConfig.apiKey || process.env.ANTHROPIC_AUTH_TOKEN || env.ANTHROPIC_AUTH_TOKEN;
   const model = serviceConfig.model || process.env.ANTHROPIC_MODEL || env.ANTHROPIC_MODEL;
@@ -486,17 +1009,25 @@ function getRuntimeConfig() {
   );
 
   return {
+    protocol,
     baseUrl,
     apiKey,
     model,
     targetLanguage,
     timeoutMs,
+    promptTemplate: serviceConfig.promptTemplate || '',
+    promptTemplates: serviceConfig.promptTemplates || {},
     services: settings.services || [],
     activeServiceId: settings.activeServiceId || '',
     activeServiceName: serviceConfig.name || '',
     routing: {
       autoRouteEnabled,
-      fallbackEnabled
+      fallbackEnabled,
+      synthesisEnabled: routing.synthesisEnabled,
+      judgeServiceId: routing.judgeServiceId,
+      strategy: normalizeRoutingStrategy(process.env.ROUTING_STRATEGY || routing.strategy),
+      raceCount: routing.raceCount,
+      lengthRules: routing.lengthRules
     },
     bubbleVisibleServiceIds: normalizeServiceIdList(
       settings.bubbleVisibleServiceIds,
@@ -504,6 +1035,9 @@ function getRuntimeConfig() {
     ),
     glossary,
     automation,
+    cache,
+    localApi,
+    language,
     translateShortcut,
     openSettingsShortcut,
     popupMode,
@@ -514,13 +1048,36 @@ function getRuntimeConfig() {
 }
 
 module.exports = {
+  DEFAULT_SERVICE_RETRY,
   DEFAULT_SETTINGS,
+  ROUTING_STRATEGIES,
+  SERVICE_PROTOCOLS,
+  SETTINGS_SCHEMA_VERSION,
   ensureConfigFiles,
   readSettings,
   writeSettings,
   getRuntimeConfig,
+  getConfigDir,
   getSettingsPath,
+  getHistoryPath,
+  getVocabularyPath,
+  getServiceMetricsPath,
+  getCachePath,
+  getSecretsPath,
+  getBackupDir,
+  getSettingsLoadError,
   getStatePath,
+  getUnreadableSecretServiceIds,
+  readAppState,
+  updateAppState,
   normalizeSettings,
+  migrateSettings,
+  validateSettingsText,
+  normalizeCache,
+  normalizeLocalApi,
+  normalizeLanguageSettings,
+  normalizeServiceProtocol,
+  normalizeServiceRetry,
+  dedupeServicesById,
   getActiveService
 };
@@ -0,0 +1,115 @@
+const DICTIONARY_QUERY_MAX_LENGTH = 40;
+const DICTIONARY_QUERY_PATTERN = /^[A-Za-z][A-Za-z'’-]*(?: [A-Za-z][A-Za-z'’-]*){0,2}$/;
+const DICTIONARY_SENSE_LIMIT = 8;
+const DICTIONARY_EXAMPLE_LIMIT = 4;
+
+function normalizeDictionaryQuery(text) {
+  return String(text || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/^[("'“‘]+|[)"'”’.,!?;:，。！？；：]+$/g, '');
+}
+
+function isDictionaryQuery(text) {
+  const query = normalizeDictionaryQuery(text);
+  return query.length > 0 && query.length <= DICTIONARY_QUERY_MAX_LENGTH && DICTIONARY_QUERY_PATTERN.test(query);
+}
+
+function extractJsonObject(text) {
+  const source = String(text || '')
+    .replace(/```(?:json)?/gi, '')
+    .trim();
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  if (start < 0 || end <= start) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(source.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeField(value) {
+  return String(value ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizePhonetics(rawPhonetics) {
+  if (typeof rawPhonetics === 'string') {
+    const value = normalizeField(rawPhonetics);
+    return value ? { uk: '', us: value } : { uk: '', us: '' };
+  }
+  const source = rawPhonetics && typeof rawPhonetics === 'object' ? rawPhonetics : {};
+  return {
+    uk: normalizeField(source.uk),
+    us: normalizeField(source.us)
+  };
+}
+
+function normalizeSenses(rawSenses) {
+  if (!Array.isArray(rawSenses)) {
+    return [];
+  }
+  return rawSenses
+    .map((item) => ({
+      partOfSpeech: normalizeField(item?.partOfSpeech || item?.pos),
+      definition: normalizeField(item?.definition || item?.meaning)
+    }))
+    .filter((item) => item.definition)
+    .slice(0, DICTIONARY_SENSE_LIMIT);
+}
+
+function normalizeExamples(rawExamples) {
+  if (!Array.isArray(rawExamples)) {
+    return [];
+  }
+  return rawExamples
+    .map((item) => ({
+      source: normalizeField(typeof item === 'string' ? item : item?.source),
+      translation: normalizeField(item?.translation)
+    }))
+    .filter((item) => item.source)
+    .slice(0, DICTIONARY_EXAMPLE_LIMIT);
+}
+
+function normalizeDictionaryEntry(rawEntry, fallbackWord = '') {
+  const source = rawEntry && typeof rawEntry === 'object' ? rawEntry : {};
+  const word = normalizeField(source.word) || normalizeDictionaryQuery(fallbackWord);
+  const senses = normalizeSenses(source.senses);
+  if (!word || senses.length === 0) {
+    return null;
+  }
+
+  return {
+    word,
+    phonetics: normalizePhonetics(source.phonetics),
+    senses,
+    examples: normalizeExamples(source.examples)
+  };
+}
+
+function parseDictionaryEntry(text, fallbackWord = '') {
+  return normalizeDictionaryEntry(extractJsonObject(text), fallbackWord);
+}
+
+function summarizeDictionaryEntry(entry) {
+  if (!entry) {
+    return '';
+  }
+  return entry.senses
+    .map((sense) => (sense.partOfSpeech ? `${sense.partOfSpeech} ${sense.definition}` : sense.definition))
+    .join('；');
+}
+
+module.exports = {
+  isDictionaryQuery,
+  normalizeDictionaryEntry,
+  normalizeDictionaryQuery,
+  parseDictionaryEntry,
+  summarizeDictionaryEntry
+};
@@ -0,0 +1,389 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const DOCUMENT_FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.srt': 'srt'
+};
+const DEFAULT_CHUNK_CHARS = 1200;
+const SRT_CHUNK_MAX_CUES = 40;
+const CHUNK_MAX_TOKENS_LIMIT = 8192;
+const SRT_MARKER_PATTERN = /^\[\[(\d+)\]\]\s*$/;
+const MARKDOWN_INSTRUCTIONS = '原文为 Markdown 片段：保留所有 Markdown 语法、链接地址、行内代码与空行结构。';
+const SRT_INSTRUCTIONS =
+  '原文为字幕片段，每条字幕前有一行 [[数字]] 标记：逐条翻译，原样保留每个标记行及其顺序，不要合并或拆分字幕。';
+
+function detectDocumentFormat(filePath) {
+  const extension = path.extname(String(filePath || '')).toLowerCase();
+  return DOCUMENT_FORMATS[extension] || '';
+}
+
+function buildOutputPath(filePath) {
+  const parsed = path.parse(filePath);
+  let outputPath = path.join(parsed.dir, `${parsed.name}.translated${parsed.ext}`);
+  for (let copy = 2; fs.existsSync(outputPath); copy += 1) {
+    outputPath = path.join(parsed.dir, `${parsed.name}.translated (${copy})${parsed.ext}`);
+  }
+  return outputPath;
+}
+
+function normalizeNewlines(text) {
+  return String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n');
+}
+
+function splitLongText(text, maxChars) {
+  const sentences = text.match(/[^。！？.!?\n]+[。！？.!?]*\s*|\n+/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    if (sentence.length > maxChars) {
+      for (let index = 0; index < sentence.length; index += maxChars) {
+        pieces.push(sentence.slice(index, index + maxChars));
+      }
+      continue;
+    }
+    current += sentence;
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+function createPlan() {
+  return {
+    pieces: [],
+    jobs: []
+  };
+}
+
+function pushLiteral(plan, text) {
+  if (text) {
+    plan.pieces.push({ literal: text });
+  }
+}
+
+function pushTextJob(plan, text, instructions) {
+  const leading = text.match(/^\s*/)[0];
+  const body = text.slice(leading.length);
+  const trimmedBody = body.replace(/\s+$/, '');
+  const trailing = body.slice(trimmedBody.length);
+
+  pushLiteral(plan, leading);
+  if (trimmedBody) {
+    plan.pieces.push({ jobIndex: plan.jobs.length });
+    plan.jobs.push({
+      kind: 'text',
+      text: trimmedBody,
+      instructions
+    });
+  }
+  pushLiteral(plan, trailing);
+}
+
+function pushTextBlocks(plan, blocks, maxChars, instructions) {
+  let current = '';
+  const flush = () => {
+    if (current) {
+      pushTextJob(plan, current, instructions);
+      current = '';
+    }
+  };
+
+  for (const block of blocks) {
+    if (block.length > maxChars) {
+      flush();
+      for (const piece of splitLongText(block, maxChars)) {
+        pushTextJob(plan, piece, instructions);
+      }
+      continue;
+    }
+    if (current && current.length + block.length > maxChars) {
+      flush();
+    }
+    current += block;
+  }
+  flush();
+}
+
+function splitParagraphBlocks(text) {
+  return text.match(/[\s\S]*?(?:\n[ \t]*\n\s*|$)/g).filter(Boolean);
+}
+
+function planPlainText(text, maxChars) {
+  const plan = createPlan();
+  pushTextBlocks(plan, splitParagraphBlocks(text), maxChars, '');
+  return plan;
+}
+
+function planMarkdown(text, maxChars) {
+  const plan = createPlan();
+  const lines = text.split('\n');
+  const lineAt = (lineIndex) => (lineIndex < lines.length - 1 ? `${lines[lineIndex]}\n` : lines[lineIndex]);
+  let buffer = '';
+
+  const flushBuffer = () => {
+    if (buffer) {
+      pushTextBlocks(plan, splitParagraphBlocks(buffer), maxChars, MARKDOWN_INSTRUCTIONS);
+      buffer = '';
+    }
+  };
+
+  let index = 0;
+  if (lines[0] === '---') {
+    const closing = lines.indexOf('---', 1);
+    if (closing > 0) {
+      for (; index <= closing; index += 1) {
+        pushLiteral(plan, lineAt(index));
+      }
+    }
+  }
+
+  while (index < lines.length) {
+    const fenceMatch = lines[index].match(/^\s*(```|~~~)/);
+    if (!fenceMatch) {
+      buffer += lineAt(index);
+      index += 1;
+      continue;
+    }
+
+    flushBuffer();
+    pushLiteral(plan, lineAt(index));
+    index += 1;
+    while (index < lines.length) {
+      const isClosing = lines[index].trim().startsWith(fenceMatch[1]);
+      pushLiteral(plan, lineAt(index));
+      index += 1;
+      if (isClosing) {
+        break;
+      }
+    }
+  }
+
+  flushBuffer();
+  return plan;
+}
+
+function parseSrtCues(text) {
+  const cues = [];
+  const blocks = text.split(/\n[ \t]*\n/);
+  for (const block of blocks) {
+    const lines = block.split('\n').filter((line, lineIndex, all) => {
+      return lineIndex < all.length - 1 || line.trim();
+    });
+    if (lines.length === 0 || !lines.some((line) => line.trim())) {
+      continue;
+    }
+
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex < 0 || timingIndex > 1) {
+      throw new Error(`SRT 格式无法识别：${lines[0].slice(0, 40)}`);
+    }
+
+    cues.push({
+      header: lines.slice(0, timingIndex + 1).join('\n'),
+      text: lines.slice(timingIndex + 1).join('\n').trim()
+    });
+  }
+  return cues;
+}
+
+function planSrt(text, maxChars) {
+  const plan = createPlan();
+  const cues = parseSrtCues(text);
+  let group = [];
+  let groupChars = 0;
+
+  const flushGroup = () => {
+    if (group.length === 0) {
+      return;
+    }
+    plan.jobs.push({
+      kind: 'srt',
+      text: group.map((cue, offset) => `[[${offset + 1}]]\n${cue.text}`).join('\n'),
+      instructions: SRT_INSTRUCTIONS,
+      cues: group
+    });
+    group = [];
+    groupChars = 0;
+  };
+
+  for (const cue of cues) {
+    if (!cue.text) {
+      continue;
+    }
+    if (
+      group.length > 0 &&
+      (groupChars + cue.text.length > maxChars || group.length >= SRT_CHUNK_MAX_CUES)
+    ) {
+      flushGroup();
+    }
+    cue.jobIndex = plan.jobs.length;
+    cue.offset = group.length;
+    group.push(cue);
+    groupChars += cue.text.length;
+  }
+  flushGroup();
+
+  plan.cues = cues;
+  return plan;
+}
+
+function planDocument(text, format, options = {}) {
+  const maxChars = Number(options.maxChunkChars) > 0 ? Number(options.maxChunkChars) : DEFAULT_CHUNK_CHARS;
+  const normalized = normalizeNewlines(text);
+  if (format === 'srt') {
+    return planSrt(normalized, maxChars);
+  }
+  if (format === 'markdown') {
+    return planMarkdown(normalized, maxChars);
+  }
+  return planPlainText(normalized, maxChars);
+}
+
+function parseSrtTranslation(translation, expectedCount) {
+  const result = [];
+  let currentIndex = -1;
+  for (const line of String(translation || '').split(/\r?\n/)) {
+    const markerMatch = line.trim().match(SRT_MARKER_PATTERN);
+    if (markerMatch) {
+      currentIndex = Number(markerMatch[1]) - 1;
+      result[currentIndex] = [];
+      continue;
+    }
+    if (currentIndex >= 0) {
+      result[currentIndex].push(line);
+    }
+  }
+
+  if (result.length !== expectedCount) {
+    return null;
+  }
+  const texts = [];
+  for (let index = 0; index < expectedCount; index += 1) {
+    const text = result[index]?.join('\n').trim();
+    if (!text) {
+      return null;
+    }
+    texts.push(text);
+  }
+  return texts;
+}
+
+function estimateChunkMaxTokens(text) {
+  const charCount = Array.from(String(text || '')).length;
+  return Math.min(CHUNK_MAX_TOKENS_LIMIT, Math.max(256, Math.round(charCount * 2) + 256));
+}
+
+function translateChunkText(translateChunk, text, instructions, slot) {
+  return translateChunk(text, {
+    instructions,
+    maxTokens: estimateChunkMaxTokens(text),
+    slot
+  });
+}
+
+function buildDocumentCanceledError() {
+  const error = new Error('文档翻译已取消');
+  error.isCanceled = true;
+  return error;
+}
+
+async function runWithConcurrency(items, concurrency, worker, signal) {
+  let nextIndex = 0;
+  let failed = false;
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, (_, slot) => {
+    return (async () => {
+      while (!failed && !signal?.aborted && nextIndex < items.length) {
+        const index = nextIndex;
+        nextIndex += 1;
+        try {
+          await worker(items[index], index, slot);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    })();
+  });
+  await Promise.all(runners);
+}
+
+async function translateSrtJob(job, slot, translateChunk) {
+  const translation = await translateChunkText(translateChunk, job.text, job.instructions, slot);
+  const texts = parseSrtTranslation(translation, job.cues.length);
+  if (texts) {
+    return texts;
+  }
+
+  const fallbackTexts = [];
+  for (const cue of job.cues) {
+    fallbackTexts.push(String(await translateChunkText(translateChunk, cue.text, '', slot)).trim());
+  }
+  return fallbackTexts;
+}
+
+function renderPlan(plan, format, translations) {
+  if (format === 'srt') {
+    return `${plan.cues
+      .map((cue) => {
+        const text = cue.text ? translations[cue.jobIndex][cue.offset] : '';
+        return text ? `${cue.header}\n${text}` : cue.header;
+      })
+      .join('\n\n')}\n`;
+  }
+
+  return plan.pieces
+    .map((piece) => (piece.literal !== undefined ? piece.literal : translations[piece.jobIndex]))
+    .join('');
+}
+
+async function translateDocument(text, options = {}) {
+  const format = options.format || 'text';
+  const signal = options.signal;
+  const translateChunk = (chunkText, chunkOptions) => {
+    return options.translateChunk(chunkText, { ...chunkOptions, signal });
+  };
+  const plan = planDocument(text, format, options);
+  const total = plan.jobs.length;
+  const translations = new Array(total);
+  let done = 0;
+
+  options.onProgress?.({ done, total });
+  await runWithConcurrency(
+    plan.jobs,
+    Number(options.concurrency) || 2,
+    async (job, index, slot) => {
+      translations[index] =
+        job.kind === 'srt'
+          ? await translateSrtJob(job, slot, translateChunk)
+          : String(await translateChunkText(translateChunk, job.text, job.instructions, slot)).trim();
+      done += 1;
+      options.onProgress?.({ done, total });
+    },
+    signal
+  );
+  if (signal?.aborted) {
+    throw buildDocumentCanceledError();
+  }
+
+  return renderPlan(plan, format, translations);
+}
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  buildOutputPath,
+  detectDocumentFormat,
+  planDocument,
+  translateDocument
+};
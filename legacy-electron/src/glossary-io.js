@@ -0,0 +1,401 @@
+const path = require('node:path');
+const { normalizeLanguageCode } = require('./language');
+const { getGlossaryScopeKey, normalizeGlossary } = require('./glossary');
+
+const GLOSSARY_FILE_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.tbx': 'tbx'
+};
+const COLUMN_ALIASES = {
+  source: ['source', 'term', 'source term', 'source_term', '原文', '原词', '术语'],
+  target: ['target', 'translation', 'target term', 'target_term', '译文', '译法'],
+  sourceLanguage: ['source_language', 'sourcelanguage', 'source lang', 'source_lang', '源语言'],
+  targetLanguage: ['target_language', 'targetlanguage', 'target lang', 'target_lang', '目标语言'],
+  caseSensitive: ['case_sensitive', 'casesensitive', '区分大小写'],
+  wholeWord: ['whole_word', 'wholeword', '整词'],
+  serviceIds: ['services', 'service_ids', 'serviceids', '服务']
+};
+const TRUE_VALUES = new Set(['1', 'true', 'yes', 'y', 'x', '是']);
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+function buildGlossaryFileError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_GLOSSARY_FILE';
+  return error;
+}
+
+function detectGlossaryFileFormat(filePath) {
+  return GLOSSARY_FILE_FORMATS[path.extname(String(filePath || '')).toLowerCase()] || '';
+}
+
+function parseDelimitedRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else {
+        inQuotes = false;
+      }
+      continue;
+    }
+
+    if (char === '"' && !field.trim()) {
+      field = '';
+      inQuotes = true;
+      continue;
+    }
+    if (char === delimiter) {
+      row.push(field);
+      field = '';
+      continue;
+    }
+    if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      continue;
+    }
+    field += char;
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function resolveColumnKey(header) {
+  const normalized = String(header || '')
+    .trim()
+    .toLowerCase();
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    if (aliases.includes(normalized)) {
+      return key;
+    }
+  }
+  return '';
+}
+
+function resolveColumns(headerRow) {
+  const columns = {};
+  headerRow.forEach((header, index) => {
+    const key = resolveColumnKey(header);
+    if (key && columns[key] === undefined) {
+      columns[key] = index;
+    }
+  });
+  if (columns.source !== undefined && columns.target !== undefined) {
+    return { columns, languages: {} };
+  }
+
+  const sourceLanguage = normalizeLanguageCode(headerRow[0]);
+  const targetLanguage = normalizeLanguageCode(headerRow[1]);
+  if (sourceLanguage && targetLanguage) {
+    return {
+      columns: { ...columns, source: 0, target: 1 },
+      languages: { sourceLanguage, targetLanguage }
+    };
+  }
+  return null;
+}
+
+function parseDelimitedGlossary(text, delimiter) {
+  const rows = parseDelimitedRows(text, delimiter);
+  if (rows.length === 0) {
+    return { entries: [], skipped: 0 };
+  }
+
+  const header = resolveColumns(rows[0]);
+  const columns = header ? header.columns : { source: 0, target: 1 };
+  const languages = header ? header.languages : {};
+  const dataRows = header ? rows.slice(1) : rows;
+  const cell = (row, key) => (columns[key] === undefined ? '' : String(row[columns[key]] || '').trim());
+
+  const entries = [];
+  let skipped = 0;
+  for (const row of dataRows) {
+    const source = cell(row, 'source');
+    const target = cell(row, 'target');
+    if (!source || !target) {
+      skipped += 1;
+      continue;
+    }
+    entries.push({
+      source,
+      target,
+      sourceLanguage: cell(row, 'sourceLanguage') || languages.sourceLanguage || '',
+      targetLanguage: cell(row, 'targetLanguage') || languages.targetLanguage || '',
+      caseSensitive: TRUE_VALUES.has(cell(row, 'caseSensitive').toLowerCase()),
+      wholeWord: TRUE_VALUES.has(cell(row, 'wholeWord').toLowerCase()),
+      serviceIds: cell(row, 'serviceIds')
+        .split(/[\s,;+]+/)
+        .filter(Boolean)
+    });
+  }
+  return { entries, skipped };
+}
+
+function decodeXmlText(text) {
+  return String(text || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+        return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+      }
+      return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    })
+    .trim();
+}
+
+function encodeXmlText(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function parseTbxGlossary(text, options = {}) {
+  const entryBlocks = text.match(/<(termEntry|conceptEntry)\b[\s\S]*?<\/\1>/g) || [];
+  if (entryBlocks.length === 0 && !/<(martif|tbx)\b/i.test(text)) {
+    throw buildGlossaryFileError('不是有效的 TBX 文件');
+  }
+
+  let sourceLanguage = normalizeLanguageCode(options.sourceLanguage);
+  let targetLanguage = normalizeLanguageCode(options.targetLanguage);
+  const entries = [];
+  let skipped = 0;
+  for (const block of entryBlocks) {
+    const langSets = [];
+    for (const match of block.matchAll(/<langSet\b([^>]*)>([\s\S]*?)<\/langSet>/g)) {
+      const langMatch = match[1].match(/xml:lang\s*=\s*["']([^"']+)["']/);
+      const termMatch = match[2].match(/<term\b[^>]*>([\s\S]*?)<\/term>/);
+      if (langMatch && termMatch) {
+        langSets.push({
+          language: normalizeLanguageCode(langMatch[1]),
+          term: decodeXmlText(termMatch[1])
+        });
+      }
+    }
+
+    if (!sourceLanguage && !targetLanguage && langSets.length >= 2) {
+      sourceLanguage = langSets[0].language;
+      targetLanguage = langSets[1].language;
+    }
+    const sourceSet =
+      langSets.find((item) => sourceLanguage && item.language === sourceLanguage) || langSets[0];
+    const targetSet =
+      langSets.find((item) => targetLanguage && item.language === targetLanguage && item !== sourceSet) ||
+      langSets.find((item) => item !== sourceSet);
+    if (!sourceSet?.term || !targetSet?.term) {
+      skipped += 1;
+      continue;
+    }
+    entries.push({
+      source: sourceSet.term,
+      target: targetSet.term,
+      sourceLanguage: sourceSet.language,
+      targetLanguage: targetSet.language
+    });
+  }
+  return { entries, skipped };
+}
+
+function parseGlossaryFile(text, format, options = {}) {
+  const normalizedText = String(text || '').replace(/^\uFEFF/, '');
+  let parsed = null;
+  if (format === 'tbx') {
+    parsed = parseTbxGlossary(normalizedText, options);
+  } else if (format === 'csv' || format === 'tsv') {
+    parsed = parseDelimitedGlossary(normalizedText, format === 'tsv' ? '\t' : ',');
+  } else {
+    throw buildGlossaryFileError('仅支持 CSV / TSV / TBX 术语文件');
+  }
+
+  const entries = normalizeGlossary(parsed.entries);
+  return {
+    entries,
+    skipped: parsed.skipped + (parsed.entries.length - entries.length)
+  };
+}
+
+function escapeDelimitedCell(value, delimiter) {
+  const text = String(value ?? '');
+  if (delimiter === '\t') {
+    return text.replace(/[\t\r\n]+/g, ' ');
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeDelimitedGlossary(entries, delimiter) {
+  const header = ['source', 'target', 'source_language', 'target_language', 'case_sensitive', 'whole_word', 'services'];
+  const rows = entries.map((entry) => [
+    entry.source,
+    entry.target,
+    entry.sourceLanguage,
+    entry.targetLanguage,
+    entry.caseSensitive ? 'true' : '',
+    entry.wholeWord ? 'true' : '',
+    entry.serviceIds.join(' ')
+  ]);
+  return `${[header, ...rows]
+    .map((row) => row.map((cell) => escapeDelimitedCell(cell, delimiter)).join(delimiter))
+    .join('\r\n')}\r\n`;
+}
+
+function serializeTbxGlossary(entries) {
+  const conceptEntries = entries.map((entry, index) => {
+    const langSet = (language, term) =>
+      `        <langSet xml:lang="${language || 'und'}">
+          <termSec>
+            <term>${encodeXmlText(term)}</term>
+          </termSec>
+        </langSet>`;
+    return `      <conceptEntry id="c${index + 1}">
+${langSet(entry.sourceLanguage, entry.source)}
+${langSet(entry.targetLanguage, entry.target)}
+      </conceptEntry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tbx type="TBX-Basic" style="dca" xml:lang="en" xmlns="urn:iso:std:iso:30042:ed-2">
+  <tbxHeader>
+    <fileDesc>
+      <sourceDesc>
+        <p>即刻译术语表导出</p>
+      </sourceDesc>
+    </fileDesc>
+  </tbxHeader>
+  <text>
+    <body>
+${conceptEntries.join('\n')}
+    </body>
+  </text>
+</tbx>
+`;
+}
+
+function serializeGlossaryFile(glossary, format) {
+  const entries = normalizeGlossary(glossary);
+  if (format === 'tbx') {
+    return serializeTbxGlossary(entries);
+  }
+  if (format === 'csv' || format === 'tsv') {
+    return serializeDelimitedGlossary(entries, format === 'tsv' ? '\t' : ',');
+  }
+  throw buildGlossaryFileError('仅支持 CSV / TSV / TBX 术语文件');
+}
+
+function groupGlossaryByScope(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = getGlossaryScopeKey(entry);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+function previewGlossaryImport(currentGlossary, importedGlossary) {
+  const currentByKey = groupGlossaryByScope(normalizeGlossary(currentGlossary));
+  const importedByKey = new Map();
+  const added = [];
+  const duplicates = [];
+  const conflicts = [];
+  for (const entry of normalizeGlossary(importedGlossary)) {
+    const key = getGlossaryScopeKey(entry);
+    const earlier = importedByKey.get(key);
+    if (earlier) {
+      if (earlier.target === entry.target) {
+        duplicates.push(entry);
+      } else {
+        conflicts.push({
+          current: earlier,
+          imported: entry,
+          withinImport: true
+        });
+      }
+      continue;
+    }
+    importedByKey.set(key, entry);
+
+    const existing = currentByKey.get(key) || [];
+    if (existing.length === 0) {
+      added.push(entry);
+    } else if (existing.some((item) => item.target === entry.target)) {
+      duplicates.push(entry);
+    } else {
+      conflicts.push({
+        current: existing[0],
+        currentEntries: existing,
+        imported: entry,
+        withinImport: false
+      });
+    }
+  }
+
+  return {
+    added,
+    duplicates,
+    conflicts
+  };
+}
+
+function mergeGlossaryImport(currentGlossary, importedGlossary, resolution = 'keep') {
+  const preview = previewGlossaryImport(currentGlossary, importedGlossary);
+  const replacements = new Map();
+  if (resolution === 'imported') {
+    for (const conflict of preview.conflicts) {
+      if (!conflict.withinImport) {
+        replacements.set(getGlossaryScopeKey(conflict.imported), conflict.imported);
+      }
+    }
+  }
+
+  const merged = [];
+  for (const entry of normalizeGlossary(currentGlossary)) {
+    const key = getGlossaryScopeKey(entry);
+    if (!replacements.has(key)) {
+      merged.push(entry);
+    } else if (replacements.get(key)) {
+      merged.push(replacements.get(key));
+      replacements.set(key, null);
+    }
+  }
+  return [...merged, ...preview.added];
+}
+
+module.exports = {
+  GLOSSARY_FILE_FORMATS,
+  detectGlossaryFileFormat,
+  mergeGlossaryImport,
+  parseGlossaryFile,
+  previewGlossaryImport,
+  serializeGlossaryFile
+};
@@ -0,0 +1,157 @@
+const { ANY_LANGUAGE, normalizeLanguageCode } = require('./language');
+
+const GLOSSARY_PROMPT_LIMIT = 200;
+const WORD_CHAR_PATTERN = /[\p{L}\p{N}_]/u;
+
+function normalizeEntryLanguage(value) {
+  const code = normalizeLanguageCode(value);
+  return code === ANY_LANGUAGE ? '' : code;
+}
+
+function normalizeServiceIds(rawServiceIds) {
+  const values = Array.isArray(rawServiceIds) ? rawServiceIds : String(rawServiceIds || '').split(',');
+  return Array.from(new Set(values.map((value) => String(value || '').trim()).filter(Boolean)));
+}
+
+function normalizeGlossaryEntry(item) {
+  const source = String(item?.source || '').trim();
+  const target = String(item?.target || '').trim();
+  if (!source || !target) {
+    return null;
+  }
+
+  return {
+    source,
+    target,
+    sourceLanguage: normalizeEntryLanguage(item.sourceLanguage),
+    targetLanguage: normalizeEntryLanguage(item.targetLanguage),
+    caseSensitive: item.caseSensitive === true,
+    wholeWord: item.wholeWord === true,
+    serviceIds: normalizeServiceIds(item.serviceIds)
+  };
+}
+
+function getGlossaryScopeKey(entry) {
+  return [
+    entry.caseSensitive ? entry.source : entry.source.toLowerCase(),
+    entry.sourceLanguage,
+    entry.targetLanguage,
+    entry.serviceIds.slice().sort().join(',')
+  ].join('\u0001');
+}
+
+function normalizeGlossary(rawGlossary = []) {
+  if (!Array.isArray(rawGlossary)) {
+    return [];
+  }
+  const dedupe = new Set();
+  const result = [];
+  for (const item of rawGlossary) {
+    const entry = normalizeGlossaryEntry(item);
+    if (!entry) {
+      continue;
+    }
+
+    const key = `${getGlossaryScopeKey(entry)}\u0001${entry.target}`;
+    if (dedupe.has(key)) {
+      continue;
+    }
+    dedupe.add(key);
+    result.push(entry);
+  }
+
+  return result;
+}
+
+function isWordBoundary(text, index) {
+  return index < 0 || index >= text.length || !WORD_CHAR_PATTERN.test(text[index]);
+}
+
+function occursInText(entry, text, lowerText) {
+  const haystack = entry.caseSensitive ? text : lowerText;
+  const needle = entry.caseSensitive ? entry.source : entry.source.toLowerCase();
+  let index = haystack.indexOf(needle);
+  if (!entry.wholeWord) {
+    return index >= 0;
+  }
+
+  while (index >= 0) {
+    if (isWordBoundary(haystack, index - 1) && isWordBoundary(haystack, index + needle.length)) {
+      return true;
+    }
+    index = haystack.indexOf(needle, index + 1);
+  }
+  return false;
+}
+
+function matchesLanguage(entryLanguage, requestLanguage) {
+  return !entryLanguage || !requestLanguage || entryLanguage === requestLanguage;
+}
+
+function selectGlossaryEntries(glossary, text, scope = {}) {
+  const entries = normalizeGlossary(glossary);
+  const sourceText = String(text || '');
+  if (entries.length === 0 || !sourceText) {
+    return [];
+  }
+
+  const lowerText = sourceText.toLowerCase();
+  const serviceId = String(scope.serviceId || '').trim();
+  const sourceLanguage = normalizeEntryLanguage(scope.sourceLanguage);
+  const targetLanguage = normalizeEntryLanguage(scope.targetLanguage);
+  const matched = entries.filter((entry) => {
+    if (entry.serviceIds.length > 0 && !entry.serviceIds.includes(serviceId)) {
+      return false;
+    }
+    if (!matchesLanguage(entry.sourceLanguage, sourceLanguage)) {
+      return false;
+    }
+    if (!matchesLanguage(entry.targetLanguage, targetLanguage)) {
+      return false;
+    }
+    return occursInText(entry, sourceText, lowerText);
+  });
+
+  if (matched.length <= GLOSSARY_PROMPT_LIMIT) {
+    return matched;
+  }
+  return matched
+    .slice()
+    .sort((left, right) => right.source.length - left.source.length)
+    .slice(0, GLOSSARY_PROMPT_LIMIT);
+}
+
+function findGlossaryMisses(glossary, sourceText, translation, scope = {}) {
+  const translatedText = String(translation || '');
+  if (!translatedText.trim()) {
+    return [];
+  }
+
+  const lowerTranslation = translatedText.toLowerCase();
+  return selectGlossaryEntries(glossary, sourceText, scope)
+    .filter((entry) => {
+      return entry.caseSensitive
+        ? !translatedText.includes(entry.target)
+        : !lowerTranslation.includes(entry.target.toLowerCase());
+    })
+    .map((entry) => ({
+      source: entry.source,
+      target: entry.target
+    }));
+}
+
+function buildGlossarySignature(glossary) {
+  if (!Array.isArray(glossary) || glossary.length === 0) {
+    return '';
+  }
+  return glossary.map((item) => `${item.source}=>${item.target}`).join('|');
+}
+
+module.exports = {
+  buildGlossarySignature,
+  findGlossaryMisses,
+  getGlossaryScopeKey,
+  normalizeGlossary,
+  normalizeGlossaryEntry,
+  selectGlossaryEntries
+};
@@ -0,0 +1,12 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('historyApi', {
+  list: (payload) => ipcRenderer.invoke('history:list', payload),
+  remove: (entryId) => ipcRenderer.invoke('history:remove', entryId),
+  clear: () => ipcRenderer.invoke('history:clear'),
+  rerun: (entryId) => ipcRenderer.invoke('history:rerun', entryId),
+  writeClipboardText: (text) => ipcRenderer.invoke('history:clipboard-write-text', text),
+  onUpdated: (handler) => {
+    ipcRenderer.on('history-updated', () => handler());
+  }
+});
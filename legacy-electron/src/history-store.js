@@ -0,0 +1,203 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getHistoryPath } = require('./config');
+
+const HISTORY_LIMIT = 500;
+const HISTORY_TEXT_LIMIT = 20000;
+const INPUT_MERGE_WINDOW_MS = 60 * 1000;
+
+let historyEntries = null;
+
+function normalizeText(value) {
+  return String(value ?? '').slice(0, HISTORY_TEXT_LIMIT);
+}
+
+function normalizeTimestamp(value, fallback) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return Math.floor(parsed);
+  }
+  return fallback;
+}
+
+function normalizeHistoryResult(rawResult) {
+  const raw = rawResult && typeof rawResult === 'object' ? rawResult : {};
+  const status = String(raw.status || '').trim() === 'done' ? 'done' : 'error';
+
+  return {
+    serviceId: String(raw.serviceId || '').trim(),
+    serviceName: String(raw.serviceName || '').trim(),
+    model: String(raw.model || '').trim(),
+    targetLanguage: String(raw.targetLanguage || '').trim(),
+    status,
+    translation: status === 'done' ? normalizeText(raw.translation) : '',
+    error: status === 'done' ? '' : String(raw.error || '').trim()
+  };
+}
+
+function normalizeHistoryEntry(rawEntry) {
+  if (!rawEntry || typeof rawEntry !== 'object') {
+    return null;
+  }
+
+  const sourceText = normalizeText(rawEntry.sourceText).trim();
+  if (!sourceText) {
+    return null;
+  }
+
+  const now = Date.now();
+  const createdAt = normalizeTimestamp(rawEntry.createdAt, now);
+  const results = Array.isArray(rawEntry.results)
+    ? rawEntry.results.map((item) => normalizeHistoryResult(item)).filter((item) => item.serviceId)
+    : [];
+  const firstResult = results[0];
+
+  return {
+    id: String(rawEntry.id || '').trim() || `his_${crypto.randomUUID()}`,
+    createdAt,
+    updatedAt: normalizeTimestamp(rawEntry.updatedAt, createdAt),
+    sourceType: String(rawEntry.sourceType || '').trim() || 'selection',
+    sourceText,
+    targetLanguage:
+      String(rawEntry.targetLanguage || '').trim() || String(firstResult?.targetLanguage || ''),
+    results
+  };
+}
+
+function loadHistoryEntries() {
+  if (historyEntries) {
+    return historyEntries;
+  }
+
+  try {
+    const raw = fs.readFileSync(getHistoryPath(), 'utf-8');
+    const parsed = JSON.parse(raw);
+    const rawEntries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+    historyEntries = rawEntries
+      .map((item) => normalizeHistoryEntry(item))
+      .filter(Boolean)
+      .slice(0, HISTORY_LIMIT);
+  } catch {
+    historyEntries = [];
+  }
+
+  return historyEntries;
+}
+
+function saveHistoryEntries() {
+  const historyPath = getHistoryPath();
+  const historyDir = path.dirname(historyPath);
+  if (!fs.existsSync(historyDir)) {
+    fs.mkdirSync(historyDir, { recursive: true });
+  }
+
+  fs.writeFileSync(
+    historyPath,
+    JSON.stringify({ entries: loadHistoryEntries() }, null, 2),
+    'utf-8'
+  );
+}
+
+function isEditOfText(previousText, nextText) {
+  return previousText.startsWith(nextText) || nextText.startsWith(previousText);
+}
+
+function addHistoryEntry(rawEntry) {
+  const entry = normalizeHistoryEntry(rawEntry);
+  if (!entry) {
+    return null;
+  }
+
+  const entries = loadHistoryEntries();
+  const latest = entries[0];
+  const shouldReplaceLatest =
+    latest &&
+    entry.sourceType === 'input' &&
+    latest.sourceType === 'input' &&
+    entry.updatedAt - latest.updatedAt <= INPUT_MERGE_WINDOW_MS &&
+    isEditOfText(latest.sourceText, entry.sourceText);
+
+  if (shouldReplaceLatest) {
+    entries[0] = {
+      ...entry,
+      id: latest.id,
+      createdAt: latest.createdAt
+    };
+  } else {
+    entries.unshift(entry);
+    if (entries.length > HISTORY_LIMIT) {
+      entries.length = HISTORY_LIMIT;
+    }
+  }
+
+  saveHistoryEntries();
+  return entries[0];
+}
+
+function matchesHistoryQuery(entry, query) {
+  if (!query) {
+    return true;
+  }
+
+  if (entry.sourceText.toLowerCase().includes(query)) {
+    return true;
+  }
+
+  return entry.results.some((item) => {
+    return (
+      item.translation.toLowerCase().includes(query) ||
+      item.serviceName.toLowerCase().includes(query) ||
+      item.model.toLowerCase().includes(query)
+    );
+  });
+}
+
+function listHistoryEntries(options = {}) {
+  const query = String(options.query || '').trim().toLowerCase();
+  const limitCandidate = Number(options.limit);
+  const limit =
+    Number.isFinite(limitCandidate) && limitCandidate > 0
+      ? Math.floor(limitCandidate)
+      : HISTORY_LIMIT;
+
+  return loadHistoryEntries()
+    .filter((entry) => matchesHistoryQuery(entry, query))
+    .slice(0, limit);
+}
+
+function getHistoryEntry(entryId) {
+  const id = String(entryId || '').trim();
+  if (!id) {
+    return null;
+  }
+
+  return loadHistoryEntries().find((entry) => entry.id === id) || null;
+}
+
+function removeHistoryEntry(entryId) {
+  const id = String(entryId || '').trim();
+  const entries = loadHistoryEntries();
+  const index = entries.findIndex((entry) => entry.id === id);
+  if (index < 0) {
+    return false;
+  }
+
+  entries.splice(index, 1);
+  saveHistoryEntries();
+  return true;
+}
+
+function clearHistory() {
+  historyEntries = [];
+  saveHistoryEntries();
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  addHistoryEntry,
+  listHistoryEntries,
+  getHistoryEntry,
+  removeHistoryEntry,
+  clearHistory
+};
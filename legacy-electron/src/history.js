@@ -0,0 +1,216 @@
+const searchInput = document.getElementById('searchInput');
+const clearButton = document.getElementById('clearBtn');
+const statusNode = document.getElementById('status');
+const historyListNode = document.getElementById('historyList');
+const SEARCH_DEBOUNCE_MS = 180;
+
+const SOURCE_TYPE_LABELS = {
+  selection: '划词',
+  input: '输入',
+  history: '历史重译',
+  ocr: 'OCR'
+};
+
+let historyEntries = [];
+let searchTimerHandle = 0;
+let loadSequence = 0;
+
+function setStatus(text, isError = false) {
+  statusNode.textContent = text;
+  statusNode.style.color = isError ? '#fda4af' : '#9fb1c8';
+}
+
+function formatTimestamp(value) {
+  const date = new Date(Number(value) || 0);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(
+    date.getHours()
+  )}:${pad(date.getMinutes())}`;
+}
+
+async function copyText(text, label) {
+  try {
+    await window.historyApi.writeClipboardText(text);
+    setStatus(`${label}已复制`);
+  } catch {
+    setStatus('复制失败：无法写入剪贴板', true);
+  }
+}
+
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  if (className) {
+    button.className = className;
+  }
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderResult(result) {
+  const node = document.createElement('div');
+  node.className = `history-result status-${result.status}`;
+
+  const head = document.createElement('div');
+  head.className = 'history-result-head';
+  const title = document.createElement('span');
+  title.textContent = [result.serviceName || result.serviceId, result.model, result.targetLanguage]
+    .filter(Boolean)
+    .join(' · ');
+  head.appendChild(title);
+
+  if (result.status === 'done' && result.translation) {
+    head.appendChild(
+      createButton('复制', '', () => {
+        copyText(result.translation, '译文');
+      })
+    );
+  }
+
+  const text = document.createElement('div');
+  text.className = 'history-result-text';
+  text.textContent = result.status === 'done' ? result.translation : `失败：${result.error || '未知错误'}`;
+
+  node.append(head, text);
+  return node;
+}
+
+function renderEntry(entry) {
+  const node = document.createElement('article');
+  node.className = 'history-entry';
+
+  const head = document.createElement('div');
+  head.className = 'history-entry-head';
+  const meta = document.createElement('div');
+  meta.className = 'history-entry-meta';
+  meta.textContent = [
+    formatTimestamp(entry.updatedAt),
+    SOURCE_TYPE_LABELS[entry.sourceType] || entry.sourceType,
+    entry.targetLanguage ? `→ ${entry.targetLanguage}` : ''
+  ]
+    .filter(Boolean)
+    .join(' ｜ ');
+
+  const actions = document.createElement('div');
+  actions.className = 'history-entry-actions';
+  actions.append(
+    createButton('复制原文', '', () => {
+      copyText(entry.sourceText, '原文');
+    }),
+    createButton('重新翻译', 'primary', () => {
+      rerunEntry(entry.id);
+    }),
+    createButton('删除', 'warn', () => {
+      removeEntry(entry.id);
+    })
+  );
+  head.append(meta, actions);
+
+  const source = document.createElement('div');
+  source.className = 'history-source';
+  source.textContent = entry.sourceText;
+
+  const results = document.createElement('div');
+  results.className = 'history-results';
+  for (const result of entry.results || []) {
+    results.appendChild(renderResult(result));
+  }
+
+  node.append(head, source, results);
+  return node;
+}
+
+function renderHistoryList() {
+  historyListNode.textContent = '';
+  if (historyEntries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = searchInput.value.trim() ? '没有匹配的历史记录' : '暂无翻译历史';
+    historyListNode.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  for (const entry of historyEntries) {
+    fragment.appendChild(renderEntry(entry));
+  }
+  historyListNode.appendChild(fragment);
+}
+
+async function loadHistory() {
+  const sequence = ++loadSequence;
+  try {
+    const entries = await window.historyApi.list({ query: searchInput.value });
+    if (sequence !== loadSequence) {
+      return;
+    }
+    historyEntries = Array.isArray(entries) ? entries : [];
+    renderHistoryList();
+    setStatus(`共 ${historyEntries.length} 条记录`);
+  } catch (error) {
+    setStatus(`读取历史失败：${error?.message || error}`, true);
+  }
+}
+
+async function rerunEntry(entryId) {
+  setStatus('正在重新翻译...');
+  try {
+    const result = await window.historyApi.rerun(entryId);
+    if (!result?.ok) {
+      setStatus(result?.error || '重新翻译失败', true);
+      return;
+    }
+    setStatus('重新翻译完成');
+  } catch (error) {
+    setStatus(`重新翻译失败：${error?.message || error}`, true);
+  }
+}
+
+async function removeEntry(entryId) {
+  try {
+    await window.historyApi.remove(entryId);
+    await loadHistory();
+  } catch (error) {
+    setStatus(`删除失败：${error?.message || error}`, true);
+  }
+}
+
+searchInput.addEventListener('input', () => {
+  if (searchTimerHandle) {
+    clearTimeout(searchTimerHandle);
+  }
+  searchTimerHandle = window.setTimeout(() => {
+    searchTimerHandle = 0;
+    loadHistory();
+  }, SEARCH_DEBOUNCE_MS);
+});
+
+clearButton.addEventListener('click', async () => {
+  if (!window.confirm('确定清空全部翻译历史？')) {
+    return;
+  }
+
+  try {
+    await window.historyApi.clear();
+    await loadHistory();
+  } catch (error) {
+    setStatus(`清空失败：${error?.message || error}`, true);
+  }
+});
+
+window.historyApi.onUpdated(() => {
+  loadHistory();
+});
+
+window.addEventListener('DOMContentLoaded', () => {
+  loadHistory();
+});
+
+window.addEventListener('focus', () => {
+  loadHistory();
+});
@@ -0,0 +1,117 @@
+const LANGUAGE_OPTIONS = [
+  { code: 'zh', label: '简体中文', aliases: ['中文', '汉语', '繁體中文', '繁体中文', 'chinese', 'zh-cn', 'zh-hans', 'zh-tw', 'zh-hant'] },
+  { code: 'en', label: 'English', aliases: ['英文', '英语', 'en-us', 'en-gb'] },
+  { code: 'ja', label: '日本語', aliases: ['日文', '日语', 'japanese'] },
+  { code: 'ko', label: '한국어', aliases: ['韩文', '韩语', 'korean'] },
+  { code: 'fr', label: 'Français', aliases: ['法语', '法文', 'french'] },
+  { code: 'de', label: 'Deutsch', aliases: ['德语', '德文', 'german'] },
+  { code: 'es', label: 'Español', aliases: ['西班牙语', 'spanish'] },
+  { code: 'ru', label: 'Русский', aliases: ['俄语', '俄文', 'russian'] }
+];
+
+const ANY_LANGUAGE = '*';
+
+const LATIN_STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'of', 'to', 'in', 'that', 'with', 'for', 'this', 'it'],
+  fr: ['le', 'la', 'les', 'des', 'est', 'et', 'une', 'dans', 'pour', 'que', 'qui', 'pas'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'mit', 'für', 'auf', 'ich'],
+  es: ['el', 'los', 'las', 'es', 'y', 'una', 'por', 'para', 'con', 'que', 'del', 'está']
+};
+
+function normalizeLanguageCode(value) {
+  const raw = String(value || '').trim();
+  if (!raw) {
+    return '';
+  }
+  if (raw === ANY_LANGUAGE) {
+    return ANY_LANGUAGE;
+  }
+
+  const lowered = raw.toLowerCase();
+  const option = LANGUAGE_OPTIONS.find((item) => {
+    return (
+      item.code === lowered ||
+      item.label.toLowerCase() === lowered ||
+      item.aliases.includes(lowered)
+    );
+  });
+  return option ? option.code : '';
+}
+
+function languageLabel(code) {
+  const option = LANGUAGE_OPTIONS.find((item) => item.code === code);
+  return option ? option.label : '';
+}
+
+function countMatches(text, pattern) {
+  const matches = text.match(pattern);
+  return matches ? matches.length : 0;
+}
+
+function detectLatinLanguage(text) {
+  const words = text.toLowerCase().match(/[a-zà-ÿß]+/g) || [];
+  if (words.length === 0) {
+    return 'en';
+  }
+
+  let bestCode = 'en';
+  let bestScore = 0;
+  for (const [code, stopwords] of Object.entries(LATIN_STOPWORDS)) {
+    const stopwordSet = new Set(stopwords);
+    const score = words.filter((word) => stopwordSet.has(word)).length;
+    if (score > bestScore) {
+      bestCode = code;
+      bestScore = score;
+    }
+  }
+  return bestCode;
+}
+
+function detectLanguage(text) {
+  const source = String(text || '');
+  const han = countMatches(source, /\p{Script=Han}/gu);
+  const kana = countMatches(source, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const hangul = countMatches(source, /\p{Script=Hangul}/gu);
+  const cyrillic = countMatches(source, /\p{Script=Cyrillic}/gu);
+  const latin = countMatches(source, /\p{Script=Latin}/gu);
+
+  if (kana > 0 && kana * 5 >= han) {
+    return 'ja';
+  }
+  if (hangul > 0 && hangul >= han && hangul * 4 >= latin) {
+    return 'ko';
+  }
+  if (han > 0 && han * 4 >= latin) {
+    return 'zh';
+  }
+  if (cyrillic > 0 && cyrillic >= latin) {
+    return 'ru';
+  }
+  if (latin > 0) {
+    return detectLatinLanguage(source);
+  }
+  return '';
+}
+
+function resolvePairTarget(sourceLanguage, pairs) {
+  if (!Array.isArray(pairs)) {
+    return '';
+  }
+
+  const exact = pairs.find((pair) => pair.source === sourceLanguage);
+  if (exact) {
+    return exact.target;
+  }
+
+  const wildcard = pairs.find((pair) => pair.source === ANY_LANGUAGE);
+  return wildcard ? wildcard.target : '';
+}
+
+module.exports = {
+  ANY_LANGUAGE,
+  LANGUAGE_OPTIONS,
+  detectLanguage,
+  languageLabel,
+  normalizeLanguageCode,
+  resolvePairTarget
+};
@@ -0,0 +1,237 @@
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+const LOCAL_API_HOST = '127.0.0.1';
+const LOCAL_API_BODY_LIMIT = 1024 * 1024;
+const ALLOWED_HOSTNAMES = new Set(['127.0.0.1', 'localhost']);
+
+let server = null;
+
+function buildLocalApiError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function writeCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Jikeyi-Token');
+}
+
+function sendJson(res, statusCode, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+function sendSseEvent(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function isAllowedHost(hostHeader) {
+  const hostname = String(hostHeader || '')
+    .trim()
+    .replace(/:\d+$/, '')
+    .toLowerCase();
+  return ALLOWED_HOSTNAMES.has(hostname);
+}
+
+function readRequestToken(req) {
+  const authorization = String(req.headers.authorization || '').trim();
+  const bearerMatch = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearerMatch) {
+    return bearerMatch[1].trim();
+  }
+  return String(req.headers['x-jikeyi-token'] || '').trim();
+}
+
+function isAuthorized(req, token) {
+  const expected = Buffer.from(String(token || ''));
+  const provided = Buffer.from(readRequestToken(req));
+  if (expected.length === 0 || expected.length !== provided.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expected, provided);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > LOCAL_API_BODY_LIMIT) {
+        reject(buildLocalApiError(413, '请求体过大'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf-8').trim();
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        const parsed = JSON.parse(raw);
+        resolve(parsed && typeof parsed === 'object' ? parsed : {});
+      } catch {
+        reject(buildLocalApiError(400, '请求体不是合法 JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function normalizeTranslateRequest(body) {
+  const text = String(body?.text || '');
+  if (!text.trim()) {
+    throw buildLocalApiError(400, '缺少 text 字段');
+  }
+
+  return {
+    text,
+    serviceId: String(body?.serviceId || '').trim(),
+    allServices: body?.allServices === true,
+    targetLanguage: String(body?.targetLanguage || '').trim(),
+    preset: String(body?.preset || '').trim()
+  };
+}
+
+async function handleStreamTranslate(req, res, handlers) {
+  const request = normalizeTranslateRequest(await readJsonBody(req));
+  const controller = new AbortController();
+  res.on('close', () => {
+    controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  try {
+    const result = await handlers.translate(request, {
+      signal: controller.signal,
+      onServiceStart: (service) => {
+        sendSseEvent(res, 'service-start', service);
+      },
+      onDelta: (serviceId, fullText, deltaText) => {
+        sendSseEvent(res, 'delta', { serviceId, delta: deltaText, text: fullText });
+      },
+      onServiceDone: (serviceResult) => {
+        sendSseEvent(res, 'service-done', serviceResult);
+      }
+    });
+    sendSseEvent(res, 'done', result);
+  } catch (error) {
+    sendSseEvent(res, 'error', { error: error instanceof Error ? error.message : String(error) });
+  } finally {
+    res.end();
+  }
+}
+
+async function handleRequest(req, res, options) {
+  const { token, handlers } = options;
+  writeCorsHeaders(res);
+
+  if (!isAllowedHost(req.headers.host)) {
+    sendJson(res, 403, { error: '仅允许通过 127.0.0.1 或 localhost 访问' });
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url || '/', `http://${LOCAL_API_HOST}`);
+  if (req.method === 'GET' && pathname === '/v1/health') {
+    sendJson(res, 200, { ok: true, name: handlers.appName || '' });
+    return;
+  }
+
+  if (!isAuthorized(req, token)) {
+    sendJson(res, 401, { error: '缺少或无效的访问令牌' });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/v1/services') {
+    sendJson(res, 200, { services: handlers.listServices() });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/v1/translate') {
+    const request = normalizeTranslateRequest(await readJsonBody(req));
+    sendJson(res, 200, await handlers.translate(request, {}));
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/v1/translate/stream') {
+    await handleStreamTranslate(req, res, handlers);
+    return;
+  }
+
+  sendJson(res, 404, { error: `未知接口：${req.method} ${pathname}` });
+}
+
+function stopLocalApiServer() {
+  if (!server) {
+    return Promise.resolve();
+  }
+
+  const closingServer = server;
+  server = null;
+  return new Promise((resolve) => {
+    closingServer.close(() => resolve());
+    closingServer.closeAllConnections?.();
+  });
+}
+
+async function startLocalApiServer(options = {}) {
+  await stopLocalApiServer();
+
+  const requestOptions = {
+    token: String(options.token || ''),
+    handlers: options.handlers || {}
+  };
+  const nextServer = http.createServer((req, res) => {
+    handleRequest(req, res, requestOptions).catch((error) => {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      const statusCode = Number(error?.statusCode) || 500;
+      sendJson(res, statusCode, { error: error instanceof Error ? error.message : String(error) });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    nextServer.once('error', reject);
+    nextServer.listen(options.port, LOCAL_API_HOST, () => {
+      nextServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  server = nextServer;
+  return {
+    host: LOCAL_API_HOST,
+    port: nextServer.address().port
+  };
+}
+
+module.exports = {
+  startLocalApiServer,
+  stopLocalApiServer
+};
@@ -2,29 +2,116 @@ const {
   app,
   BrowserWindow,
   clipboard,
+  dialog,
   globalShortcut,
   Menu,
   Notification,
   Tray,
+  safeStorage,
   screen,
   shell,
   ipcMain
 } = require('electron');
 const fs = require('node:fs');
+const crypto = require('node:crypto');
 const { execFile, spawn } = require('node:child_process');
 const path = require('node:path');
 const { promisify } = require('node:util');
 const {
+  DEFAULT_SERVICE_RETRY,
   DEFAULT_SETTINGS,
+  ROUTING_STRATEGIES,
   ensureConfigFiles,
   getActiveService,
+  getConfigDir,
   getRuntimeConfig,
+  getSettingsLoadError,
   getSettingsPath,
+  getUnreadableSecretServiceIds,
+  normalizeServiceProtocol,
+  readAppState,
   readSettings,
+  updateAppState,
+  validateSettingsText,
   writeSettings
 } = require('./config');
-const { translateText, streamTranslateText } = require('./translator');
+const {
+  lookupDictionaryEntry,
+  synthesizeTranslations,
+  translateText,
+  streamTranslateText
+} = require('./translator');
+const {
+  clearTranslationCache,
+  configureTranslationCache,
+  flushTranslationCache,
+  getTranslationCacheStats
+} = require('./translation-cache');
+const {
+  addHistoryEntry,
+  clearHistory,
+  getHistoryEntry,
+  listHistoryEntries,
+  removeHistoryEntry
+} = require('./history-store');
+const {
+  addVocabularyEntry,
+  buildVocabularyAnkiCsv,
+  getVocabularyStats,
+  hasVocabularyWord,
+  listDueVocabularyEntries,
+  listVocabularyEntries,
+  removeVocabularyEntry,
+  reviewVocabularyEntry
+} = require('./vocabulary-store');
+const {
+  decayServiceMetric,
+  flushServiceMetrics,
+  loadServiceMetrics,
+  recordServiceLatencySample,
+  resetServiceMetrics,
+  scheduleServiceMetricsFlush
+} = require('./service-metrics-store');
+const { isDictionaryQuery, normalizeDictionaryQuery } = require('./dictionary');
+const { configureSecretStorage, getSecretStorageMode } = require('./secret-store');
+const {
+  SETTINGS_BUNDLE_EXTENSION,
+  applySettingsBundle,
+  buildSettingsBundle,
+  parseSettingsBundle
+} = require('./settings-bundle');
+const { findGlossaryMisses, normalizeGlossary } = require('./glossary');
+const {
+  DEFAULT_PROMPT_PRESET,
+  DEFAULT_TRANSLATION_MODE,
+  normalizePromptPresetId,
+  normalizePromptTemplate,
+  normalizePromptTemplates,
+  normalizeTranslationModeId
+} = require('./prompt-templates');
+const {
+  GLOSSARY_FILE_FORMATS,
+  detectGlossaryFileFormat,
+  mergeGlossaryImport,
+  parseGlossaryFile,
+  previewGlossaryImport,
+  serializeGlossaryFile
+} = require('./glossary-io');
 const { createTrayIcon } = require('./tray-icon');
+const { startLocalApiServer, stopLocalApiServer } = require('./local-api-server');
+const {
+  DOCUMENT_FORMATS,
+  buildOutputPath,
+  detectDocumentFormat,
+  translateDocument
+} = require('./document-translator');
+const {
+  ANY_LANGUAGE,
+  detectLanguage,
+  languageLabel,
+  normalizeLanguageCode,
+  resolvePairTarget
+} = require('./language');
 
 const execFileAsync = promisify(execFile);
 const APP_NAME = '即刻译';
@@ -70,7 +157,20 @@ const SERVICE_ROUTE_EWMA_ALPHA = 0.35;
 const SERVICE_ROUTE_FAILURE_PENALTY_MS = 320;
 const SERVICE_ROUTE_TIMEOUT_PENALTY_MS = 560;
 const SERVICE_ROUTE_DISABLED_PENALTY_MS = 2200;
+const SERVICE_ROUTE_RATE_LIMIT_PENALTY_MS = 1600;
+const SERVICE_ROUTE_PREFERENCE_WEIGHT_MS = 420;
+const SERVICE_CIRCUIT_FAILURE_THRESHOLD = 3;
+const SERVICE_CIRCUIT_COOLDOWN_MS = 60 * 1000;
+const SERVICE_CIRCUIT_AUTH_COOLDOWN_MS = 10 * 60 * 1000;
+const SERVICE_CIRCUIT_MAX_COOLDOWN_MS = 30 * 60 * 1000;
+const SERVICE_CIRCUIT_MENU_REASON_LENGTH = 48;
+const SERVICE_CIRCUIT_ALL_OPEN_MESSAGE = '所有翻译服务均已熔断，请稍后重试，或在托盘菜单“服务熔断”中手动重置。';
 const SERVICE_STREAM_UPDATE_THROTTLE_MS = 78;
+const DOCUMENT_MAX_BYTES = 5 * 1024 * 1024;
+const DOCUMENT_CONCURRENCY_PER_SERVICE = 2;
+const DOCUMENT_MAX_CONCURRENCY = 6;
+const DOCUMENT_LANGUAGE_SAMPLE_CHARS = 4000;
+const SETTINGS_RELOAD_DEBOUNCE_MS = 300;
 
 const DEFAULT_SHORTCUTS = {
   translateShortcut: 'CommandOrControl+Shift+T',
@@ -98,9 +198,16 @@ const GLOBAL_ENV_SETTING_KEYS = [
 
 let mainWindow;
 let preferencesWindow;
+let settingsWatcher = null;
+let settingsReloadTimer = null;
+let lastLoadedSettingsText = '';
+let historyWindow;
+let vocabularyWindow;
 let tray;
 let runtimeConfig;
 let translationInProgress = false;
+let activeTranslationJob = null;
+let followUpTranslationJob = null;
 let isQuitting = false;
 let isMainWindowReady = false;
 let pendingTranslationPayload = null;
@@ -124,7 +231,10 @@ let macClickMonitorProcess = null;
 let macClickMonitorStdoutBuffer = '';
 let macClickMonitorRestartTimer = null;
 let macClickMonitorPermissionNotified = false;
-const serviceRoutingMetrics = new Map();
+let serviceVotes = {};
+let serviceCircuitTrayTimer = null;
+const serviceCircuitProbes = new Set();
+let lastServiceVote = null;
 let bubbleDismissedByBlur = false;
 let bubbleHideTimer = null;
 let bubbleOutsideWatchTimer = null;
@@ -134,6 +244,25 @@ let selectionReadInProgress = false;
 let mainWindowShownAt = 0;
 let latestSelectionAnchor = null;
 let bubblePinned = false;
+let translatorInputMode = false;
+let pendingInputTranslationText = null;
+let translatorTargetLanguage = '';
+let translatorPromptPreset = DEFAULT_PROMPT_PRESET;
+let translatorModesByPopupMode = {};
+let modeResultSnapshots = {
+  key: '',
+  byMode: new Map()
+};
+let latestTranslationRequest = null;
+let pendingRetranslation = false;
+let documentTranslationController = null;
+let localApiServerTask = Promise.resolve();
+let localApiServerSignature = '';
+let localApiServerStatus = {
+  running: false,
+  port: 0,
+  error: ''
+};
 
 const gotSingleInstanceLock = app.requestSingleInstanceLock();
 if (!gotSingleInstanceLock) {
@@ -185,6 +314,97 @@ function normalizeRuntimeConfig(config) {
 
 function loadRuntimeConfig() {
   runtimeConfig = normalizeRuntimeConfig(getRuntimeConfig());
+  lastLoadedSettingsText = readSettingsFileText();
+}
+
+function readSettingsFileText() {
+  try {
+    return fs.readFileSync(getSettingsPath(), 'utf-8');
+  } catch {
+    return '';
+  }
+}
+
+function emitPreferencesSettingsChanged(payload) {
+  if (!preferencesWindow || preferencesWindow.isDestroyed()) {
+    return;
+  }
+
+  preferencesWindow.webContents.send('preferences-settings-changed', payload);
+}
+
+function reloadSettingsFromDisk() {
+  const raw = readSettingsFileText();
+  if (!raw.trim() || raw === lastLoadedSettingsText) {
+    return;
+  }
+
+  const errors = validateSettingsText(raw);
+  if (errors.length > 0) {
+    lastLoadedSettingsText = raw;
+    const message = `配置文件修改未生效：${errors[0]}${errors.length > 1 ? `（共 ${errors.length} 项问题）` : ''}`;
+    showNotification(APP_NAME, message);
+    emitPreferencesSettingsChanged({ ok: false, error: message });
+    return;
+  }
+
+  const previousServices = runtimeConfig?.services;
+  const configError = ensureConfigFilesSafely();
+  if (configError) {
+    lastLoadedSettingsText = raw;
+    showNotification(APP_NAME, `配置文件修改未生效：${configError}`);
+    emitPreferencesSettingsChanged({ ok: false, error: configError });
+    return;
+  }
+
+  // Moves pasted API keys into secret storage; the rewrite is skipped by the watcher
+  // because loadRuntimeConfig records the rewritten text as already loaded.
+  loadRuntimeConfig();
+  resetCircuitsForChangedServices(previousServices, runtimeConfig?.services);
+  loadTranslatorModes();
+  applyRuntimeConfig();
+  emitPreferencesSettingsChanged({
+    ok: true,
+    ...toPreferencesResponse()
+  });
+}
+
+function scheduleSettingsReload() {
+  if (settingsReloadTimer) {
+    clearTimeout(settingsReloadTimer);
+  }
+  settingsReloadTimer = setTimeout(() => {
+    settingsReloadTimer = null;
+    reloadSettingsFromDisk();
+  }, SETTINGS_RELOAD_DEBOUNCE_MS);
+}
+
+function stopSettingsWatcher() {
+  if (settingsReloadTimer) {
+    clearTimeout(settingsReloadTimer);
+    settingsReloadTimer = null;
+  }
+  if (settingsWatcher) {
+    settingsWatcher.close();
+    settingsWatcher = null;
+  }
+}
+
+function startSettingsWatcher() {
+  stopSettingsWatcher();
+  const settingsFileName = path.basename(getSettingsPath());
+  try {
+    settingsWatcher = fs.watch(getConfigDir(), (_, fileName) => {
+      if (!fileName || String(fileName) === settingsFileName) {
+        scheduleSettingsReload();
+      }
+    });
+    settingsWatcher.on('error', () => {
+      stopSettingsWatcher();
+    });
+  } catch {
+    // Ignore watcher errors, settings still apply on the next save from preferences.
+  }
 }
 
 function isBubbleMode() {
@@ -227,6 +447,24 @@ function setBubblePinned(nextPinned) {
   emitBubblePinStateToRenderer();
 }
 
+function emitInputModeToRenderer() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+
+  mainWindow.webContents.send('input-mode-updated', {
+    enabled: translatorInputMode === true
+  });
+}
+
+function setTranslatorInputMode(nextEnabled) {
+  translatorInputMode = nextEnabled === true;
+  if (!translatorInputMode) {
+    pendingInputTranslationText = null;
+  }
+  emitInputModeToRenderer();
+}
+
 function stopBubbleOutsideWatch() {
   if (bubbleOutsideWatchTimer) {
     clearInterval(bubbleOutsideWatchTimer);
@@ -693,6 +931,7 @@ function createMainWindow() {
     emitUiConfigToRenderer();
     emitAutomationConfigToRenderer();
     emitBubblePinStateToRenderer();
+    emitInputModeToRenderer();
     flushPendingTranslationPayload();
   });
 }
@@ -1017,10 +1256,149 @@ function openPreferencesWindow() {
   preferencesWindow.focus();
 }
 
+function createHistoryWindow() {
+  historyWindow = new BrowserWindow({
+    width: 760,
+    height: 620,
+    minWidth: 560,
+    minHeight: 420,
+    show: false,
+    title: `${APP_NAME} 翻译历史`,
+    autoHideMenuBar: true,
+    webPreferences: {
+      preload: path.join(__dirname, 'history-preload.js')
+    }
+  });
+
+  historyWindow.loadFile(path.join(__dirname, 'history.html'));
+
+  historyWindow.on('close', (event) => {
+    if (!isQuitting) {
+      event.preventDefault();
+      historyWindow.hide();
+    }
+  });
+}
+
+function openHistoryWindow() {
+  if (!historyWindow || historyWindow.isDestroyed()) {
+    createHistoryWindow();
+  }
+
+  historyWindow.show();
+  historyWindow.focus();
+}
+
+function emitHistoryUpdated() {
+  if (!historyWindow || historyWindow.isDestroyed()) {
+    return;
+  }
+
+  historyWindow.webContents.send('history-updated');
+}
+
+function createVocabularyWindow() {
+  vocabularyWindow = new BrowserWindow({
+    width: 720,
+    height: 620,
+    minWidth: 520,
+    minHeight: 420,
+    show: false,
+    title: `${APP_NAME} 生词本`,
+    autoHideMenuBar: true,
+    webPreferences: {
+      preload: path.join(__dirname, 'vocabulary-preload.js')
+    }
+  });
+
+  vocabularyWindow.loadFile(path.join(__dirname, 'vocabulary.html'));
+
+  vocabularyWindow.on('close', (event) => {
+    if (!isQuitting) {
+      event.preventDefault();
+      vocabularyWindow.hide();
+    }
+  });
+}
+
+function openVocabularyWindow() {
+  if (!vocabularyWindow || vocabularyWindow.isDestroyed()) {
+    createVocabularyWindow();
+  }
+
+  vocabularyWindow.show();
+  vocabularyWindow.focus();
+}
+
+function emitVocabularyUpdated() {
+  refreshTrayMenu();
+  if (!vocabularyWindow || vocabularyWindow.isDestroyed()) {
+    return;
+  }
+
+  vocabularyWindow.webContents.send('vocabulary-updated');
+}
+
+function getVocabularyReviewMenuLabel() {
+  try {
+    const { due } = getVocabularyStats();
+    return due > 0 ? `生词本复习（${due} 个待复习）` : '生词本复习';
+  } catch {
+    return '生词本复习';
+  }
+}
+
+async function exportVocabularyAnkiFile() {
+  const parent = vocabularyWindow && !vocabularyWindow.isDestroyed() ? vocabularyWindow : undefined;
+  const result = await dialog.showSaveDialog(parent, {
+    title: '导出 Anki 卡片',
+    defaultPath: path.join(app.getPath('documents'), 'jikeyi-vocabulary.csv'),
+    filters: [{ name: 'CSV', extensions: ['csv'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { ok: false, canceled: true };
+  }
+
+  try {
+    const entries = listVocabularyEntries();
+    fs.writeFileSync(result.filePath, buildVocabularyAnkiCsv(entries), 'utf-8');
+    return {
+      ok: true,
+      filePath: result.filePath,
+      count: entries.length
+    };
+  } catch (error) {
+    return { ok: false, error: error.message || String(error) };
+  }
+}
+
+function ensureConfigFilesSafely() {
+  try {
+    ensureConfigFiles();
+    return '';
+  } catch (error) {
+    return error.message || String(error);
+  }
+}
+
 function openRawSettingsFile() {
+  ensureConfigFilesSafely();
   shell.openPath(getSettingsPath());
 }
 
+function setupSecretStorage() {
+  configureSecretStorage({
+    isAvailable: () => {
+      if (!safeStorage.isEncryptionAvailable()) {
+        return false;
+      }
+      return process.platform !== 'linux' || safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    },
+    encrypt: (value) => safeStorage.encryptString(value),
+    decrypt: (buffer) => safeStorage.decryptString(buffer)
+  });
+}
+
 function emitShortcutsToRenderer() {
   if (!mainWindow || mainWindow.isDestroyed()) {
     return;
@@ -1039,7 +1417,8 @@ function emitUiConfigToRenderer() {
 
   mainWindow.webContents.send('ui-config-updated', {
     popupMode: runtimeConfig?.popupMode || 'panel',
-    fontSize: runtimeConfig?.fontSize || 16
+    fontSize: runtimeConfig?.fontSize || 16,
+    translatorMode: getTranslatorMode()
   });
 }
 
@@ -1568,7 +1947,15 @@ function getSelectionReadErrorMessage(source) {
 
 function getRoutingConfig() {
   return {
-    autoRouteEnabled: runtimeConfig?.routing?.autoRouteEnabled !== false
+    autoRouteEnabled: runtimeConfig?.routing?.autoRouteEnabled !== false,
+    fallbackEnabled: runtimeConfig?.routing?.fallbackEnabled !== false,
+    synthesisEnabled: runtimeConfig?.routing?.synthesisEnabled === true,
+    judgeServiceId: String(runtimeConfig?.routing?.judgeServiceId || '').trim(),
+    strategy: ROUTING_STRATEGIES.includes(runtimeConfig?.routing?.strategy)
+      ? runtimeConfig.routing.strategy
+      : DEFAULT_SETTINGS.routing.strategy,
+    raceCount: Number(runtimeConfig?.routing?.raceCount) || DEFAULT_SETTINGS.routing.raceCount,
+    lengthRules: Array.isArray(runtimeConfig?.routing?.lengthRules) ? runtimeConfig.routing.lengthRules : []
   };
 }
 
@@ -1585,7 +1972,30 @@ function getAutomationConfig() {
     autoCopyOcrResult: automation.autoCopyOcrResult === true,
     autoCopyFirstResult: automation.autoCopyFirstResult === true,
     copyHighlightedWordOnClick: automation.copyHighlightedWordOnClick === true,
-    autoPlaySourceText: automation.autoPlaySourceText === true
+    autoPlaySourceText: automation.autoPlaySourceText === true,
+    dictionaryLookup: automation.dictionaryLookup !== false
+  };
+}
+
+function getLanguageConfig() {
+  const language = runtimeConfig?.language || DEFAULT_SETTINGS.language;
+  return {
+    autoDetect: language.autoDetect !== false,
+    pairs: Array.isArray(language.pairs) ? language.pairs : []
+  };
+}
+
+function resolveRequestLanguages(sourceText, targetLanguageOverride = '') {
+  const language = getLanguageConfig();
+  const sourceLanguage = language.autoDetect ? detectLanguage(sourceText) : '';
+  let targetLanguage = String(targetLanguageOverride || '').trim();
+  if (!targetLanguage && sourceLanguage) {
+    targetLanguage = resolvePairTarget(sourceLanguage, language.pairs);
+  }
+
+  return {
+    sourceLanguage,
+    targetLanguage
   };
 }
 
@@ -1640,6 +2050,7 @@ function getRuntimeTranslationServices() {
         id: String(service.id || '').trim() || `svc_${Math.random().toString(36).slice(2, 8)}`,
         name: String(service.name || '').trim() || '未命名服务',
         enabled: service.enabled !== false,
+        protocol: normalizeServiceProtocol(service.protocol),
         baseUrl: String(service.baseUrl || '').trim(),
         apiKey: String(service.apiKey || '').trim(),
         model: String(service.model || '').trim(),
@@ -1647,7 +2058,11 @@ function getRuntimeTranslationServices() {
         timeoutMs:
           Number.isFinite(timeoutValue) && timeoutValue > 0
             ? Math.floor(timeoutValue)
-            : runtimeConfig?.timeoutMs || 60000
+            : runtimeConfig?.timeoutMs || 60000,
+        retry: service.retry,
+        cost: typeof service.cost === 'number' ? service.cost : null,
+        promptTemplate: service.promptTemplate,
+        promptTemplates: service.promptTemplates
       };
     })
     .filter((service) => service.baseUrl && service.model);
@@ -1661,17 +2076,21 @@ function getRuntimeTranslationServices() {
       id: String(runtimeConfig?.activeServiceId || 'svc_runtime'),
       name: String(runtimeConfig?.activeServiceName || '当前服务'),
       enabled: true,
+      protocol: normalizeServiceProtocol(runtimeConfig?.protocol),
       baseUrl: String(runtimeConfig?.baseUrl || '').trim(),
       apiKey: String(runtimeConfig?.apiKey || '').trim(),
       model: String(runtimeConfig?.model || '').trim(),
       targetLanguage: String(runtimeConfig?.targetLanguage || '简体中文').trim(),
-      timeoutMs: runtimeConfig?.timeoutMs || 60000
+      timeoutMs: runtimeConfig?.timeoutMs || 60000,
+      promptTemplate: runtimeConfig?.promptTemplate,
+      promptTemplates: runtimeConfig?.promptTemplates
     }
   ].filter((service) => service.baseUrl && service.model);
 }
 
 function ensureServiceRoutingMetric(serviceId) {
   const key = String(serviceId || '').trim() || '__unknown_service__';
+  const serviceRoutingMetrics = loadServiceMetrics();
   if (!serviceRoutingMetrics.has(key)) {
     serviceRoutingMetrics.set(key, {
       attempts: 0,
@@ -1680,13 +2099,23 @@ function ensureServiceRoutingMetric(serviceId) {
       timeouts: 0,
       consecutiveFailures: 0,
       timeoutStreak: 0,
+      retries: 0,
+      rateLimits: 0,
+      rateLimitedUntil: 0,
       ewmaLatencyMs: SERVICE_ROUTE_INITIAL_LATENCY_MS,
       lastLatencyMs: SERVICE_ROUTE_INITIAL_LATENCY_MS,
       lastError: '',
-      updatedAt: 0
+      updatedAt: 0,
+      decayedAt: 0,
+      latencySamples: [],
+      circuitOpenUntil: 0,
+      circuitOpenCount: 0,
+      circuitReason: ''
     });
   }
-  return serviceRoutingMetrics.get(key);
+  const metric = serviceRoutingMetrics.get(key);
+  decayServiceMetric(metric);
+  return metric;
 }
 
 function updateServiceMetricOnSuccess(service, latencyMs) {
@@ -1701,7 +2130,10 @@ function updateServiceMetricOnSuccess(service, latencyMs) {
   metric.ewmaLatencyMs =
     metric.ewmaLatencyMs * (1 - SERVICE_ROUTE_EWMA_ALPHA) +
     boundedLatency * SERVICE_ROUTE_EWMA_ALPHA;
+  recordServiceLatencySample(metric, boundedLatency, true);
   metric.updatedAt = Date.now();
+  closeServiceCircuit(metric);
+  scheduleServiceMetricsFlush();
 }
 
 function isTimeoutLikeError(error) {
@@ -1718,6 +2150,24 @@ function isTimeoutLikeError(error) {
   );
 }
 
+function markServiceRateLimited(metric, error, delayMs) {
+  if (!error?.isRateLimited) {
+    return;
+  }
+  metric.rateLimits += 1;
+  const waitMs = Math.max(Number(error.retryAfterMs) || 0, Number(delayMs) || 0);
+  metric.rateLimitedUntil = Date.now() + waitMs;
+}
+
+function updateServiceMetricOnRetry(service, retryInfo) {
+  const metric = ensureServiceRoutingMetric(service?.id);
+  metric.retries += 1;
+  metric.lastError = String(retryInfo?.error?.message || retryInfo?.error || 'unknown-error');
+  markServiceRateLimited(metric, retryInfo?.error, retryInfo?.delayMs);
+  metric.updatedAt = Date.now();
+  scheduleServiceMetricsFlush();
+}
+
 function updateServiceMetricOnFailure(service, latencyMs, error) {
   const metric = ensureServiceRoutingMetric(service?.id);
   const boundedLatency = Math.max(40, Math.round(latencyMs || metric.ewmaLatencyMs));
@@ -1731,7 +2181,188 @@ function updateServiceMetricOnFailure(service, latencyMs, error) {
   }
   metric.lastLatencyMs = boundedLatency;
   metric.lastError = String(error?.message || error || 'unknown-error');
+  markServiceRateLimited(metric, error, 0);
+  recordServiceLatencySample(metric, boundedLatency, false);
   metric.updatedAt = Date.now();
+  if (
+    error?.isAuthError ||
+    metric.circuitOpenUntil > 0 ||
+    metric.consecutiveFailures >= SERVICE_CIRCUIT_FAILURE_THRESHOLD
+  ) {
+    openServiceCircuit(metric, error);
+  }
+  scheduleServiceMetricsFlush();
+}
+
+function openServiceCircuit(metric, error) {
+  const baseCooldownMs = error?.isAuthError ? SERVICE_CIRCUIT_AUTH_COOLDOWN_MS : SERVICE_CIRCUIT_COOLDOWN_MS;
+  const cooldownMs = Math.min(
+    baseCooldownMs * 2 ** Math.min(metric.circuitOpenCount || 0, 8),
+    SERVICE_CIRCUIT_MAX_COOLDOWN_MS
+  );
+  metric.circuitOpenCount = (metric.circuitOpenCount || 0) + 1;
+  metric.circuitOpenUntil = Date.now() + cooldownMs;
+  metric.circuitReason = error?.isAuthError
+    ? `鉴权失败：${metric.lastError}`
+    : `连续失败 ${metric.consecutiveFailures} 次：${metric.lastError}`;
+  refreshTrayMenu();
+}
+
+function closeServiceCircuit(metric) {
+  if (!metric.circuitOpenUntil && !metric.circuitOpenCount) {
+    return;
+  }
+  metric.circuitOpenUntil = 0;
+  metric.circuitOpenCount = 0;
+  metric.circuitReason = '';
+  refreshTrayMenu();
+}
+
+function isServiceCircuitOpen(serviceId, now = Date.now()) {
+  const id = String(serviceId || '').trim();
+  const metric = loadServiceMetrics().get(id);
+  if (!metric || !metric.circuitOpenUntil) {
+    return false;
+  }
+  return metric.circuitOpenUntil > now || serviceCircuitProbes.has(id);
+}
+
+function filterServicesByCircuit(services) {
+  return (Array.isArray(services) ? services : []).filter(
+    (service) => !isServiceCircuitOpen(service.id)
+  );
+}
+
+async function runWithServiceCircuitProbe(service, task) {
+  const id = String(service?.id || '').trim();
+  const metric = loadServiceMetrics().get(id);
+  const probing = Boolean(id && metric?.circuitOpenUntil && !serviceCircuitProbes.has(id));
+  if (probing) {
+    serviceCircuitProbes.add(id);
+  }
+  try {
+    return await task();
+  } finally {
+    if (probing) {
+      serviceCircuitProbes.delete(id);
+    }
+  }
+}
+
+function scheduleServiceCircuitTrayRefresh() {
+  if (serviceCircuitTrayTimer) {
+    clearTimeout(serviceCircuitTrayTimer);
+    serviceCircuitTrayTimer = null;
+  }
+
+  const now = Date.now();
+  let nextUntil = 0;
+  for (const metric of loadServiceMetrics().values()) {
+    if (metric.circuitOpenUntil > now && (!nextUntil || metric.circuitOpenUntil < nextUntil)) {
+      nextUntil = metric.circuitOpenUntil;
+    }
+  }
+  if (!nextUntil) {
+    return;
+  }
+
+  serviceCircuitTrayTimer = setTimeout(() => {
+    serviceCircuitTrayTimer = null;
+    refreshTrayMenu();
+  }, nextUntil - now + 100);
+  serviceCircuitTrayTimer.unref?.();
+}
+
+function resetServiceCircuit(serviceId = '') {
+  const id = String(serviceId || '').trim();
+  for (const [key, metric] of loadServiceMetrics()) {
+    if (id && key !== id) {
+      continue;
+    }
+    metric.consecutiveFailures = 0;
+    metric.timeoutStreak = 0;
+    metric.circuitOpenUntil = 0;
+    metric.circuitOpenCount = 0;
+    metric.circuitReason = '';
+  }
+  scheduleServiceMetricsFlush();
+  refreshTrayMenu();
+}
+
+function resetCircuitsForChangedServices(previousServices, nextServices) {
+  const previousById = new Map(
+    (Array.isArray(previousServices) ? previousServices : []).map((service) => [service.id, service])
+  );
+  for (const service of Array.isArray(nextServices) ? nextServices : []) {
+    const previous = previousById.get(service.id);
+    const changed =
+      !previous ||
+      ['protocol', 'baseUrl', 'apiKey', 'model'].some((field) => previous[field] !== service[field]);
+    if (changed && loadServiceMetrics().get(service.id)?.circuitOpenUntil) {
+      resetServiceCircuit(service.id);
+    }
+  }
+}
+
+function getServiceCircuitState(metric, now = Date.now()) {
+  if (metric?.circuitOpenUntil > now) {
+    return {
+      state: 'open',
+      until: metric.circuitOpenUntil,
+      reason: metric.circuitReason
+    };
+  }
+  if (metric?.circuitOpenUntil > 0) {
+    return {
+      state: 'half-open',
+      until: 0,
+      reason: metric.circuitReason
+    };
+  }
+  if (metric?.rateLimitedUntil > now) {
+    return {
+      state: 'rate-limited',
+      until: metric.rateLimitedUntil,
+      reason: metric.lastError
+    };
+  }
+  return {
+    state: 'closed',
+    until: 0,
+    reason: ''
+  };
+}
+
+function getServiceHealthSnapshot() {
+  const metrics = loadServiceMetrics();
+  const now = Date.now();
+  return getRuntimeTranslationServices().map((service) => {
+    const metric = metrics.get(service.id);
+    if (metric) {
+      decayServiceMetric(metric, now);
+    }
+    const attempts = metric?.attempts || 0;
+    return {
+      id: service.id,
+      name: serviceLabel(service),
+      enabled: service.enabled !== false,
+      attempts: Math.round(attempts),
+      successes: Math.round(metric?.successes || 0),
+      failures: Math.round(metric?.failures || 0),
+      timeouts: Math.round(metric?.timeouts || 0),
+      retries: Math.round(metric?.retries || 0),
+      rateLimits: Math.round(metric?.rateLimits || 0),
+      successRate: attempts > 0 ? metric.successes / attempts : null,
+      ewmaLatencyMs: metric ? Math.round(metric.ewmaLatencyMs) : 0,
+      lastLatencyMs: metric?.lastLatencyMs || 0,
+      lastError: metric?.lastError || '',
+      updatedAt: metric?.updatedAt || 0,
+      latencySamples: Array.isArray(metric?.latencySamples)
+        ? metric.latencySamples.map((sample) => ({ ...sample }))
+        : [],
+      circuit: getServiceCircuitState(metric, now)
+    };
+  });
 }
 
 function scoreServiceForRouting(service) {
@@ -1748,50 +2379,187 @@ function scoreServiceForRouting(service) {
   if (service.enabled === false) {
     score += SERVICE_ROUTE_DISABLED_PENALTY_MS;
   }
+  if (metric.rateLimitedUntil > Date.now()) {
+    score += SERVICE_ROUTE_RATE_LIMIT_PENALTY_MS;
+  }
   if (service.id === runtimeConfig?.activeServiceId) {
     score -= 36;
   }
+  score -= (getServicePreferenceRate(service.id) - 0.5) * 2 * SERVICE_ROUTE_PREFERENCE_WEIGHT_MS;
 
   return score;
 }
 
-function rankServicesForCurrentRequest() {
-  const services = getRuntimeTranslationServices();
-  if (services.length === 0) {
-    return [];
+function normalizeServiceVotes(rawVotes) {
+  const source = rawVotes && typeof rawVotes === 'object' && !Array.isArray(rawVotes) ? rawVotes : {};
+  const result = {};
+  for (const [serviceId, vote] of Object.entries(source)) {
+    const id = String(serviceId || '').trim();
+    const wins = Math.max(0, Math.floor(Number(vote?.wins) || 0));
+    const comparisons = Math.max(wins, Math.floor(Number(vote?.comparisons) || 0));
+    if (id && comparisons > 0) {
+      result[id] = {
+        wins,
+        comparisons,
+        lastPickedAt: Math.max(0, Math.floor(Number(vote?.lastPickedAt) || 0))
+      };
+    }
   }
+  return result;
+}
 
-  const routing = getRoutingConfig();
-  const enabledServices = services.filter((service) => service.enabled !== false);
-  const pool = enabledServices.length > 0 ? enabledServices : services;
-  const active = getActiveService(pool, runtimeConfig?.activeServiceId) || pool[0];
-  const rest = pool.filter((service) => service.id !== active.id);
-  const rankedRest = routing.autoRouteEnabled
-    ? [...rest].sort((a, b) => scoreServiceForRouting(a) - scoreServiceForRouting(b))
-    : rest;
-  return [active, ...rankedRest];
+function loadServiceVotes() {
+  serviceVotes = normalizeServiceVotes(readAppState().serviceVotes);
 }
 
-function pickServicesForCurrentPopupMode(services) {
-  if (!Array.isArray(services) || services.length === 0) {
-    return [];
+function getServicePreferenceRate(serviceId) {
+  const vote = serviceVotes[String(serviceId || '').trim()];
+  if (!vote) {
+    return 0.5;
   }
+  return (vote.wins + 1) / (vote.comparisons + 2);
+}
 
-  if ((runtimeConfig?.popupMode || 'panel') !== 'bubble') {
-    return services;
+function applyServiceVote(vote, direction) {
+  for (const serviceId of vote.serviceIds) {
+    const current = serviceVotes[serviceId] || { wins: 0, comparisons: 0, lastPickedAt: 0 };
+    const isWinner = serviceId === vote.serviceId;
+    serviceVotes[serviceId] = {
+      wins: Math.max(0, current.wins + (isWinner ? direction : 0)),
+      comparisons: Math.max(0, current.comparisons + direction),
+      lastPickedAt: isWinner && direction > 0 ? vote.pickedAt : current.lastPickedAt
+    };
   }
+  serviceVotes = normalizeServiceVotes(serviceVotes);
+}
 
-  const configuredIds = Array.isArray(runtimeConfig?.bubbleVisibleServiceIds)
-    ? runtimeConfig.bubbleVisibleServiceIds
+function recordServiceVote(payload) {
+  const knownIds = new Set(getRuntimeTranslationServices().map((service) => service.id));
+  const serviceId = String(payload?.serviceId || '').trim();
+  const serviceIds = Array.from(
+    new Set(
+      (Array.isArray(payload?.serviceIds) ? payload.serviceIds : [])
         .map((item) => String(item || '').trim())
-        .filter(Boolean)
-    : [];
+        .filter((item) => knownIds.has(item))
+    )
+  );
+  if (!knownIds.has(serviceId) || !serviceIds.includes(serviceId) || serviceIds.length < 2) {
+    return { ok: false, error: '至少需要两个服务的译文才能比较' };
+  }
 
-  if (configuredIds.length === 0) {
-    return services;
+  const sourceText = String(payload?.sourceText || '').trim();
+  if (lastServiceVote && lastServiceVote.sourceText === sourceText) {
+    if (lastServiceVote.serviceId === serviceId) {
+      return { ok: true, serviceId, preferenceRate: getServicePreferenceRate(serviceId) };
+    }
+    applyServiceVote(lastServiceVote, -1);
   }
 
-  const allowedIds = new Set(configuredIds);
+  const vote = {
+    sourceText,
+    serviceId,
+    serviceIds,
+    pickedAt: Date.now()
+  };
+  applyServiceVote(vote, 1);
+  lastServiceVote = vote;
+  try {
+    updateAppState({ serviceVotes });
+  } catch {
+    // Ignore state write failures, the vote still applies to this session.
+  }
+  return { ok: true, serviceId, preferenceRate: getServicePreferenceRate(serviceId) };
+}
+
+function pickSynthesisJudgeService() {
+  const routing = getRoutingConfig();
+  if (!routing.synthesisEnabled) {
+    return null;
+  }
+
+  const services = filterServicesByCircuit(
+    getRuntimeTranslationServices().filter((service) => service.enabled !== false)
+  );
+  return (
+    services.find((service) => service.id === routing.judgeServiceId) ||
+    getActiveService(services, runtimeConfig?.activeServiceId) ||
+    services[0] ||
+    null
+  );
+}
+
+function rankServicesForCurrentRequest() {
+  const services = getRuntimeTranslationServices();
+  if (services.length === 0) {
+    return [];
+  }
+
+  const routing = getRoutingConfig();
+  const enabledServices = services.filter((service) => service.enabled !== false);
+  const pool = enabledServices.length > 0 ? enabledServices : services;
+  const active = getActiveService(pool, runtimeConfig?.activeServiceId) || pool[0];
+  const rest = pool.filter((service) => service.id !== active.id);
+  const rankedRest = routing.autoRouteEnabled
+    ? [...rest].sort((a, b) => scoreServiceForRouting(a) - scoreServiceForRouting(b))
+    : rest;
+  return [active, ...rankedRest];
+}
+
+function getServiceCostForRouting(service) {
+  return service.cost === null || service.cost === undefined ? Number.POSITIVE_INFINITY : service.cost;
+}
+
+function orderServicesForRoutingStrategy(services, routing, sourceText) {
+  if (routing.strategy === 'cheapest') {
+    return [...services].sort((a, b) => getServiceCostForRouting(a) - getServiceCostForRouting(b));
+  }
+
+  if (routing.strategy === 'length') {
+    const length = String(sourceText || '').trim().length;
+    const rule = routing.lengthRules.find((item) => item.maxLength === 0 || length <= item.maxLength);
+    if (!rule) {
+      return services;
+    }
+    const matched = rule.serviceIds
+      .map((id) => services.find((service) => service.id === id))
+      .filter(Boolean);
+    return [...matched, ...services.filter((service) => !matched.includes(service))];
+  }
+
+  return services;
+}
+
+function getRoutingExecution(strategy) {
+  if (strategy === 'race') {
+    return 'race';
+  }
+  if (strategy === 'sequential' || strategy === 'cheapest' || strategy === 'length') {
+    return 'sequential';
+  }
+  return 'parallel';
+}
+
+function pickServicesForCurrentPopupMode(rankedServices) {
+  const services = filterServicesByCircuit(rankedServices);
+  if (services.length === 0) {
+    return [];
+  }
+
+  if ((runtimeConfig?.popupMode || 'panel') !== 'bubble') {
+    return services;
+  }
+
+  const configuredIds = Array.isArray(runtimeConfig?.bubbleVisibleServiceIds)
+    ? runtimeConfig.bubbleVisibleServiceIds
+        .map((item) => String(item || '').trim())
+        .filter(Boolean)
+    : [];
+
+  if (configuredIds.length === 0) {
+    return services;
+  }
+
+  const allowedIds = new Set(configuredIds);
   const filtered = services.filter((service) => allowedIds.has(service.id));
   if (filtered.length > 0) {
     return filtered;
@@ -2020,275 +2788,370 @@ async function readSelectionText() {
   return readSelectionByAutoCopy();
 }
 
-async function translateFromSelection() {
-  const sourceType = 'selection';
-  const popupMode = runtimeConfig?.popupMode || 'panel';
-  const bubbleMode = popupMode === 'bubble';
-  if (translationInProgress) {
-    openTranslatorWindow({ anchor: latestSelectionAnchor });
-    sendTranslationResult({
-      sourceText: '',
-      translation: '',
-      error: '已有翻译任务进行中，请稍候...',
-      stage: 'busy',
-      sourceType
-    });
-    return;
-  }
-
-  translationInProgress = true;
-  selectionReadInProgress = true;
-  bubbleDismissedByBlur = false;
-  latestSelectionAnchor = null;
-  let latestSourceTextForError = '';
-  openTranslatorWindow({
-    focus: false,
-    anchor: latestSelectionAnchor
+async function runServiceTranslationTask(translationSourceText, options = {}) {
+  const sourceType = options.sourceType || 'selection';
+  const notifyOnFailure = options.notifyOnFailure !== false;
+  const recordHistory = options.recordHistory !== false;
+  const job = options.job || null;
+  const jobSignal = job?.controller.signal || null;
+  const promptPreset = translatorPromptPreset;
+  const mode = getTranslatorMode();
+  const routing = getRoutingConfig();
+  const routingExecution = getRoutingExecution(routing.strategy);
+  const rankedServices = orderServicesForRoutingStrategy(
+    rankServicesForCurrentRequest(),
+    routing,
+    translationSourceText
+  );
+  const { sourceLanguage, targetLanguage } = resolveRequestLanguages(
+    translationSourceText,
+    translatorTargetLanguage
+  );
+  const sourceLanguageLabel = languageLabel(sourceLanguage);
+  const serviceCandidates = pickServicesForCurrentPopupMode(rankedServices).map((service) => {
+    return targetLanguage ? { ...service, targetLanguage } : service;
   });
+  if (serviceCandidates.length === 0) {
+    throw new Error(
+      rankedServices.length > 0
+        ? SERVICE_CIRCUIT_ALL_OPEN_MESSAGE
+        : '没有可用翻译服务，请先在偏好设置里配置服务。'
+    );
+  }
+  latestTranslationRequest = {
+    sourceText: translationSourceText,
+    sourceType
+  };
 
-  sendTranslationResult({
-    sourceText: '',
-    translation: '正在读取选中文本...',
+  const glossary = mode === DEFAULT_TRANSLATION_MODE ? getRuntimeGlossary() : [];
+  const dictionaryQuery =
+    mode === DEFAULT_TRANSLATION_MODE &&
+    getAutomationConfig().dictionaryLookup &&
+    (!sourceLanguage || sourceLanguage === 'en') &&
+    isDictionaryQuery(translationSourceText)
+      ? normalizeDictionaryQuery(translationSourceText)
+      : '';
+  const dictionaryState = dictionaryQuery
+    ? {
+        word: dictionaryQuery,
+        serviceName: '',
+        status: 'pending',
+        entry: null,
+        error: '',
+        saved: hasVocabularyWord(dictionaryQuery)
+      }
+    : null;
+  const serviceStates = serviceCandidates.map((service, index) => ({
+    id: service.id,
+    name: serviceLabel(service),
+    model: String(service.model || '').trim(),
+    targetLanguage: String(service.targetLanguage || '').trim(),
+    order: index,
+    status: 'pending',
+    translation: '',
     error: '',
-    stage: 'reading',
-    sourceType
+    attempt: 1,
+    maxAttempts: 1,
+    glossaryMisses: []
+  }));
+  const stateById = new Map(serviceStates.map((item) => [item.id, item]));
+  const snapshotService = (item) => ({
+    id: item.id,
+    name: item.name,
+    model: item.model,
+    order: item.order,
+    status: item.status,
+    translation: item.translation,
+    error: item.error,
+    attempt: item.attempt,
+    maxAttempts: item.maxAttempts,
+    glossaryMisses: item.glossaryMisses
   });
 
-  try {
-    const selectionResult = await readSelectionText();
-    selectionReadInProgress = false;
-    const sourceText = selectionResult.text;
-    const selectionAnchor = normalizeSelectionAnchor(selectionResult.anchor);
-    latestSelectionAnchor = selectionAnchor;
-    if (!mainWindow || mainWindow.isDestroyed() || !mainWindow.isVisible()) {
-      openTranslatorWindow({ focus: true, anchor: selectionAnchor });
-    } else if (bubbleMode) {
-      openTranslatorWindow({ focus: true, anchor: selectionAnchor });
+  const buildSummary = () => {
+    const summary = {
+      total: serviceStates.length,
+      pending: 0,
+      running: 0,
+      streaming: 0,
+      done: 0,
+      error: 0,
+      canceled: 0,
+      skipped: 0
+    };
+    for (const item of serviceStates) {
+      if (item.status === 'pending') {
+        summary.pending += 1;
+        continue;
+      }
+      if (item.status === 'running' || item.status === 'retrying') {
+        summary.running += 1;
+        continue;
+      }
+      if (item.status === 'streaming') {
+        summary.streaming += 1;
+        continue;
+      }
+      if (item.status === 'done') {
+        summary.done += 1;
+        continue;
+      }
+      if (item.status === 'error') {
+        summary.error += 1;
+        continue;
+      }
+      if (item.status === 'canceled') {
+        summary.canceled += 1;
+        continue;
+      }
+      if (item.status === 'skipped') {
+        summary.skipped += 1;
+      }
     }
+    return summary;
+  };
 
-    if (!sourceText) {
-      const errorMessage = getSelectionReadErrorMessage(selectionResult.source);
+  const snapshotServices = () => serviceStates.map((item) => snapshotService(item));
+  const snapshotDictionary = () => (dictionaryState ? { ...dictionaryState } : null);
+  const judgeService = mode === DEFAULT_TRANSLATION_MODE ? pickSynthesisJudgeService() : null;
+  let synthesisState = null;
+  const snapshotSynthesis = () => (synthesisState ? { ...synthesisState } : null);
+
+  const emitServicesSnapshot = (stage, extra = {}) => {
+    if (job?.superseded) {
+      return;
+    }
+    const changedServiceId = String(extra?.changedServiceId || '').trim();
+    const changedState = changedServiceId ? stateById.get(changedServiceId) : null;
+    const serviceDeltaMode = String(extra?.serviceDeltaMode || 'replace').trim() || 'replace';
+    const {
+      changedServiceId: _ignoreChangedServiceId,
+      serviceDeltaMode: _ignoreServiceDeltaMode,
+      serviceDeltaChunk: _ignoreServiceDeltaChunk,
+      serviceDeltaLength: _ignoreServiceDeltaLength,
+      ...publicExtra
+    } = extra || {};
+    const canUseDelta =
+      stage === 'service-update' &&
+      changedState &&
+      isMainWindowReady &&
+      mainWindow &&
+      !mainWindow.isDestroyed();
+
+    if (canUseDelta) {
+      let serviceDeltaPayload = snapshotService(changedState);
+      if (serviceDeltaMode === 'append') {
+        serviceDeltaPayload = {
+          id: changedState.id,
+          status: changedState.status,
+          error: changedState.error,
+          translationDelta: String(extra?.serviceDeltaChunk || ''),
+          translationLength: Number.isFinite(Number(extra?.serviceDeltaLength))
+            ? Math.max(0, Math.floor(Number(extra.serviceDeltaLength)))
+            : String(changedState.translation || '').length
+        };
+      }
 
-      showNotification(APP_NAME, errorMessage);
       sendTranslationResult({
-        sourceText: '',
         translation: '',
-        error: errorMessage,
-        stage: 'error',
-        sourceType
+        error: '',
+        sourceType,
+        stage,
+        summary: buildSummary(),
+        changedServiceId,
+        serviceDeltaMode,
+        serviceDelta: serviceDeltaPayload,
+        ...publicExtra
       });
       return;
     }
 
-    const automation = getAutomationConfig();
-    const translationSourceText = preprocessSourceText(sourceText, automation) || sourceText;
-    latestSourceTextForError = translationSourceText;
+    sendTranslationResult({
+      sourceText: translationSourceText,
+      translation: '',
+      error: '',
+      sourceType,
+      stage,
+      sourceLanguage,
+      sourceLanguageLabel,
+      targetLanguage: targetLanguage || serviceStates[0]?.targetLanguage || '',
+      targetLanguageOverride: translatorTargetLanguage,
+      promptPreset,
+      mode,
+      services: snapshotServices(),
+      dictionary: snapshotDictionary(),
+      synthesis: snapshotSynthesis(),
+      summary: buildSummary(),
+      changedServiceId: changedServiceId || undefined,
+      ...publicExtra
+    });
+  };
 
-    const rankedServices = rankServicesForCurrentRequest();
-    const serviceCandidates = pickServicesForCurrentPopupMode(rankedServices);
-    if (serviceCandidates.length === 0) {
-      throw new Error('没有可用翻译服务，请先在偏好设置里配置服务。');
+  emitServicesSnapshot('translating');
+
+  const runServiceTranslation = async (service, signal) => {
+    const state = stateById.get(service.id);
+    if (!state) {
+      return {
+        ok: false,
+        error: new Error(`未知服务：${service.id}`)
+      };
     }
 
-    const glossary = getRuntimeGlossary();
-    const serviceStates = serviceCandidates.map((service, index) => ({
-      id: service.id,
-      name: serviceLabel(service),
-      model: String(service.model || '').trim(),
-      order: index,
-      status: 'pending',
-      translation: '',
-      error: ''
-    }));
-    const stateById = new Map(serviceStates.map((item) => [item.id, item]));
-    const snapshotService = (item) => ({
-      id: item.id,
-      name: item.name,
-      model: item.model,
-      order: item.order,
-      status: item.status,
-      translation: item.translation,
-      error: item.error
-    });
+    state.status = 'running';
+    state.error = '';
+    state.translation = '';
+    emitServicesSnapshot('service-update', { changedServiceId: service.id });
+
+    const startedAt = Date.now();
+    let streamedOnce = false;
+    let latestTranslation = '';
+    let lastEmitAt = 0;
+    let pendingDeltaChunk = '';
+    let consumedFullTextLength = 0;
+
+    const handleRetry = (retryInfo) => {
+      updateServiceMetricOnRetry(service, retryInfo);
+      state.status = 'retrying';
+      state.attempt = retryInfo.attempt;
+      state.maxAttempts = retryInfo.maxAttempts;
+      state.error = retryInfo.error instanceof Error ? retryInfo.error.message : String(retryInfo.error);
+      emitServicesSnapshot('service-update', { changedServiceId: service.id });
+    };
+
+    const checkGlossary = (translation) =>
+      findGlossaryMisses(glossary, translationSourceText, translation, {
+        serviceId: service.id,
+        sourceLanguage,
+        targetLanguage: service.targetLanguage
+      });
 
-    const buildSummary = () => {
-      const summary = {
-        total: serviceStates.length,
-        pending: 0,
-        running: 0,
-        streaming: 0,
-        done: 0,
-        error: 0
+    const markCanceled = (error) => {
+      state.status = 'canceled';
+      state.error = jobSignal?.aborted ? '翻译已取消' : '已停止';
+      pendingDeltaChunk = '';
+      emitStreamUpdate(true);
+      return {
+        ok: false,
+        canceled: true,
+        error
       };
-      for (const item of serviceStates) {
-        if (item.status === 'pending') {
-          summary.pending += 1;
-          continue;
-        }
-        if (item.status === 'running') {
-          summary.running += 1;
-          continue;
-        }
-        if (item.status === 'streaming') {
-          summary.streaming += 1;
-          continue;
-        }
-        if (item.status === 'done') {
-          summary.done += 1;
-          continue;
-        }
-        if (item.status === 'error') {
-          summary.error += 1;
-        }
-      }
-      return summary;
     };
 
-    const snapshotServices = () => serviceStates.map((item) => snapshotService(item));
-
-    const emitServicesSnapshot = (stage, extra = {}) => {
-      const changedServiceId = String(extra?.changedServiceId || '').trim();
-      const changedState = changedServiceId ? stateById.get(changedServiceId) : null;
-      const serviceDeltaMode = String(extra?.serviceDeltaMode || 'replace').trim() || 'replace';
-      const {
-        changedServiceId: _ignoreChangedServiceId,
-        serviceDeltaMode: _ignoreServiceDeltaMode,
-        serviceDeltaChunk: _ignoreServiceDeltaChunk,
-        serviceDeltaLength: _ignoreServiceDeltaLength,
-        ...publicExtra
-      } = extra || {};
-      const canUseDelta =
-        stage === 'service-update' &&
-        changedState &&
-        isMainWindowReady &&
-        mainWindow &&
-        !mainWindow.isDestroyed();
-
-      if (canUseDelta) {
-        let serviceDeltaPayload = snapshotService(changedState);
-        if (serviceDeltaMode === 'append') {
-          serviceDeltaPayload = {
-            id: changedState.id,
-            status: changedState.status,
-            error: changedState.error,
-            translationDelta: String(extra?.serviceDeltaChunk || ''),
-            translationLength: Number.isFinite(Number(extra?.serviceDeltaLength))
-              ? Math.max(0, Math.floor(Number(extra.serviceDeltaLength)))
-              : String(changedState.translation || '').length
-          };
-        }
+    const emitStreamUpdate = (force = false) => {
+      const now = Date.now();
+      if (!force && now - lastEmitAt < SERVICE_STREAM_UPDATE_THROTTLE_MS) {
+        return;
+      }
+      lastEmitAt = now;
 
-        sendTranslationResult({
-          translation: '',
-          error: '',
-          sourceType,
-          stage,
-          summary: buildSummary(),
-          changedServiceId,
-          serviceDeltaMode,
-          serviceDelta: serviceDeltaPayload,
-          ...publicExtra
+      if (!force && pendingDeltaChunk) {
+        emitServicesSnapshot('service-update', {
+          changedServiceId: service.id,
+          serviceDeltaMode: 'append',
+          serviceDeltaChunk: pendingDeltaChunk,
+          serviceDeltaLength: latestTranslation.length
         });
+        pendingDeltaChunk = '';
         return;
       }
 
-      sendTranslationResult({
-        sourceText: translationSourceText,
-        translation: '',
-        error: '',
-        sourceType,
-        stage,
-        services: snapshotServices(),
-        summary: buildSummary(),
-        changedServiceId: changedServiceId || undefined,
-        ...publicExtra
+      emitServicesSnapshot('service-update', {
+        changedServiceId: service.id,
+        serviceDeltaMode: 'replace'
       });
     };
 
-    emitServicesSnapshot('translating');
+    try {
+      await streamTranslateText(
+        translationSourceText,
+        {
+          onDelta: (fullText, deltaText) => {
+            streamedOnce = true;
+            latestTranslation = fullText;
+            state.status = 'streaming';
+            state.translation = fullText;
+            state.error = '';
+
+            let chunk = '';
+            if (typeof deltaText === 'string' && deltaText.length > 0) {
+              chunk = deltaText;
+            } else if (fullText.length > consumedFullTextLength) {
+              chunk = fullText.slice(consumedFullTextLength);
+            }
+            consumedFullTextLength = fullText.length;
+            if (chunk) {
+              pendingDeltaChunk += chunk;
+            }
+            emitStreamUpdate(false);
+          },
+          onRetry: handleRetry
+        },
+        {
+          serviceConfig: service,
+          glossary,
+          sourceLanguage: sourceLanguageLabel,
+          promptPreset,
+          mode,
+          signal
+        }
+      );
+
+      if (!latestTranslation.trim()) {
+        throw new Error('流式返回为空');
+      }
 
-    const runServiceTranslation = async (service) => {
-      const state = stateById.get(service.id);
-      if (!state) {
+      updateServiceMetricOnSuccess(service, Date.now() - startedAt);
+      state.status = 'done';
+      state.translation = latestTranslation.trim();
+      state.glossaryMisses = checkGlossary(state.translation);
+      state.error = '';
+      consumedFullTextLength = state.translation.length;
+      pendingDeltaChunk = '';
+      emitStreamUpdate(true);
+      return {
+        ok: true,
+        serviceId: service.id,
+        translation: state.translation
+      };
+    } catch (streamError) {
+      if (streamError?.isCanceled) {
+        return markCanceled(streamError);
+      }
+
+      if (
+        streamedOnce ||
+        streamError?.isAuthError ||
+        streamError?.isRateLimited ||
+        streamError?.retryable
+      ) {
+        updateServiceMetricOnFailure(service, Date.now() - startedAt, streamError);
+        const message = streamError instanceof Error ? streamError.message : String(streamError);
+        state.status = 'error';
+        state.error = message;
+        pendingDeltaChunk = '';
+        emitStreamUpdate(true);
         return {
           ok: false,
-          error: new Error(`未知服务：${service.id}`)
+          error: streamError
         };
       }
 
-      state.status = 'running';
-      state.error = '';
-      state.translation = '';
-      emitServicesSnapshot('service-update', { changedServiceId: service.id });
-
-      const startedAt = Date.now();
-      let streamedOnce = false;
-      let latestTranslation = '';
-      let lastEmitAt = 0;
-      let pendingDeltaChunk = '';
-      let consumedFullTextLength = 0;
-
-      const emitStreamUpdate = (force = false) => {
-        const now = Date.now();
-        if (!force && now - lastEmitAt < SERVICE_STREAM_UPDATE_THROTTLE_MS) {
-          return;
-        }
-        lastEmitAt = now;
-
-        if (!force && pendingDeltaChunk) {
-          emitServicesSnapshot('service-update', {
-            changedServiceId: service.id,
-            serviceDeltaMode: 'append',
-            serviceDeltaChunk: pendingDeltaChunk,
-            serviceDeltaLength: latestTranslation.length
-          });
-          pendingDeltaChunk = '';
-          return;
-        }
-
-        emitServicesSnapshot('service-update', {
-          changedServiceId: service.id,
-          serviceDeltaMode: 'replace'
-        });
-      };
-
       try {
-        await streamTranslateText(
-          translationSourceText,
-          {
-            onDelta: (fullText, deltaText) => {
-              streamedOnce = true;
-              latestTranslation = fullText;
-              state.status = 'streaming';
-              state.translation = fullText;
-              state.error = '';
-
-              let chunk = '';
-              if (typeof deltaText === 'string' && deltaText.length > 0) {
-                chunk = deltaText;
-              } else if (fullText.length > consumedFullTextLength) {
-                chunk = fullText.slice(consumedFullTextLength);
-              }
-              consumedFullTextLength = fullText.length;
-              if (chunk) {
-                pendingDeltaChunk += chunk;
-              }
-              emitStreamUpdate(false);
-            }
-          },
-          {
-            serviceConfig: service,
-            glossary
-          }
-        );
-
-        if (!latestTranslation.trim()) {
-          throw new Error('流式返回为空');
-        }
+        const translation = await translateText(translationSourceText, {
+          serviceConfig: service,
+          glossary,
+          sourceLanguage: sourceLanguageLabel,
+          promptPreset,
+          mode,
+          onRetry: handleRetry,
+          signal
+        });
 
         updateServiceMetricOnSuccess(service, Date.now() - startedAt);
         state.status = 'done';
-        state.translation = latestTranslation.trim();
+        state.translation = String(translation || '').trim();
+        state.glossaryMisses = checkGlossary(state.translation);
         state.error = '';
         consumedFullTextLength = state.translation.length;
         pendingDeltaChunk = '';
@@ -2298,73 +3161,417 @@ async function translateFromSelection() {
           serviceId: service.id,
           translation: state.translation
         };
-      } catch (streamError) {
-        if (streamedOnce) {
-          updateServiceMetricOnFailure(service, Date.now() - startedAt, streamError);
-          const message = streamError instanceof Error ? streamError.message : String(streamError);
-          state.status = 'error';
-          state.error = message;
-          pendingDeltaChunk = '';
-          emitStreamUpdate(true);
-          return {
-            ok: false,
-            error: streamError
-          };
+      } catch (directError) {
+        if (directError?.isCanceled) {
+          return markCanceled(directError);
         }
 
-        try {
-          const translation = await translateText(translationSourceText, {
-            serviceConfig: service,
-            glossary
-          });
-
-          updateServiceMetricOnSuccess(service, Date.now() - startedAt);
-          state.status = 'done';
-          state.translation = String(translation || '').trim();
-          state.error = '';
-          consumedFullTextLength = state.translation.length;
-          pendingDeltaChunk = '';
-          emitStreamUpdate(true);
-          return {
-            ok: true,
-            serviceId: service.id,
-            translation: state.translation
-          };
-        } catch (directError) {
-          updateServiceMetricOnFailure(service, Date.now() - startedAt, directError);
-          const message = directError instanceof Error ? directError.message : String(directError);
-          state.status = 'error';
-          state.error = message;
-          pendingDeltaChunk = '';
-          emitStreamUpdate(true);
-          return {
-            ok: false,
-            error: directError
-          };
-        }
+        updateServiceMetricOnFailure(service, Date.now() - startedAt, directError);
+        const message = directError instanceof Error ? directError.message : String(directError);
+        state.status = 'error';
+        state.error = message;
+        pendingDeltaChunk = '';
+        emitStreamUpdate(true);
+        return {
+          ok: false,
+          error: directError
+        };
       }
+    }
+  };
+
+  const runServiceWithStopControl = async (service, raceSignal = null) => {
+    const serviceController = new AbortController();
+    const stopService = () => {
+      serviceController.abort();
     };
+    if (jobSignal?.aborted || raceSignal?.aborted) {
+      stopService();
+    } else {
+      jobSignal?.addEventListener('abort', stopService, { once: true });
+      raceSignal?.addEventListener('abort', stopService, { once: true });
+    }
+    job?.serviceControllers.set(service.id, serviceController);
 
-    const settledResults = await Promise.all(serviceCandidates.map((service) => runServiceTranslation(service)));
-    const successResults = settledResults.filter((item) => item?.ok);
-    const failedResult = settledResults.find((item) => !item?.ok);
-
-    if (successResults.length === 0) {
-      const firstError = failedResult?.error;
-      const message =
-        firstError instanceof Error
-          ? firstError.message
-          : '翻译失败：所有服务均未返回可用结果。';
-      emitServicesSnapshot('all-done', { error: message });
-      showNotification(APP_NAME, message);
-      return;
+    try {
+      return await runWithServiceCircuitProbe(service, () =>
+        runServiceTranslation(service, serviceController.signal)
+      );
+    } finally {
+      jobSignal?.removeEventListener('abort', stopService);
+      raceSignal?.removeEventListener('abort', stopService);
+      job?.serviceControllers.delete(service.id);
     }
+  };
 
-    emitServicesSnapshot('all-done');
-  } catch (error) {
-    selectionReadInProgress = false;
-    const message = error instanceof Error ? error.message : String(error);
-    openTranslatorWindow({ anchor: latestSelectionAnchor });
+  const markServicesSkipped = (services, reason) => {
+    for (const service of services) {
+      const state = stateById.get(service.id);
+      if (state && state.status === 'pending') {
+        state.status = 'skipped';
+        state.error = reason;
+      }
+    }
+    if (services.length > 0) {
+      emitServicesSnapshot('service-update');
+    }
+  };
+
+  const runServicesSequentially = async (services) => {
+    const results = [];
+    for (let index = 0; index < services.length; index += 1) {
+      const result = await runServiceWithStopControl(services[index]);
+      results.push(result);
+      if (jobSignal?.aborted) {
+        markServicesSkipped(services.slice(index + 1), '翻译已取消');
+        break;
+      }
+      if (result?.ok || !routing.fallbackEnabled) {
+        markServicesSkipped(services.slice(index + 1), result?.ok ? '前序服务已成功，未调用' : '未启用失败回退');
+        break;
+      }
+    }
+    return results;
+  };
+
+  const runServiceRace = async () => {
+    const racers = serviceCandidates.slice(0, routing.raceCount);
+    const rest = serviceCandidates.slice(racers.length);
+    const raceController = new AbortController();
+    let winner = null;
+    const results = await Promise.all(
+      racers.map(async (service) => {
+        const result = await runServiceWithStopControl(service, raceController.signal);
+        if (result?.ok && !winner) {
+          winner = service;
+          raceController.abort();
+        }
+        return result;
+      })
+    );
+
+    if (winner) {
+      for (const service of racers) {
+        const state = stateById.get(service.id);
+        if (service !== winner && state?.status === 'canceled' && !jobSignal?.aborted) {
+          state.error = `${serviceLabel(winner)} 已抢先完成`;
+        }
+      }
+      markServicesSkipped(rest, '竞速已有结果，未调用');
+      return results;
+    }
+    if (!routing.fallbackEnabled || jobSignal?.aborted) {
+      markServicesSkipped(rest, jobSignal?.aborted ? '翻译已取消' : '未启用失败回退');
+      return results;
+    }
+    return [...results, ...(await runServicesSequentially(rest))];
+  };
+
+  const runServicesWithRouting = () => {
+    if (routingExecution === 'race') {
+      return runServiceRace();
+    }
+    if (routingExecution === 'sequential') {
+      return runServicesSequentially(serviceCandidates);
+    }
+    return Promise.all(serviceCandidates.map((service) => runServiceWithStopControl(service)));
+  };
+
+  const runDictionaryLookup = async () => {
+    if (!dictionaryState) {
+      return;
+    }
+
+    const service = serviceCandidates[0];
+    dictionaryState.status = 'running';
+    dictionaryState.serviceName = serviceLabel(service);
+    try {
+      const { entry } = await lookupDictionaryEntry(dictionaryQuery, {
+        serviceConfig: service,
+        signal: jobSignal
+      });
+      dictionaryState.entry = entry;
+      dictionaryState.status = entry ? 'done' : 'error';
+      dictionaryState.error = entry ? '' : '词典结果解析失败';
+    } catch (error) {
+      dictionaryState.status = error?.isCanceled ? 'canceled' : 'error';
+      dictionaryState.error = error instanceof Error ? error.message : String(error);
+    }
+    emitServicesSnapshot('service-update');
+  };
+
+  const prepareSynthesis = () => {
+    synthesisState = {
+      serviceId: judgeService.id,
+      serviceName: serviceLabel(judgeService),
+      status: 'running',
+      candidateCount: serviceStates.filter((item) => item.status === 'done' && item.translation).length,
+      translation: '',
+      rationale: '',
+      error: ''
+    };
+  };
+
+  const runSynthesis = async () => {
+    const candidates = serviceStates
+      .filter((item) => item.status === 'done' && item.translation)
+      .map((item) => ({
+        serviceName: item.name,
+        translation: item.translation
+      }));
+    try {
+      const result = await synthesizeTranslations(translationSourceText, candidates, {
+        serviceConfig: {
+          ...judgeService,
+          targetLanguage: targetLanguage || serviceStates[0]?.targetLanguage || judgeService.targetLanguage
+        },
+        sourceLanguage: sourceLanguageLabel,
+        signal: jobSignal
+      });
+      synthesisState.status = 'done';
+      synthesisState.translation = result.translation;
+      synthesisState.rationale = result.rationale;
+    } catch (error) {
+      synthesisState.status = error?.isCanceled ? 'canceled' : 'error';
+      synthesisState.error = error instanceof Error ? error.message : String(error);
+    }
+  };
+
+  const rememberResult = () => {
+    rememberModeResult(translationSourceText, mode, {
+      sourceType,
+      sourceLanguage,
+      sourceLanguageLabel,
+      targetLanguage: targetLanguage || serviceStates[0]?.targetLanguage || '',
+      services: snapshotServices(),
+      dictionary: snapshotDictionary(),
+      synthesis: snapshotSynthesis(),
+      summary: buildSummary()
+    });
+  };
+
+  const [settledResults] = await Promise.all([runServicesWithRouting(), runDictionaryLookup()]);
+  const successResults = settledResults.filter((item) => item?.ok);
+  const failedResult = settledResults.find((item) => !item?.ok && !item?.canceled);
+
+  if (successResults.length === 0) {
+    if (!failedResult) {
+      emitServicesSnapshot('all-done', { canceled: true });
+      return;
+    }
+
+    const firstError = failedResult.error;
+    const message =
+      firstError instanceof Error
+        ? firstError.message
+        : '翻译失败：所有服务均未返回可用结果。';
+    emitServicesSnapshot('all-done', { error: message });
+    if (notifyOnFailure) {
+      showNotification(APP_NAME, message);
+    }
+    return;
+  }
+
+  const willSynthesize = Boolean(judgeService) && successResults.length >= 2 && !jobSignal?.aborted;
+  if (willSynthesize) {
+    prepareSynthesis();
+  }
+
+  emitServicesSnapshot('all-done', jobSignal?.aborted ? { canceled: true } : {});
+
+  if (!jobSignal?.aborted) {
+    rememberResult();
+  }
+
+  if (recordHistory && mode === DEFAULT_TRANSLATION_MODE) {
+    recordTranslationHistory(
+      translationSourceText,
+      sourceType,
+      serviceStates.filter((item) => item.status !== 'skipped')
+    );
+  }
+
+  if (!willSynthesize) {
+    return;
+  }
+
+  followUpTranslationJob = job;
+  void runSynthesis().then(() => {
+    if (followUpTranslationJob === job) {
+      followUpTranslationJob = null;
+    }
+    emitServicesSnapshot('synthesis-update');
+    if (synthesisState.status === 'done' && !job?.superseded) {
+      rememberResult();
+    }
+  });
+}
+
+function buildModeResultKey(sourceText) {
+  return [sourceText, translatorTargetLanguage, translatorPromptPreset].join('\u0001');
+}
+
+function rememberModeResult(sourceText, mode, result) {
+  const key = buildModeResultKey(sourceText);
+  if (modeResultSnapshots.key !== key) {
+    modeResultSnapshots = {
+      key,
+      byMode: new Map()
+    };
+  }
+  modeResultSnapshots.byMode.set(mode, result);
+}
+
+function showRememberedModeResult() {
+  if (!latestTranslationRequest || translationInProgress || selectionReadInProgress) {
+    return false;
+  }
+
+  const { sourceText } = latestTranslationRequest;
+  const mode = getTranslatorMode();
+  const remembered =
+    modeResultSnapshots.key === buildModeResultKey(sourceText) ? modeResultSnapshots.byMode.get(mode) : null;
+  if (!remembered) {
+    return false;
+  }
+
+  sendTranslationResult({
+    sourceText,
+    translation: '',
+    error: '',
+    stage: 'all-done',
+    targetLanguageOverride: translatorTargetLanguage,
+    promptPreset: translatorPromptPreset,
+    mode,
+    ...remembered
+  });
+  return true;
+}
+
+function loadTranslatorModes() {
+  const storedModes = readAppState().translatorModes;
+  translatorModesByPopupMode = {};
+  if (storedModes && typeof storedModes === 'object') {
+    for (const [popupMode, mode] of Object.entries(storedModes)) {
+      translatorModesByPopupMode[normalizePopupMode(popupMode)] = normalizeTranslationModeId(mode);
+    }
+  }
+}
+
+function getTranslatorMode() {
+  return translatorModesByPopupMode[runtimeConfig?.popupMode || 'panel'] || DEFAULT_TRANSLATION_MODE;
+}
+
+function setTranslatorMode(nextMode) {
+  const normalized = normalizeTranslationModeId(nextMode);
+  if (normalized === getTranslatorMode()) {
+    return;
+  }
+
+  translatorModesByPopupMode = {
+    ...translatorModesByPopupMode,
+    [runtimeConfig?.popupMode || 'panel']: normalized
+  };
+  try {
+    updateAppState({ translatorModes: translatorModesByPopupMode });
+  } catch {
+    // Ignore state write failures, the mode still applies to this session.
+  }
+  if (!showRememberedModeResult()) {
+    retranslateLatestSource();
+  }
+}
+
+function recordTranslationHistory(sourceText, sourceType, serviceStates) {
+  try {
+    addHistoryEntry({
+      sourceText,
+      sourceType,
+      createdAt: Date.now(),
+      targetLanguage: serviceStates[0]?.targetLanguage || runtimeConfig?.targetLanguage || '',
+      results: serviceStates.map((item) => ({
+        serviceId: item.id,
+        serviceName: item.name,
+        model: item.model,
+        targetLanguage: item.targetLanguage,
+        status: item.status,
+        translation: item.translation,
+        error: item.error
+      }))
+    });
+    emitHistoryUpdated();
+  } catch {
+    // Ignore history write failures, translation result is already delivered.
+  }
+}
+
+async function translateFromSelection() {
+  const sourceType = 'selection';
+  const popupMode = runtimeConfig?.popupMode || 'panel';
+  const bubbleMode = popupMode === 'bubble';
+  if (translationInProgress) {
+    await cancelActiveTranslationAndWait();
+  }
+
+  const job = beginTranslationJob();
+  selectionReadInProgress = true;
+  bubbleDismissedByBlur = false;
+  latestSelectionAnchor = null;
+  let latestSourceTextForError = '';
+  translatorTargetLanguage = '';
+  pendingRetranslation = false;
+  setTranslatorInputMode(false);
+  openTranslatorWindow({
+    focus: false,
+    anchor: latestSelectionAnchor
+  });
+
+  sendTranslationResult({
+    sourceText: '',
+    translation: '正在读取选中文本...',
+    error: '',
+    stage: 'reading',
+    sourceType
+  });
+
+  try {
+    const selectionResult = await readSelectionText();
+    selectionReadInProgress = false;
+    if (job.controller.signal.aborted) {
+      return;
+    }
+    const sourceText = selectionResult.text;
+    const selectionAnchor = normalizeSelectionAnchor(selectionResult.anchor);
+    latestSelectionAnchor = selectionAnchor;
+    if (!mainWindow || mainWindow.isDestroyed() || !mainWindow.isVisible()) {
+      openTranslatorWindow({ focus: true, anchor: selectionAnchor });
+    } else if (bubbleMode) {
+      openTranslatorWindow({ focus: true, anchor: selectionAnchor });
+    }
+
+    if (!sourceText) {
+      const errorMessage = getSelectionReadErrorMessage(selectionResult.source);
+
+      showNotification(APP_NAME, errorMessage);
+      sendTranslationResult({
+        sourceText: '',
+        translation: '',
+        error: errorMessage,
+        stage: 'error',
+        sourceType
+      });
+      return;
+    }
+
+    const automation = getAutomationConfig();
+    const translationSourceText = preprocessSourceText(sourceText, automation) || sourceText;
+    latestSourceTextForError = translationSourceText;
+
+    await runServiceTranslationTask(translationSourceText, { sourceType, job });
+  } catch (error) {
+    selectionReadInProgress = false;
+    const message = error instanceof Error ? error.message : String(error);
+    openTranslatorWindow({ anchor: latestSelectionAnchor });
     sendTranslationResult({
       sourceText: latestSourceTextForError,
       translation: '',
@@ -2375,10 +3582,569 @@ async function translateFromSelection() {
     showNotification(APP_NAME, message);
   } finally {
     selectionReadInProgress = false;
-    translationInProgress = false;
+    finishTranslationJob(job);
   }
 }
 
+function openInputTranslator() {
+  setTranslatorInputMode(true);
+  openTranslatorWindow({ focus: true });
+}
+
+function flushPendingInputTranslation() {
+  if (pendingInputTranslationText === null || translationInProgress) {
+    return;
+  }
+
+  const nextText = pendingInputTranslationText;
+  pendingInputTranslationText = null;
+  void translateFromInput(nextText);
+}
+
+async function translateFromInput(text) {
+  const sourceType = 'input';
+  const rawText = String(text || '');
+  if (!translatorInputMode) {
+    return;
+  }
+  if (translationInProgress) {
+    pendingInputTranslationText = rawText;
+    return;
+  }
+
+  const translationSourceText =
+    preprocessSourceText(rawText, getAutomationConfig()) || rawText.trim();
+  if (!translationSourceText) {
+    return;
+  }
+
+  const job = beginTranslationJob();
+  try {
+    await runServiceTranslationTask(translationSourceText, {
+      sourceType,
+      notifyOnFailure: false,
+      job
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    sendTranslationResult({
+      sourceText: translationSourceText,
+      translation: '',
+      error: message,
+      stage: 'error',
+      sourceType
+    });
+  } finally {
+    finishTranslationJob(job);
+  }
+}
+
+async function translateFromHistory(entryId) {
+  const sourceType = 'history';
+  const entry = getHistoryEntry(entryId);
+  if (!entry) {
+    return {
+      ok: false,
+      error: '历史记录不存在或已被删除。'
+    };
+  }
+
+  setTranslatorInputMode(false);
+  openTranslatorWindow({ focus: true });
+  if (translationInProgress) {
+    await cancelActiveTranslationAndWait();
+  }
+
+  const job = beginTranslationJob();
+  try {
+    await runServiceTranslationTask(entry.sourceText, { sourceType, job });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    sendTranslationResult({
+      sourceText: entry.sourceText,
+      translation: '',
+      error: message,
+      stage: 'error',
+      sourceType
+    });
+    showNotification(APP_NAME, message);
+    return {
+      ok: false,
+      error: message
+    };
+  } finally {
+    finishTranslationJob(job);
+  }
+
+  return {
+    ok: true
+  };
+}
+
+async function runLatestTranslationRequest() {
+  const { sourceText, sourceType } = latestTranslationRequest;
+  const job = beginTranslationJob();
+  try {
+    await runServiceTranslationTask(sourceText, {
+      sourceType,
+      notifyOnFailure: false,
+      job
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    sendTranslationResult({
+      sourceText,
+      translation: '',
+      error: message,
+      stage: 'error',
+      sourceType
+    });
+  } finally {
+    finishTranslationJob(job);
+  }
+}
+
+function retranslateLatestSource() {
+  if (!latestTranslationRequest || selectionReadInProgress) {
+    return;
+  }
+  if (translationInProgress) {
+    pendingRetranslation = true;
+    cancelActiveTranslation();
+    return;
+  }
+
+  void runLatestTranslationRequest();
+}
+
+function setTranslatorTargetLanguage(nextLanguage) {
+  const normalized = String(nextLanguage || '').trim();
+  if (normalized === translatorTargetLanguage) {
+    return;
+  }
+
+  translatorTargetLanguage = normalized;
+  retranslateLatestSource();
+}
+
+function setTranslatorPromptPreset(nextPreset) {
+  const normalized = normalizePromptPresetId(nextPreset);
+  if (normalized === translatorPromptPreset) {
+    return;
+  }
+
+  translatorPromptPreset = normalized;
+  retranslateLatestSource();
+}
+
+function beginTranslationJob() {
+  let resolveSettled = null;
+  const settled = new Promise((resolve) => {
+    resolveSettled = resolve;
+  });
+
+  for (const previousJob of [activeTranslationJob, followUpTranslationJob]) {
+    if (previousJob) {
+      previousJob.superseded = true;
+      previousJob.controller.abort();
+    }
+  }
+  followUpTranslationJob = null;
+  translationInProgress = true;
+  activeTranslationJob = {
+    controller: new AbortController(),
+    serviceControllers: new Map(),
+    settled,
+    resolveSettled
+  };
+  return activeTranslationJob;
+}
+
+function cancelActiveTranslation() {
+  if (!activeTranslationJob) {
+    return false;
+  }
+  activeTranslationJob.controller.abort();
+  return true;
+}
+
+async function cancelActiveTranslationAndWait() {
+  pendingRetranslation = false;
+  pendingInputTranslationText = null;
+  while (activeTranslationJob) {
+    const job = activeTranslationJob;
+    job.controller.abort();
+    await job.settled;
+  }
+}
+
+function stopServiceTranslation(serviceId) {
+  const controller = activeTranslationJob?.serviceControllers.get(String(serviceId || ''));
+  if (!controller) {
+    return false;
+  }
+  controller.abort();
+  return true;
+}
+
+function finishTranslationJob(job) {
+  job?.resolveSettled();
+  if (activeTranslationJob !== job) {
+    return;
+  }
+  activeTranslationJob = null;
+  translationInProgress = false;
+  if (pendingInputTranslationText !== null) {
+    pendingRetranslation = false;
+    flushPendingInputTranslation();
+    return;
+  }
+  if (pendingRetranslation) {
+    pendingRetranslation = false;
+    retranslateLatestSource();
+  }
+}
+
+function emitDocumentProgress(payload) {
+  if (!mainWindow || mainWindow.isDestroyed() || !isMainWindowReady) {
+    return;
+  }
+  mainWindow.webContents.send('document-progress', payload);
+}
+
+async function translateDocumentChunk(services, text, chunkOptions, request) {
+  const firstIndex = Number(chunkOptions.slot || 0) % services.length;
+  let lastError = null;
+
+  for (let offset = 0; offset < services.length; offset += 1) {
+    const service = services[(firstIndex + offset) % services.length];
+    if (isServiceCircuitOpen(service.id)) {
+      continue;
+    }
+    const serviceConfig = request.targetLanguage
+      ? { ...service, targetLanguage: request.targetLanguage }
+      : service;
+    const startedAt = Date.now();
+    try {
+      const translation = await runWithServiceCircuitProbe(service, () =>
+        translateText(text, {
+          serviceConfig,
+          glossary: request.glossary,
+          sourceLanguage: request.sourceLanguage,
+          promptPreset: request.promptPreset,
+          instructions: chunkOptions.instructions,
+          maxTokens: chunkOptions.maxTokens,
+          onRetry: (retryInfo) => updateServiceMetricOnRetry(service, retryInfo),
+          signal: chunkOptions.signal
+        })
+      );
+      updateServiceMetricOnSuccess(service, Date.now() - startedAt);
+      return translation;
+    } catch (error) {
+      if (error?.isCanceled) {
+        throw error;
+      }
+      updateServiceMetricOnFailure(service, Date.now() - startedAt, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error(SERVICE_CIRCUIT_ALL_OPEN_MESSAGE);
+}
+
+async function translateDocumentFile(filePath) {
+  const resolvedPath = path.resolve(String(filePath || ''));
+  const fileName = path.basename(resolvedPath);
+  const format = detectDocumentFormat(resolvedPath);
+  if (!filePath || !format) {
+    const message = `仅支持 ${Object.keys(DOCUMENT_FORMATS).join(' / ')} 文件`;
+    emitDocumentProgress({ stage: 'error', fileName, error: message });
+    return { ok: false, error: message };
+  }
+
+  if (documentTranslationController) {
+    const message = '已有文档正在翻译，请等待完成后再试。';
+    showNotification(APP_NAME, message);
+    return { ok: false, error: message };
+  }
+
+  const rankedServices = rankServicesForCurrentRequest();
+  const services = filterServicesByCircuit(rankedServices);
+  if (services.length === 0) {
+    const message =
+      rankedServices.length > 0
+        ? SERVICE_CIRCUIT_ALL_OPEN_MESSAGE
+        : '没有可用翻译服务，请先在偏好设置里配置服务。';
+    emitDocumentProgress({ stage: 'error', fileName, error: message });
+    return { ok: false, error: message };
+  }
+
+  const controller = new AbortController();
+  documentTranslationController = controller;
+  emitDocumentProgress({ stage: 'running', fileName, done: 0, total: 0 });
+  try {
+    if (fs.statSync(resolvedPath).size > DOCUMENT_MAX_BYTES) {
+      throw new Error('文件过大，文档翻译最多支持 5 MB');
+    }
+
+    const text = fs.readFileSync(resolvedPath, 'utf-8');
+    if (!text.trim()) {
+      throw new Error('文件内容为空');
+    }
+
+    const { sourceLanguage, targetLanguage } = resolveRequestLanguages(
+      text.slice(0, DOCUMENT_LANGUAGE_SAMPLE_CHARS),
+      translatorTargetLanguage
+    );
+    const request = {
+      glossary: getRuntimeGlossary(),
+      sourceLanguage: languageLabel(sourceLanguage),
+      targetLanguage,
+      promptPreset: translatorPromptPreset
+    };
+    const translated = await translateDocument(text, {
+      format,
+      signal: controller.signal,
+      concurrency: Math.min(DOCUMENT_MAX_CONCURRENCY, services.length * DOCUMENT_CONCURRENCY_PER_SERVICE),
+      translateChunk: (chunkText, chunkOptions) => {
+        return translateDocumentChunk(services, chunkText, chunkOptions, request);
+      },
+      onProgress: ({ done, total }) => {
+        emitDocumentProgress({ stage: 'running', fileName, done, total });
+      }
+    });
+
+    const outputPath = buildOutputPath(resolvedPath);
+    fs.writeFileSync(outputPath, translated, { encoding: 'utf-8', flag: 'wx' });
+    emitDocumentProgress({ stage: 'done', fileName, outputPath });
+    showNotification(APP_NAME, `文档翻译完成：${path.basename(outputPath)}`);
+    return { ok: true, outputPath };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      emitDocumentProgress({ stage: 'canceled', fileName });
+      return { ok: false, canceled: true, error: '文档翻译已取消' };
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    emitDocumentProgress({ stage: 'error', fileName, error: message });
+    showNotification(APP_NAME, `文档翻译失败：${message}`);
+    return { ok: false, error: message };
+  } finally {
+    documentTranslationController = null;
+  }
+}
+
+function cancelDocumentTranslation() {
+  if (!documentTranslationController) {
+    return false;
+  }
+  documentTranslationController.abort();
+  return true;
+}
+
+async function pickAndTranslateDocument() {
+  const result = await dialog.showOpenDialog({
+    title: '选择要翻译的文件',
+    properties: ['openFile'],
+    filters: [
+      {
+        name: '文档',
+        extensions: Object.keys(DOCUMENT_FORMATS).map((extension) => extension.slice(1))
+      }
+    ]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return;
+  }
+
+  openTranslatorWindow();
+  await translateDocumentFile(result.filePaths[0]);
+}
+
+function listServicesForLocalApi() {
+  return getRuntimeTranslationServices().map((service) => ({
+    id: service.id,
+    name: serviceLabel(service),
+    enabled: service.enabled !== false,
+    active: service.id === runtimeConfig?.activeServiceId,
+    protocol: service.protocol,
+    model: service.model,
+    targetLanguage: service.targetLanguage
+  }));
+}
+
+function pickServicesForLocalApiRequest(request) {
+  if (request.serviceId) {
+    const service = getRuntimeTranslationServices().find((item) => item.id === request.serviceId);
+    if (!service) {
+      const error = new Error(`未知服务：${request.serviceId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (isServiceCircuitOpen(service.id)) {
+      const error = new Error(
+        `服务已熔断：${serviceLabel(service)}，请稍后重试，或在托盘菜单“服务熔断”中手动重置。`
+      );
+      error.statusCode = 503;
+      throw error;
+    }
+    return [service];
+  }
+
+  const rankedServices = rankServicesForCurrentRequest();
+  const services = filterServicesByCircuit(rankedServices);
+  if (rankedServices.length > 0 && services.length === 0) {
+    const error = new Error(SERVICE_CIRCUIT_ALL_OPEN_MESSAGE);
+    error.statusCode = 503;
+    throw error;
+  }
+  return request.allServices ? services : services.slice(0, 1);
+}
+
+async function translateForLocalApi(request, hooks = {}) {
+  const services = pickServicesForLocalApiRequest(request);
+  if (services.length === 0) {
+    throw new Error('没有可用翻译服务，请先在偏好设置里配置服务。');
+  }
+
+  const sourceText =
+    preprocessSourceText(request.text, getAutomationConfig()) || String(request.text || '').trim();
+  const glossary = getRuntimeGlossary();
+  const streaming = typeof hooks.onDelta === 'function';
+  const { sourceLanguage, targetLanguage } = resolveRequestLanguages(
+    sourceText,
+    request.targetLanguage
+  );
+  const sourceLanguageLabel = languageLabel(sourceLanguage);
+
+  const runService = async (service) => {
+    const serviceConfig = targetLanguage ? { ...service, targetLanguage } : service;
+    const result = {
+      serviceId: service.id,
+      serviceName: serviceLabel(service),
+      model: service.model,
+      targetLanguage: serviceConfig.targetLanguage,
+      status: 'done',
+      translation: '',
+      error: '',
+      glossaryMisses: []
+    };
+
+    hooks.onServiceStart?.({
+      serviceId: result.serviceId,
+      serviceName: result.serviceName,
+      model: result.model
+    });
+
+    const startedAt = Date.now();
+    try {
+      const translation = await runWithServiceCircuitProbe(service, () =>
+        streaming
+          ? streamTranslateText(
+              sourceText,
+              {
+                onDelta: (fullText, deltaText) => {
+                  hooks.onDelta(service.id, fullText, deltaText);
+                },
+                onRetry: (retryInfo) => updateServiceMetricOnRetry(service, retryInfo)
+              },
+              {
+                serviceConfig,
+                glossary,
+                sourceLanguage: sourceLanguageLabel,
+                promptPreset: request.preset,
+                signal: hooks.signal
+              }
+            )
+          : translateText(sourceText, {
+              serviceConfig,
+              glossary,
+              sourceLanguage: sourceLanguageLabel,
+              promptPreset: request.preset,
+              onRetry: (retryInfo) => updateServiceMetricOnRetry(service, retryInfo),
+              signal: hooks.signal
+            })
+      );
+      updateServiceMetricOnSuccess(service, Date.now() - startedAt);
+      result.translation = String(translation || '').trim();
+      result.glossaryMisses = findGlossaryMisses(glossary, sourceText, result.translation, {
+        serviceId: service.id,
+        sourceLanguage,
+        targetLanguage: serviceConfig.targetLanguage
+      });
+    } catch (error) {
+      if (!error?.isCanceled) {
+        updateServiceMetricOnFailure(service, Date.now() - startedAt, error);
+      }
+      result.status = error?.isCanceled ? 'canceled' : 'error';
+      result.error = error instanceof Error ? error.message : String(error);
+    }
+
+    hooks.onServiceDone?.(result);
+    return result;
+  };
+
+  const results = await Promise.all(services.map((service) => runService(service)));
+  return {
+    sourceText,
+    sourceLanguage,
+    results
+  };
+}
+
+async function syncLocalApiServer() {
+  const localApi = runtimeConfig?.localApi || DEFAULT_SETTINGS.localApi;
+  const signature = localApi.enabled ? `${localApi.port}\u0001${localApi.token}` : '';
+  if (signature === localApiServerSignature) {
+    return;
+  }
+  localApiServerSignature = signature;
+
+  await stopLocalApiServer();
+  localApiServerStatus = {
+    running: false,
+    port: 0,
+    error: ''
+  };
+
+  if (!localApi.enabled) {
+    return;
+  }
+
+  if (!localApi.token) {
+    localApiServerStatus.error = '未设置访问令牌，本地 API 未启动。';
+    showNotification(APP_NAME, localApiServerStatus.error);
+    return;
+  }
+
+  try {
+    const address = await startLocalApiServer({
+      port: localApi.port,
+      token: localApi.token,
+      handlers: {
+        appName: APP_NAME,
+        listServices: listServicesForLocalApi,
+        translate: translateForLocalApi
+      }
+    });
+    localApiServerStatus = {
+      running: true,
+      port: address.port,
+      error: ''
+    };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    localApiServerStatus.error = message;
+    showNotification(APP_NAME, `本地 API 启动失败：${message}`);
+  }
+}
+
+function applyLocalApiServer() {
+  localApiServerTask = localApiServerTask.then(syncLocalApiServer).catch(() => {
+    // Ignore, status is already recorded in localApiServerStatus.
+  });
+  return localApiServerTask;
+}
+
 function registerShortcut(primaryAccelerator, fallbackAccelerator, handler, name) {
   const tried = [];
 
@@ -2444,11 +4210,17 @@ function switchActiveService(serviceId) {
     return;
   }
 
-  writeSettings({
-    ...settings,
-    activeServiceId: nextActiveService.id
-  });
+  try {
+    writeSettings({
+      ...settings,
+      activeServiceId: nextActiveService.id
+    });
+  } catch (error) {
+    showNotification(APP_NAME, `服务切换失败：${error.message || error}`);
+    return;
+  }
   loadRuntimeConfig();
+  loadTranslatorModes();
   applyRuntimeConfig();
   showNotification(APP_NAME, `已切换服务：${nextActiveService.name}`);
 }
@@ -2494,6 +4266,22 @@ function buildMenu() {
           accelerator: shortcutRegistrationResult.translateShortcut || undefined,
           click: translateFromSelection
         },
+        {
+          label: '输入文本翻译',
+          click: openInputTranslator
+        },
+        {
+          label: '翻译文件…',
+          click: pickAndTranslateDocument
+        },
+        {
+          label: '翻译历史',
+          click: openHistoryWindow
+        },
+        {
+          label: '生词本复习',
+          click: openVocabularyWindow
+        },
         {
           label: '偏好设置',
           accelerator: shortcutRegistrationResult.openSettingsShortcut || undefined,
@@ -2531,10 +4319,26 @@ function trayMenuTemplate() {
         : '立即翻译选中文本',
       click: translateFromSelection
     },
+    {
+      label: '输入文本翻译',
+      click: openInputTranslator
+    },
+    {
+      label: '翻译文件…',
+      click: pickAndTranslateDocument
+    },
     {
       label: '显示翻译窗口',
       click: openTranslatorWindow
     },
+    {
+      label: '翻译历史',
+      click: openHistoryWindow
+    },
+    {
+      label: getVocabularyReviewMenuLabel(),
+      click: openVocabularyWindow
+    },
     {
       label: '偏好设置',
       click: openPreferencesWindow
@@ -2552,6 +4356,7 @@ function trayMenuTemplate() {
         }
       ]
     },
+    serviceCircuitMenuItem(),
     {
       label: '打开原始配置文件',
       click: openRawSettingsFile
@@ -2563,7 +4368,62 @@ function trayMenuTemplate() {
       label: '退出',
       role: 'quit'
     }
-  ];
+  ].filter(Boolean);
+}
+
+function truncateMenuLabel(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > SERVICE_CIRCUIT_MENU_REASON_LENGTH
+    ? `${value.slice(0, SERVICE_CIRCUIT_MENU_REASON_LENGTH)}…`
+    : value;
+}
+
+function serviceCircuitMenuItem() {
+  const metrics = loadServiceMetrics();
+  const now = Date.now();
+  const trippedServices = getRuntimeTranslationServices()
+    .map((service) => ({
+      service,
+      circuit: getServiceCircuitState(metrics.get(service.id), now)
+    }))
+    .filter((item) => item.circuit.state === 'open' || item.circuit.state === 'half-open');
+  if (trippedServices.length === 0) {
+    return null;
+  }
+
+  return {
+    label: `服务熔断（${trippedServices.length}）`,
+    submenu: [
+      ...trippedServices.flatMap(({ service, circuit }) => [
+        {
+          label:
+            circuit.state === 'open'
+              ? `${serviceLabel(service)}：已熔断，${new Date(circuit.until).toLocaleTimeString()} 后试探`
+              : `${serviceLabel(service)}：半开，下次调用将试探`,
+          enabled: false
+        },
+        {
+          label: `  ${truncateMenuLabel(circuit.reason)}`,
+          enabled: false
+        },
+        {
+          label: `  重置 ${serviceLabel(service)}`,
+          click: () => {
+            resetServiceCircuit(service.id);
+          }
+        }
+      ]),
+      {
+        type: 'separator'
+      },
+      {
+        label: '重置全部熔断',
+        click: () => {
+          resetServiceCircuit();
+        }
+      }
+    ]
+  };
 }
 
 function refreshTrayMenu() {
@@ -2573,6 +4433,7 @@ function refreshTrayMenu() {
 
   tray.setContextMenu(Menu.buildFromTemplate(trayMenuTemplate()));
   tray.setToolTip(`${APP_NAME}（${currentTranslateShortcut()}）`);
+  scheduleServiceCircuitTrayRefresh();
 }
 
 function createTray() {
@@ -2604,6 +4465,8 @@ function applyRuntimeConfig() {
     stopMacGlobalClickMonitor();
   }
 
+  configureTranslationCache(runtimeConfig?.cache);
+  applyLocalApiServer();
   globalShortcut.unregisterAll();
   setupShortcuts();
   ensureMainWindowForCurrentMode();
@@ -2614,6 +4477,7 @@ function applyRuntimeConfig() {
   emitUiConfigToRenderer();
   emitAutomationConfigToRenderer();
   emitBubblePinStateToRenderer();
+  emitInputModeToRenderer();
 
   if (isBubbleMode()) {
     startMacGlobalClickMonitorIfNeeded();
@@ -2629,6 +4493,14 @@ function normalizeTimeoutValue(value, fallback) {
   return String(Math.floor(parsed));
 }
 
+function normalizeServiceCostPayload(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.round(parsed * 10000) / 10000 : null;
+}
+
 function sanitizeServicePayload(rawService, index, envFallback) {
   const fallbackId = `svc_${index + 1}`;
   const fallbackName = `服务 ${index + 1}`;
@@ -2643,6 +4515,8 @@ function sanitizeServicePayload(rawService, index, envFallback) {
       ? rawService.name.trim()
       : fallbackName;
 
+  const protocol = normalizeServiceProtocol(rawService?.protocol);
+
   const baseUrl =
     typeof rawService?.baseUrl === 'string' && rawService.baseUrl.trim()
       ? rawService.baseUrl.trim()
@@ -2672,11 +4546,39 @@ function sanitizeServicePayload(rawService, index, envFallback) {
     id,
     name,
     enabled: rawService?.enabled !== false,
+    protocol,
     baseUrl,
     apiKey,
     model,
     targetLanguage,
-    timeoutMs
+    timeoutMs,
+    retry: normalizeServiceRetryPayload(rawService?.retry),
+    cost: normalizeServiceCostPayload(rawService?.cost),
+    promptTemplate: normalizePromptTemplate(rawService?.promptTemplate),
+    promptTemplates: normalizePromptTemplates(rawService?.promptTemplates)
+  };
+}
+
+function normalizeServiceRetryPayload(rawRetry) {
+  const source = rawRetry && typeof rawRetry === 'object' ? rawRetry : {};
+  const maxAttempts = Number(source.maxAttempts);
+  const baseDelayMs = Number(source.baseDelayMs);
+  const maxDelayMs = Number(source.maxDelayMs);
+  const normalizedBaseDelayMs = Number.isFinite(baseDelayMs)
+    ? clampToRange(Math.floor(baseDelayMs), 100, 10000)
+    : DEFAULT_SERVICE_RETRY.baseDelayMs;
+
+  return {
+    maxAttempts: Number.isFinite(maxAttempts)
+      ? clampToRange(Math.floor(maxAttempts), 1, 6)
+      : DEFAULT_SERVICE_RETRY.maxAttempts,
+    baseDelayMs: normalizedBaseDelayMs,
+    maxDelayMs: Math.max(
+      normalizedBaseDelayMs,
+      Number.isFinite(maxDelayMs)
+        ? clampToRange(Math.floor(maxDelayMs), 500, 60000)
+        : DEFAULT_SERVICE_RETRY.maxDelayMs
+    )
   };
 }
 
@@ -2708,10 +4610,61 @@ function normalizeRoutingPayload(rawRouting, fallback = DEFAULT_SETTINGS.routing
 
   return {
     autoRouteEnabled: coerceBoolean(source.autoRouteEnabled, base.autoRouteEnabled !== false),
-    fallbackEnabled: coerceBoolean(source.fallbackEnabled, base.fallbackEnabled !== false)
+    fallbackEnabled: coerceBoolean(source.fallbackEnabled, base.fallbackEnabled !== false),
+    synthesisEnabled: coerceBoolean(source.synthesisEnabled, base.synthesisEnabled === true),
+    judgeServiceId: String(source.judgeServiceId ?? base.judgeServiceId ?? '').trim(),
+    strategy: normalizeRoutingStrategyPayload(source.strategy, base.strategy),
+    raceCount: normalizeRaceCountPayload(source.raceCount, base.raceCount),
+    lengthRules: normalizeLengthRulesPayload(
+      Array.isArray(source.lengthRules) ? source.lengthRules : base.lengthRules
+    )
   };
 }
 
+function normalizeRoutingStrategyPayload(value, fallback) {
+  const normalized = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  if (ROUTING_STRATEGIES.includes(normalized)) {
+    return normalized;
+  }
+  return ROUTING_STRATEGIES.includes(fallback) ? fallback : DEFAULT_SETTINGS.routing.strategy;
+}
+
+function normalizeRaceCountPayload(value, fallback) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return Number(fallback) || DEFAULT_SETTINGS.routing.raceCount;
+  }
+  return clampToRange(Math.floor(parsed), 2, 6);
+}
+
+function normalizeLengthRulesPayload(rawRules) {
+  if (!Array.isArray(rawRules)) {
+    return [];
+  }
+  return rawRules
+    .map((rule) => {
+      const maxLength = Number(rule?.maxLength);
+      return {
+        maxLength: Number.isFinite(maxLength) && maxLength > 0 ? Math.floor(maxLength) : 0,
+        serviceIds: Array.from(
+          new Set(
+            (Array.isArray(rule?.serviceIds) ? rule.serviceIds : [])
+              .map((id) => String(id || '').trim())
+              .filter(Boolean)
+          )
+        )
+      };
+    })
+    .filter((rule) => rule.serviceIds.length > 0)
+    .slice(0, 10)
+    .sort(
+      (left, right) =>
+        (left.maxLength || Number.MAX_SAFE_INTEGER) - (right.maxLength || Number.MAX_SAFE_INTEGER)
+    );
+}
+
 function normalizeServiceIdListPayload(rawIds, services, fallbackIds = []) {
   const validIds = new Set(
     (Array.isArray(services) ? services : [])
@@ -2757,32 +4710,6 @@ function normalizeServiceIdListPayload(rawIds, services, fallbackIds = []) {
     .filter(Boolean);
 }
 
-function normalizeGlossaryPayload(rawGlossary) {
-  if (!Array.isArray(rawGlossary)) {
-    return [];
-  }
-
-  const dedupe = new Set();
-  const result = [];
-
-  for (const item of rawGlossary) {
-    const source = String(item?.source || '').trim();
-    const target = String(item?.target || '').trim();
-    if (!source || !target) {
-      continue;
-    }
-
-    const key = `${source}\u0001${target}`;
-    if (dedupe.has(key)) {
-      continue;
-    }
-    dedupe.add(key);
-    result.push({ source, target });
-  }
-
-  return result;
-}
-
 function normalizeAutomationPayload(rawAutomation, fallback = DEFAULT_SETTINGS.automation) {
   const base =
     fallback && typeof fallback === 'object' ? fallback : DEFAULT_SETTINGS.automation;
@@ -2810,7 +4737,79 @@ function normalizeAutomationPayload(rawAutomation, fallback = DEFAULT_SETTINGS.a
       source.copyHighlightedWordOnClick,
       base.copyHighlightedWordOnClick === true
     ),
-    autoPlaySourceText: coerceBoolean(source.autoPlaySourceText, base.autoPlaySourceText === true)
+    autoPlaySourceText: coerceBoolean(source.autoPlaySourceText, base.autoPlaySourceText === true),
+    dictionaryLookup: coerceBoolean(source.dictionaryLookup, base.dictionaryLookup !== false)
+  };
+}
+
+function normalizeCachePayload(rawCache, fallback = DEFAULT_SETTINGS.cache) {
+  const base = fallback && typeof fallback === 'object' ? fallback : DEFAULT_SETTINGS.cache;
+  const source = rawCache && typeof rawCache === 'object' ? rawCache : {};
+  const maxEntries = Number(source.maxEntries ?? base.maxEntries);
+  const maxAgeDays = Number(source.maxAgeDays ?? base.maxAgeDays);
+
+  return {
+    enabled: coerceBoolean(source.enabled, base.enabled !== false),
+    maxEntries: Number.isFinite(maxEntries)
+      ? clampToRange(Math.floor(maxEntries), 50, 100000)
+      : DEFAULT_SETTINGS.cache.maxEntries,
+    maxAgeDays: Number.isFinite(maxAgeDays)
+      ? clampToRange(Math.floor(maxAgeDays), 1, 3650)
+      : DEFAULT_SETTINGS.cache.maxAgeDays
+  };
+}
+
+function normalizeLocalApiPayload(rawLocalApi, fallback = DEFAULT_SETTINGS.localApi) {
+  const base =
+    fallback && typeof fallback === 'object' ? fallback : DEFAULT_SETTINGS.localApi;
+  const source = rawLocalApi && typeof rawLocalApi === 'object' ? rawLocalApi : {};
+  const port = Number(source.port ?? base.port);
+  const enabled = coerceBoolean(source.enabled, base.enabled === true);
+  let token = String(source.token ?? base.token ?? '').trim();
+  if (enabled && !token) {
+    token = crypto.randomBytes(24).toString('hex');
+  }
+
+  return {
+    enabled,
+    port: Number.isFinite(port)
+      ? clampToRange(Math.floor(port), 1024, 65535)
+      : DEFAULT_SETTINGS.localApi.port,
+    token
+  };
+}
+
+function normalizeLanguagePayload(rawLanguage, fallback = DEFAULT_SETTINGS.language) {
+  const base =
+    fallback && typeof fallback === 'object' ? fallback : DEFAULT_SETTINGS.language;
+  const source = rawLanguage && typeof rawLanguage === 'object' ? rawLanguage : {};
+  const rawPairs = Array.isArray(source.pairs) ? source.pairs : base.pairs;
+  const seenSources = new Set();
+  const pairs = [];
+
+  for (const item of Array.isArray(rawPairs) ? rawPairs : []) {
+    const pairSource = normalizeLanguageCode(item?.source);
+    const pairTarget = String(item?.target || '').trim();
+    if (!pairSource || !pairTarget) {
+      throw new Error(`语言对「${item?.source || ''} => ${pairTarget}」无法识别源语言`);
+    }
+    if (seenSources.has(pairSource)) {
+      continue;
+    }
+    seenSources.add(pairSource);
+    pairs.push({
+      source: pairSource,
+      target: pairTarget
+    });
+  }
+
+  pairs.sort((left, right) => {
+    return Number(left.source === ANY_LANGUAGE) - Number(right.source === ANY_LANGUAGE);
+  });
+
+  return {
+    autoDetect: coerceBoolean(source.autoDetect, base.autoDetect !== false),
+    pairs
   };
 }
 
@@ -2830,6 +4829,136 @@ function dedupeServiceIds(services) {
   });
 }
 
+function getPreferencesDialogParent() {
+  return preferencesWindow && !preferencesWindow.isDestroyed() ? preferencesWindow : undefined;
+}
+
+async function exportSettingsBundle(payload) {
+  const includeApiKeys = coerceBoolean(payload?.includeApiKeys, false);
+  const dateText = new Date().toISOString().slice(0, 10);
+  const result = await dialog.showSaveDialog(getPreferencesDialogParent(), {
+    title: '导出配置包',
+    defaultPath: path.join(app.getPath('documents'), `jikeyi-settings-${dateText}.${SETTINGS_BUNDLE_EXTENSION}`),
+    filters: [{ name: '即刻译配置包', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { ok: false, canceled: true };
+  }
+
+  try {
+    const bundle = buildSettingsBundle(readSettings(), { includeApiKeys });
+    fs.writeFileSync(result.filePath, JSON.stringify(bundle, null, 2), {
+      encoding: 'utf-8',
+      mode: includeApiKeys ? 0o600 : 0o644
+    });
+    return {
+      ok: true,
+      filePath: result.filePath,
+      includesApiKeys: includeApiKeys
+    };
+  } catch (error) {
+    return { ok: false, error: error.message || String(error) };
+  }
+}
+
+async function importSettingsBundle(payload) {
+  const mode = payload?.mode === 'replace' ? 'replace' : 'merge';
+  const result = await dialog.showOpenDialog(getPreferencesDialogParent(), {
+    title: mode === 'replace' ? '导入配置包（替换）' : '导入配置包（合并）',
+    properties: ['openFile'],
+    filters: [{ name: '即刻译配置包', extensions: ['json'] }]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { ok: false, canceled: true };
+  }
+
+  let imported = null;
+  try {
+    const bundle = parseSettingsBundle(fs.readFileSync(result.filePaths[0], 'utf-8'));
+    imported = applySettingsBundle(readSettings(), bundle, { mode });
+  } catch (error) {
+    return { ok: false, error: error.message || String(error) };
+  }
+
+  writeSettings(imported.settings);
+  loadRuntimeConfig();
+  loadTranslatorModes();
+  applyRuntimeConfig();
+  await localApiServerTask;
+
+  return {
+    ok: true,
+    summary: imported.summary,
+    ...toPreferencesResponse()
+  };
+}
+
+async function previewGlossaryFileImport(payload) {
+  const result = await dialog.showOpenDialog(getPreferencesDialogParent(), {
+    title: '导入术语表',
+    properties: ['openFile'],
+    filters: [
+      {
+        name: '术语表',
+        extensions: Object.keys(GLOSSARY_FILE_FORMATS).map((extension) => extension.slice(1))
+      }
+    ]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { ok: false, canceled: true };
+  }
+
+  const filePath = result.filePaths[0];
+  try {
+    const parsed = parseGlossaryFile(fs.readFileSync(filePath, 'utf-8'), detectGlossaryFileFormat(filePath));
+    const preview = previewGlossaryImport(payload?.current, parsed.entries);
+    return {
+      ok: true,
+      fileName: path.basename(filePath),
+      entries: parsed.entries,
+      skipped: parsed.skipped,
+      added: preview.added.length,
+      duplicates: preview.duplicates.length,
+      conflicts: preview.conflicts.map((conflict) => ({
+        source: conflict.imported.source,
+        currentTarget: (conflict.currentEntries || [conflict.current]).map((entry) => entry.target).join('、'),
+        importedTarget: conflict.imported.target,
+        withinImport: conflict.withinImport
+      }))
+    };
+  } catch (error) {
+    return { ok: false, error: error.message || String(error) };
+  }
+}
+
+async function exportGlossaryFile(payload) {
+  const result = await dialog.showSaveDialog(getPreferencesDialogParent(), {
+    title: '导出术语表',
+    defaultPath: path.join(app.getPath('documents'), 'jikeyi-glossary.csv'),
+    filters: [
+      { name: 'CSV', extensions: ['csv'] },
+      { name: 'TSV', extensions: ['tsv'] },
+      { name: 'TBX', extensions: ['tbx'] }
+    ]
+  });
+  if (result.canceled || !result.filePath) {
+    return { ok: false, canceled: true };
+  }
+
+  const format = detectGlossaryFileFormat(result.filePath) || 'csv';
+  try {
+    const glossary = normalizeGlossary(payload?.glossary);
+    fs.writeFileSync(result.filePath, serializeGlossaryFile(glossary, format), 'utf-8');
+    return {
+      ok: true,
+      filePath: result.filePath,
+      count: glossary.length
+    };
+  } catch (error) {
+    return { ok: false, error: error.message || String(error) };
+  }
+}
+
 function toPreferencesResponse() {
   const settings = readSettings();
   const env = settings.env || {};
@@ -2841,8 +4970,11 @@ function toPreferencesResponse() {
     services,
     [activeService?.id || settings.activeServiceId || '']
   );
-  const glossary = normalizeGlossaryPayload(settings.glossary);
+  const glossary = normalizeGlossary(settings.glossary);
   const automation = normalizeAutomationPayload(settings.automation, DEFAULT_SETTINGS.automation);
+  const cache = normalizeCachePayload(settings.cache, DEFAULT_SETTINGS.cache);
+  const localApi = normalizeLocalApiPayload(settings.localApi, DEFAULT_SETTINGS.localApi);
+  const language = normalizeLanguagePayload(settings.language, DEFAULT_SETTINGS.language);
 
   return {
     env: {
@@ -2858,12 +4990,20 @@ function toPreferencesResponse() {
     bubbleVisibleServiceIds,
     glossary,
     automation,
+    cache,
+    localApi,
+    language,
     effective: {
       translateShortcut: currentTranslateShortcut(),
       openSettingsShortcut: currentOpenSettingsShortcut(),
       popupMode: runtimeConfig?.popupMode || 'panel',
       fontSize: runtimeConfig?.fontSize || 16,
-      activeServiceName: runtimeConfig?.activeServiceName || activeService?.name || ''
+      activeServiceName: runtimeConfig?.activeServiceName || activeService?.name || '',
+      cacheStats: getTranslationCacheStats(),
+      localApi: { ...localApiServerStatus },
+      settingsError: getSettingsLoadError(),
+      secretStorage: getSecretStorageMode(),
+      unreadableSecretServiceIds: getUnreadableSecretServiceIds()
     },
     settingsPath: getSettingsPath()
   };
@@ -2964,9 +5104,12 @@ function buildNextSettingsFromPayload(payload) {
     [activeServiceId]
   );
   const nextGlossary = Array.isArray(payload?.glossary)
-    ? normalizeGlossaryPayload(payload.glossary)
-    : normalizeGlossaryPayload(current.glossary);
+    ? normalizeGlossary(payload.glossary)
+    : normalizeGlossary(current.glossary);
   const nextAutomation = normalizeAutomationPayload(payload?.automation, current.automation);
+  const nextCache = normalizeCachePayload(payload?.cache, current.cache);
+  const nextLocalApi = normalizeLocalApiPayload(payload?.localApi, current.localApi);
+  const nextLanguage = normalizeLanguagePayload(payload?.language, current.language);
 
   return {
     ...current,
@@ -2976,7 +5119,10 @@ function buildNextSettingsFromPayload(payload) {
     routing: nextRouting,
     bubbleVisibleServiceIds: nextBubbleVisibleServiceIds,
     glossary: nextGlossary,
-    automation: nextAutomation
+    automation: nextAutomation,
+    cache: nextCache,
+    localApi: nextLocalApi,
+    language: nextLanguage
   };
 }
 
@@ -2989,15 +5135,134 @@ function setupIpcHandlers() {
     setBubblePinned(payload?.pinned === true);
   });
 
+  ipcMain.on('translator:set-input-mode', (_, payload) => {
+    setTranslatorInputMode(payload?.enabled === true);
+  });
+
+  ipcMain.on('translator:translate-input', (_, payload) => {
+    translateFromInput(payload?.text);
+  });
+
+  ipcMain.on('translator:set-target-language', (_, payload) => {
+    setTranslatorTargetLanguage(payload?.language);
+  });
+
+  ipcMain.on('translator:set-prompt-preset', (_, payload) => {
+    setTranslatorPromptPreset(payload?.preset);
+  });
+
+  ipcMain.on('translator:set-mode', (_, payload) => {
+    setTranslatorMode(payload?.mode);
+  });
+
+  ipcMain.handle('translator:pick-best-service', (_, payload) => {
+    return recordServiceVote(payload);
+  });
+
+  ipcMain.handle('translator:save-vocabulary', (_, payload) => {
+    try {
+      const entry = addVocabularyEntry(payload);
+      if (!entry) {
+        return { ok: false, error: '没有可保存的单词' };
+      }
+      emitVocabularyUpdated();
+      return { ok: true, entry };
+    } catch (error) {
+      return { ok: false, error: error instanceof Error ? error.message : String(error) };
+    }
+  });
+
+  ipcMain.on('translator:cancel-translation', () => {
+    cancelActiveTranslation();
+  });
+
+  ipcMain.on('translator:stop-service', (_, payload) => {
+    stopServiceTranslation(payload?.serviceId);
+  });
+
+  ipcMain.handle('translator:translate-document', (_, payload) => {
+    return translateDocumentFile(payload?.filePath);
+  });
+
+  ipcMain.on('translator:cancel-document', () => {
+    cancelDocumentTranslation();
+  });
+
+  ipcMain.handle('history:list', (_, payload) => {
+    return listHistoryEntries({
+      query: payload?.query,
+      limit: payload?.limit
+    });
+  });
+
+  ipcMain.handle('history:remove', (_, entryId) => {
+    return removeHistoryEntry(entryId);
+  });
+
+  ipcMain.handle('history:clear', () => {
+    clearHistory();
+    return true;
+  });
+
+  ipcMain.handle('history:rerun', (_, entryId) => {
+    return translateFromHistory(entryId);
+  });
+
+  ipcMain.handle('history:clipboard-write-text', (_, text) => {
+    clipboard.writeText(String(text || ''));
+    return true;
+  });
+
+  ipcMain.handle('vocabulary:list', (_, payload) => {
+    return listVocabularyEntries({
+      query: payload?.query
+    });
+  });
+
+  ipcMain.handle('vocabulary:due', (_, payload) => {
+    return {
+      entries: listDueVocabularyEntries({ limit: payload?.limit }),
+      stats: getVocabularyStats()
+    };
+  });
+
+  ipcMain.handle('vocabulary:review', (_, payload) => {
+    const entry = reviewVocabularyEntry(payload?.entryId, payload?.quality);
+    if (entry) {
+      refreshTrayMenu();
+    }
+    return entry;
+  });
+
+  ipcMain.handle('vocabulary:remove', (_, entryId) => {
+    const removed = removeVocabularyEntry(entryId);
+    if (removed) {
+      refreshTrayMenu();
+    }
+    return removed;
+  });
+
+  ipcMain.handle('vocabulary:export-anki', () => {
+    return exportVocabularyAnkiFile();
+  });
+
+  ipcMain.handle('vocabulary:clipboard-write-text', (_, text) => {
+    clipboard.writeText(String(text || ''));
+    return true;
+  });
+
   ipcMain.handle('preferences:get-settings', () => {
     return toPreferencesResponse();
   });
 
-  ipcMain.handle('preferences:save-settings', (_, payload) => {
+  ipcMain.handle('preferences:save-settings', async (_, payload) => {
+    const previousSettings = readSettings();
     const nextSettings = buildNextSettingsFromPayload(payload);
     writeSettings(nextSettings);
+    resetCircuitsForChangedServices(previousSettings.services, nextSettings.services);
     loadRuntimeConfig();
     applyRuntimeConfig();
+    await localApiServerTask;
 
     showNotification(APP_NAME, '偏好设置已保存并生效。');
     return {
@@ -3022,6 +5287,29 @@ function setupIpcHandlers() {
     };
   });
 
+  ipcMain.handle('preferences:clear-cache', () => {
+    clearTranslationCache();
+    return {
+      ok: true,
+      cacheStats: getTranslationCacheStats()
+    };
+  });
+
+  ipcMain.handle('preferences:get-service-health', () => {
+    return {
+      services: getServiceHealthSnapshot()
+    };
+  });
+
+  ipcMain.handle('preferences:reset-service-metrics', (_, serviceId) => {
+    resetServiceMetrics(serviceId);
+    refreshTrayMenu();
+    return {
+      ok: true,
+      services: getServiceHealthSnapshot()
+    };
+  });
+
   ipcMain.handle('preferences:clipboard-read-text', () => {
     return clipboard.readText() || '';
   });
@@ -3031,7 +5319,31 @@ function setupIpcHandlers() {
     return true;
   });
 
+  ipcMain.handle('preferences:export-settings', (_, payload) => {
+    return exportSettingsBundle(payload);
+  });
+
+  ipcMain.handle('preferences:import-settings', (_, payload) => {
+    return importSettingsBundle(payload);
+  });
+
+  ipcMain.handle('preferences:glossary-import-preview', (_, payload) => {
+    return previewGlossaryFileImport(payload);
+  });
+
+  ipcMain.handle('preferences:glossary-import-apply', (_, payload) => {
+    return {
+      ok: true,
+      glossary: mergeGlossaryImport(payload?.current, payload?.entries, payload?.resolution)
+    };
+  });
+
+  ipcMain.handle('preferences:glossary-export', (_, payload) => {
+    return exportGlossaryFile(payload);
+  });
+
   ipcMain.handle('preferences:open-config-file', async () => {
+    ensureConfigFilesSafely();
     await shell.openPath(getSettingsPath());
     return true;
   });
@@ -3042,19 +5354,31 @@ app.whenReady().then(() => {
   if (process.platform === 'darwin' && app.dock) {
     app.dock.hide();
   }
-  ensureConfigFiles();
+  setupSecretStorage();
+  const configError = ensureConfigFilesSafely();
   loadRuntimeConfig();
+  loadTranslatorModes();
+  loadServiceVotes();
   createMainWindow();
   createPreferencesWindow();
   createTray();
   setupIpcHandlers();
   applyRuntimeConfig();
+  startSettingsWatcher();
   if (process.platform === 'darwin') {
     ensureMacSelectionHelperBuilt();
     ensureMacClickMonitorHelperBuilt();
   }
 
-  if (!runtimeConfig.apiKey || runtimeConfig.apiKey === 'REPLACE_WITH_YOUR_API_KEY') {
+  if (configError) {
+    dialog.showErrorBox(
+      `${APP_NAME} 配置文件错误`,
+      getSettingsLoadError() ? `${configError}\n\n本次启动暂用默认设置运行。` : configError
+    );
+  } else if (
+    runtimeConfig.protocol !== 'openai' &&
+    (!runtimeConfig.apiKey || runtimeConfig.apiKey === 'REPLACE_WITH_YOUR_API_KEY')
+  ) {
     showNotification(
       APP_NAME,
       `请先配置 API Key：${currentOpenSettingsShortcut()} 打开偏好设置`
@@ -3065,10 +5389,14 @@ app.whenReady().then(() => {
 app.on('before-quit', () => {
   isQuitting = true;
   stopMacGlobalClickMonitor();
+  stopLocalApiServer();
 });
 
 app.on('will-quit', () => {
+  stopSettingsWatcher();
   globalShortcut.unregisterAll();
+  flushTranslationCache();
+  flushServiceMetrics();
   stopMacGlobalClickMonitor();
 });
 
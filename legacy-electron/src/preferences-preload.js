@@ -6,5 +6,16 @@ contextBridge.exposeInMainWorld('preferencesApi', {
   updateAutomation: (payload) => ipcRenderer.invoke('preferences:update-automation', payload),
   readClipboardText: () => ipcRenderer.invoke('preferences:clipboard-read-text'),
   writeClipboardText: (text) => ipcRenderer.invoke('preferences:clipboard-write-text', text),
-  openRawSettingsFile: () => ipcRenderer.invoke('preferences:open-config-file')
+  openRawSettingsFile: () => ipcRenderer.invoke('preferences:open-config-file'),
+  exportSettings: (payload) => ipcRenderer.invoke('preferences:export-settings', payload),
+  importSettings: (payload) => ipcRenderer.invoke('preferences:import-settings', payload),
+  clearCache: () => ipcRenderer.invoke('preferences:clear-cache'),
+  getServiceHealth: () => ipcRenderer.invoke('preferences:get-service-health'),
+  resetServiceMetrics: (serviceId) => ipcRenderer.invoke('preferences:reset-service-metrics', serviceId),
+  previewGlossaryImport: (payload) => ipcRenderer.invoke('preferences:glossary-import-preview', payload),
+  applyGlossaryImport: (payload) => ipcRenderer.invoke('preferences:glossary-import-apply', payload),
+  exportGlossary: (payload) => ipcRenderer.invoke('preferences:glossary-export', payload),
+  onSettingsChanged: (handler) => {
+    ipcRenderer.on('preferences-settings-changed', (_, payload) => handler(payload));
+  }
 });
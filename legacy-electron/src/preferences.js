@@ -14,19 +14,42 @@ const activeTagNode = document.getElementById('activeTag');
 const serviceFieldMap = {
   name: document.getElementById('serviceName'),
   enabled: document.getElementById('serviceEnabled'),
+  protocol: document.getElementById('serviceProtocol'),
   baseUrl: document.getElementById('serviceBaseUrl'),
   apiKey: document.getElementById('serviceApiKey'),
   model: document.getElementById('serviceModel'),
   targetLanguage: document.getElementById('serviceTargetLanguage'),
-  timeoutMs: document.getElementById('serviceTimeoutMs')
+  timeoutMs: document.getElementById('serviceTimeoutMs'),
+  retryMaxAttempts: document.getElementById('serviceRetryMaxAttempts'),
+  retryBaseDelayMs: document.getElementById('serviceRetryBaseDelayMs'),
+  retryMaxDelayMs: document.getElementById('serviceRetryMaxDelayMs'),
+  cost: document.getElementById('serviceCost'),
+  promptTemplate: document.getElementById('servicePromptTemplate')
 };
+const servicePromptLanguageSelect = document.getElementById('servicePromptLanguage');
 const serviceApiKeyPasteButton = document.getElementById('serviceApiKeyPasteBtn');
 const serviceApiKeyCopyButton = document.getElementById('serviceApiKeyCopyBtn');
 const routingFieldMap = {
-  autoRouteEnabled: document.getElementById('autoRouteEnabled')
+  autoRouteEnabled: document.getElementById('autoRouteEnabled'),
+  fallbackEnabled: document.getElementById('fallbackEnabled'),
+  strategy: document.getElementById('routingStrategy'),
+  raceCount: document.getElementById('routingRaceCount'),
+  lengthRules: document.getElementById('routingLengthRules'),
+  synthesisEnabled: document.getElementById('synthesisEnabled'),
+  judgeServiceId: document.getElementById('judgeServiceSelect')
 };
 const bubbleServiceListNode = document.getElementById('bubbleServiceList');
 const glossaryInput = document.getElementById('glossaryInput');
+const glossaryImportButton = document.getElementById('glossaryImportBtn');
+const glossaryExportButton = document.getElementById('glossaryExportBtn');
+const glossaryImportPreviewNode = document.getElementById('glossaryImportPreview');
+const glossaryImportSummaryNode = document.getElementById('glossaryImportSummary');
+const glossaryConflictListNode = document.getElementById('glossaryConflictList');
+const glossaryConflictResolutionInput = document.getElementById('glossaryConflictResolution');
+const glossaryImportApplyButton = document.getElementById('glossaryImportApplyBtn');
+const glossaryImportCancelButton = document.getElementById('glossaryImportCancelBtn');
+const languageAutoDetectInput = document.getElementById('languageAutoDetect');
+const languagePairsInput = document.getElementById('languagePairsInput');
 const automationFieldMap = {
   replaceLineBreaksWithSpace: document.getElementById('replaceLineBreaksWithSpace'),
   stripCodeCommentMarkers: document.getElementById('stripCodeCommentMarkers'),
@@ -34,9 +57,35 @@ const automationFieldMap = {
   autoCopyOcrResult: document.getElementById('autoCopyOcrResult'),
   autoCopyFirstResult: document.getElementById('autoCopyFirstResult'),
   copyHighlightedWordOnClick: document.getElementById('copyHighlightedWordOnClick'),
-  autoPlaySourceText: document.getElementById('autoPlaySourceText')
+  autoPlaySourceText: document.getElementById('autoPlaySourceText'),
+  dictionaryLookup: document.getElementById('dictionaryLookup')
 };
 
+const cacheFieldMap = {
+  enabled: document.getElementById('cacheEnabled'),
+  maxEntries: document.getElementById('cacheMaxEntries'),
+  maxAgeDays: document.getElementById('cacheMaxAgeDays')
+};
+const clearCacheButton = document.getElementById('clearCacheBtn');
+const exportIncludeApiKeysInput = document.getElementById('exportIncludeApiKeys');
+const exportSettingsButton = document.getElementById('exportSettingsBtn');
+const importMergeButton = document.getElementById('importMergeBtn');
+const importReplaceButton = document.getElementById('importReplaceBtn');
+const localApiFieldMap = {
+  enabled: document.getElementById('localApiEnabled'),
+  port: document.getElementById('localApiPort'),
+  token: document.getElementById('localApiToken')
+};
+const localApiTokenGenerateButton = document.getElementById('localApiTokenGenerateBtn');
+const localApiTokenCopyButton = document.getElementById('localApiTokenCopyBtn');
+const localApiStatusNode = document.getElementById('localApiStatus');
+const secretStorageHintNode = document.getElementById('secretStorageHint');
+const cacheStatsNode = document.getElementById('cacheStats');
+const serviceHealthListNode = document.getElementById('serviceHealthList');
+const serviceHealthRefreshButton = document.getElementById('serviceHealthRefreshBtn');
+const serviceHealthResetAllButton = document.getElementById('serviceHealthResetAllBtn');
+const serviceHealthStatusNode = document.getElementById('serviceHealthStatus');
+
 const saveButton = document.getElementById('saveBtn');
 const openRawButton = document.getElementById('openRawBtn');
 const statusNode = document.getElementById('status');
@@ -90,25 +139,45 @@ const COMMON_KEY_MAP = {
 
 const DEFAULT_SERVICE_TEMPLATE = {
   enabled: true,
+  protocol: 'anthropic',
   baseUrl: 'https://api.minimaxi.com/anthropic',
   apiKey: '',
   model: 'MiniMax-M2.5',
   targetLanguage: '简体中文',
-  timeoutMs: '60000'
+  timeoutMs: '60000',
+  retry: {
+    maxAttempts: '3',
+    baseDelayMs: '800',
+    maxDelayMs: '8000'
+  }
 };
 
 const GLOSSARY_SEPARATORS = ['=>', '->', '→', '：', ':', '='];
+const GLOSSARY_LANGUAGE_CODES = ['*', 'zh', 'en', 'ja', 'ko', 'fr', 'de', 'es', 'ru'];
+const SERVICE_PROTOCOLS = ['anthropic', 'openai'];
+const ROUTING_STRATEGIES = ['parallel', 'race', 'sequential', 'cheapest', 'length'];
+const ROUTING_RACE_COUNT_RANGE = [2, 6];
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const HEALTH_SPARKLINE_SIZE = { width: 120, height: 28 };
+const CIRCUIT_STATE_LABELS = {
+  closed: '正常',
+  'rate-limited': '限流中',
+  open: '已熔断',
+  'half-open': '半开试探'
+};
 
 let serviceList = [];
 let activeServiceId = '';
 let selectedServiceId = '';
 let bubbleVisibleServiceIds = [];
+let judgeServiceId = '';
 let isSyncingServiceForm = false;
 let activeSectionId = 'services';
 let automationSyncTimer = 0;
 let automationSyncInFlight = false;
 let automationSyncQueued = false;
 let hasPendingChanges = false;
+let pendingGlossaryImport = null;
 
 function setStatus(text, isError = false) {
   statusNode.textContent = text;
@@ -133,6 +202,10 @@ function switchSection(sectionId) {
     const id = section.dataset.sectionId || '';
     section.classList.toggle('active', id === nextSectionId);
   });
+
+  if (nextSectionId === 'health') {
+    loadServiceHealth();
+  }
 }
 
 function coerceBoolean(value, fallback) {
@@ -154,9 +227,69 @@ function coerceBoolean(value, fallback) {
   return fallback;
 }
 
+function clampRaceCount(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    return ROUTING_RACE_COUNT_RANGE[0];
+  }
+  return Math.min(Math.max(parsed, ROUTING_RACE_COUNT_RANGE[0]), ROUTING_RACE_COUNT_RANGE[1]);
+}
+
+function parseLengthRulesText(rawText) {
+  const invalidLines = [];
+  const rules = [];
+
+  String(rawText || '')
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      const text = line.trim();
+      if (!text) {
+        return;
+      }
+      const match = text.match(/^(\*|\d+)\s*(?:=>|->|：|:)\s*(.+)$/);
+      const serviceIds = match
+        ? match[2]
+            .split(/[,，\s]+/)
+            .map((id) => id.trim())
+            .filter(Boolean)
+        : [];
+      if (!match || serviceIds.length === 0) {
+        invalidLines.push(index + 1);
+        return;
+      }
+      rules.push({
+        maxLength: match[1] === '*' ? 0 : Number(match[1]),
+        serviceIds
+      });
+    });
+
+  return {
+    rules,
+    invalidLines
+  };
+}
+
+function formatLengthRulesText(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .map((rule) => `${rule.maxLength > 0 ? rule.maxLength : '*'} => ${(rule.serviceIds || []).join(', ')}`)
+    .join('\n');
+}
+
+function syncRoutingStrategyFields() {
+  const strategy = routingFieldMap.strategy.value;
+  routingFieldMap.raceCount.disabled = strategy !== 'race';
+  routingFieldMap.lengthRules.disabled = strategy !== 'length';
+}
+
 function normalizeRoutingState(rawRouting = {}) {
   return {
-    autoRouteEnabled: coerceBoolean(rawRouting?.autoRouteEnabled, true)
+    autoRouteEnabled: coerceBoolean(rawRouting?.autoRouteEnabled, true),
+    fallbackEnabled: coerceBoolean(rawRouting?.fallbackEnabled, true),
+    strategy: ROUTING_STRATEGIES.includes(rawRouting?.strategy) ? rawRouting.strategy : ROUTING_STRATEGIES[0],
+    raceCount: clampRaceCount(rawRouting?.raceCount),
+    lengthRules: Array.isArray(rawRouting?.lengthRules) ? rawRouting.lengthRules : [],
+    synthesisEnabled: coerceBoolean(rawRouting?.synthesisEnabled, false),
+    judgeServiceId: String(rawRouting?.judgeServiceId || '').trim()
   };
 }
 
@@ -212,10 +345,236 @@ function normalizeAutomationState(rawAutomation = {}) {
     autoCopyOcrResult: coerceBoolean(rawAutomation?.autoCopyOcrResult, false),
     autoCopyFirstResult: coerceBoolean(rawAutomation?.autoCopyFirstResult, false),
     copyHighlightedWordOnClick: coerceBoolean(rawAutomation?.copyHighlightedWordOnClick, false),
-    autoPlaySourceText: coerceBoolean(rawAutomation?.autoPlaySourceText, false)
+    autoPlaySourceText: coerceBoolean(rawAutomation?.autoPlaySourceText, false),
+    dictionaryLookup: coerceBoolean(rawAutomation?.dictionaryLookup, true)
   };
 }
 
+function fillCacheForm(rawCache = {}) {
+  cacheFieldMap.enabled.checked = coerceBoolean(rawCache?.enabled, true);
+  cacheFieldMap.maxEntries.value = String(rawCache?.maxEntries ?? 2000);
+  cacheFieldMap.maxAgeDays.value = String(rawCache?.maxAgeDays ?? 30);
+}
+
+function collectCachePayload() {
+  return {
+    enabled: Boolean(cacheFieldMap.enabled.checked),
+    maxEntries: Number(cacheFieldMap.maxEntries.value),
+    maxAgeDays: Number(cacheFieldMap.maxAgeDays.value)
+  };
+}
+
+function formatCacheStats(cacheStats) {
+  if (!cacheStats) {
+    return '';
+  }
+
+  const hits = Number(cacheStats.hits) || 0;
+  const misses = Number(cacheStats.misses) || 0;
+  const total = hits + misses;
+  const hitRate = total > 0 ? `${Math.round((hits / total) * 100)}%` : '-';
+  return `缓存 ${cacheStats.entries || 0}/${cacheStats.maxEntries || 0} 条，命中 ${hits}，未命中 ${misses}，命中率 ${hitRate}`;
+}
+
+function renderCacheStats(cacheStats) {
+  cacheStatsNode.textContent = cacheStats ? `缓存统计：${formatCacheStats(cacheStats)}` : '缓存统计：-';
+}
+
+function formatClockTime(value) {
+  const date = new Date(Number(value) || 0);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getMonth() + 1}-${date.getDate()} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+    date.getSeconds()
+  )}`;
+}
+
+function createHealthSparkline(samples) {
+  const { width, height } = HEALTH_SPARKLINE_SIZE;
+  const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+  svg.setAttribute('class', 'health-sparkline');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  if (samples.length === 0) {
+    return svg;
+  }
+
+  const maxLatency = Math.max(...samples.map((sample) => sample.latencyMs), 1);
+  const step = samples.length > 1 ? width / (samples.length - 1) : 0;
+  const points = samples.map((sample, index) => ({
+    x: samples.length > 1 ? index * step : width / 2,
+    y: height - 2 - ((height - 4) * sample.latencyMs) / maxLatency,
+    ok: sample.ok
+  }));
+
+  const polyline = document.createElementNS(SVG_NAMESPACE, 'polyline');
+  polyline.setAttribute('points', points.map((point) => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' '));
+  svg.appendChild(polyline);
+  for (const point of points.filter((item) => !item.ok)) {
+    const circle = document.createElementNS(SVG_NAMESPACE, 'circle');
+    circle.setAttribute('cx', point.x.toFixed(1));
+    circle.setAttribute('cy', point.y.toFixed(1));
+    circle.setAttribute('r', '2');
+    svg.appendChild(circle);
+  }
+
+  const title = document.createElementNS(SVG_NAMESPACE, 'title');
+  title.textContent = samples.map((sample) => `${sample.latencyMs}ms${sample.ok ? '' : '（失败）'}`).join(' / ');
+  svg.appendChild(title);
+  return svg;
+}
+
+function formatServiceHealthSummary(item) {
+  if (!item.attempts) {
+    return '暂无调用记录';
+  }
+
+  const successRate = item.successRate === null ? '-' : `${Math.round(item.successRate * 100)}%`;
+  return [
+    `成功率 ${successRate}`,
+    `平均延迟 ${item.ewmaLatencyMs}ms`,
+    `调用 ${item.attempts} 次`,
+    `超时 ${item.timeouts}`,
+    `重试 ${item.retries}`,
+    `限流 ${item.rateLimits}`,
+    `更新于 ${formatClockTime(item.updatedAt)}`
+  ].join(' ｜ ');
+}
+
+function renderServiceHealth(items) {
+  serviceHealthListNode.textContent = '';
+  const services = Array.isArray(items) ? items : [];
+  if (services.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'automation-item automation-item-note';
+    empty.textContent = '尚未配置可用服务';
+    serviceHealthListNode.appendChild(empty);
+    return;
+  }
+
+  for (const item of services) {
+    const row = document.createElement('div');
+    row.className = 'automation-item';
+
+    const main = document.createElement('div');
+    main.className = 'automation-item-main';
+    const title = document.createElement('span');
+    title.className = 'automation-item-title';
+    title.textContent = item.enabled ? item.name : `${item.name}（已停用）`;
+    const summary = document.createElement('span');
+    summary.className = 'automation-item-note';
+    summary.textContent = formatServiceHealthSummary(item);
+    main.append(title, summary);
+    if (item.lastError) {
+      const error = document.createElement('span');
+      error.className = 'automation-item-note health-error';
+      error.textContent = `最近错误：${item.lastError}`;
+      error.title = item.lastError;
+      main.appendChild(error);
+    }
+
+    const side = document.createElement('div');
+    side.className = 'health-item-side';
+    const state = document.createElement('span');
+    const circuitState = item.circuit?.state || 'closed';
+    state.className = `health-state state-${circuitState}`;
+    state.textContent = CIRCUIT_STATE_LABELS[circuitState] || circuitState;
+    if (item.circuit?.until || item.circuit?.reason) {
+      state.title = [item.circuit.until ? `至 ${formatClockTime(item.circuit.until)}` : '', item.circuit.reason]
+        .filter(Boolean)
+        .join('：');
+    }
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.className = 'field-action-btn';
+    resetButton.textContent = '重置';
+    resetButton.disabled = !item.attempts && !item.lastError;
+    resetButton.addEventListener('click', () => {
+      resetServiceHealth(item.id, item.name);
+    });
+    side.append(createHealthSparkline(item.latencySamples || []), state, resetButton);
+
+    row.append(main, side);
+    serviceHealthListNode.appendChild(row);
+  }
+}
+
+async function loadServiceHealth() {
+  try {
+    const result = await window.preferencesApi.getServiceHealth();
+    renderServiceHealth(result?.services);
+    serviceHealthStatusNode.textContent = `已刷新 ${formatClockTime(Date.now())}`;
+  } catch (error) {
+    serviceHealthStatusNode.textContent = `读取服务健康失败：${error.message || error}`;
+  }
+}
+
+async function resetServiceHealth(serviceId = '', serviceName = '') {
+  const message = serviceId
+    ? `确定重置“${serviceName || serviceId}”的路由指标？`
+    : '确定重置全部服务的路由指标？自动路由将从默认延迟重新学习。';
+  if (!window.confirm(message)) {
+    return;
+  }
+
+  try {
+    const result = await window.preferencesApi.resetServiceMetrics(serviceId);
+    renderServiceHealth(result?.services);
+    serviceHealthStatusNode.textContent = serviceId ? `已重置“${serviceName || serviceId}”` : '已重置全部指标';
+  } catch (error) {
+    serviceHealthStatusNode.textContent = `重置失败：${error.message || error}`;
+  }
+}
+
+function fillLocalApiForm(rawLocalApi = {}) {
+  localApiFieldMap.enabled.checked = coerceBoolean(rawLocalApi?.enabled, false);
+  localApiFieldMap.port.value = String(rawLocalApi?.port ?? 17892);
+  localApiFieldMap.token.value = String(rawLocalApi?.token || '');
+}
+
+function collectLocalApiPayload() {
+  return {
+    enabled: Boolean(localApiFieldMap.enabled.checked),
+    port: Number(localApiFieldMap.port.value),
+    token: String(localApiFieldMap.token.value || '').trim()
+  };
+}
+
+function renderLocalApiStatus(status) {
+  if (status?.running) {
+    localApiStatusNode.textContent = `服务状态：运行中 http://127.0.0.1:${status.port}`;
+    localApiStatusNode.style.color = '#86efac';
+    return;
+  }
+
+  localApiStatusNode.textContent = status?.error
+    ? `服务状态：未运行（${status.error}）`
+    : '服务状态：未启用';
+  localApiStatusNode.style.color = status?.error ? '#fda4af' : '';
+}
+
+function renderSecretStorageStatus(mode, unreadableIds = []) {
+  if (!secretStorageHintNode) {
+    return;
+  }
+
+  if (unreadableIds.length > 0) {
+    secretStorageHintNode.textContent = `密钥存储：${unreadableIds.length} 个服务的 API Key 无法解密，请重新填写`;
+    secretStorageHintNode.style.color = '#fda4af';
+    return;
+  }
+
+  secretStorageHintNode.textContent =
+    mode === 'safeStorage'
+      ? '密钥存储：已加密保存在系统钥匙串中，settings.json 不含 API Key'
+      : '密钥存储：系统钥匙串不可用，API Key 以明文保存在 secrets.json（仅当前用户可读）';
+  secretStorageHintNode.style.color = mode === 'safeStorage' ? '' : '#fcd34d';
+}
+
+function generateLocalApiToken() {
+  const bytes = new Uint8Array(24);
+  window.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (value) => value.toString(16).padStart(2, '0')).join('');
+}
+
 function fillAutomationForm(rawAutomation) {
   const automation = normalizeAutomationState(rawAutomation || {});
   for (const [key, input] of Object.entries(automationFieldMap)) {
@@ -231,7 +590,8 @@ function collectAutomationPayload() {
     autoCopyOcrResult: Boolean(automationFieldMap.autoCopyOcrResult.checked),
     autoCopyFirstResult: Boolean(automationFieldMap.autoCopyFirstResult.checked),
     copyHighlightedWordOnClick: Boolean(automationFieldMap.copyHighlightedWordOnClick.checked),
-    autoPlaySourceText: Boolean(automationFieldMap.autoPlaySourceText.checked)
+    autoPlaySourceText: Boolean(automationFieldMap.autoPlaySourceText.checked),
+    dictionaryLookup: Boolean(automationFieldMap.dictionaryLookup.checked)
   };
 }
 
@@ -248,16 +608,63 @@ function normalizeGlossaryItems(rawGlossary = []) {
     if (!source || !target) {
       continue;
     }
-    const key = `${source}\u0001${target}`;
+    const entry = {
+      source,
+      target,
+      sourceLanguage: String(item.sourceLanguage || '').trim(),
+      targetLanguage: String(item.targetLanguage || '').trim(),
+      caseSensitive: item.caseSensitive === true,
+      wholeWord: item.wholeWord === true,
+      serviceIds: Array.isArray(item.serviceIds)
+        ? Array.from(new Set(item.serviceIds.map((id) => String(id || '').trim()).filter(Boolean)))
+        : []
+    };
+    const key = [
+      source,
+      target,
+      entry.sourceLanguage,
+      entry.targetLanguage,
+      entry.serviceIds.join(',')
+    ].join('\u0001');
     if (dedupe.has(key)) {
       continue;
     }
     dedupe.add(key);
-    result.push({ source, target });
+    result.push(entry);
   }
   return result;
 }
 
+function parseGlossaryOptions(optionText, entry) {
+  for (const token of optionText.split(/[\s,，]+/).filter(Boolean)) {
+    const lowered = token.toLowerCase();
+    if (lowered === 'case' || lowered === '区分大小写') {
+      entry.caseSensitive = true;
+      continue;
+    }
+    if (lowered === 'word' || lowered === '整词') {
+      entry.wholeWord = true;
+      continue;
+    }
+    if (token.startsWith('@') && token.length > 1) {
+      entry.serviceIds.push(...token.slice(1).split('+').filter(Boolean));
+      continue;
+    }
+
+    const pairMatch = lowered.match(/^([a-z*]*)>([a-z*]*)$/);
+    if (
+      pairMatch &&
+      [pairMatch[1], pairMatch[2]].every((code) => !code || GLOSSARY_LANGUAGE_CODES.includes(code))
+    ) {
+      entry.sourceLanguage = pairMatch[1] === '*' ? '' : pairMatch[1];
+      entry.targetLanguage = pairMatch[2] === '*' ? '' : pairMatch[2];
+      continue;
+    }
+    return false;
+  }
+  return true;
+}
+
 function splitGlossaryLine(line) {
   const trimmed = String(line || '').trim();
   if (!trimmed) {
@@ -267,17 +674,31 @@ function splitGlossaryLine(line) {
     return null;
   }
 
+  const optionIndex = trimmed.indexOf('|');
+  const pairText = optionIndex >= 0 ? trimmed.slice(0, optionIndex).trim() : trimmed;
+  const optionText = optionIndex >= 0 ? trimmed.slice(optionIndex + 1).trim() : '';
   for (const separator of GLOSSARY_SEPARATORS) {
-    const index = trimmed.indexOf(separator);
+    const index = pairText.indexOf(separator);
     if (index <= 0) {
       continue;
     }
 
-    const source = trimmed.slice(0, index).trim();
-    const target = trimmed.slice(index + separator.length).trim();
-    if (source && target) {
-      return { source, target };
+    const source = pairText.slice(0, index).trim();
+    const target = pairText.slice(index + separator.length).trim();
+    if (!source || !target) {
+      continue;
     }
+
+    const entry = {
+      source,
+      target,
+      sourceLanguage: '',
+      targetLanguage: '',
+      caseSensitive: false,
+      wholeWord: false,
+      serviceIds: []
+    };
+    return parseGlossaryOptions(optionText, entry) ? entry : { invalid: trimmed };
   }
 
   return { invalid: trimmed };
@@ -310,22 +731,134 @@ function parseGlossaryText(rawText) {
   };
 }
 
+function formatGlossaryOptions(item) {
+  const options = [];
+  if (item.sourceLanguage || item.targetLanguage) {
+    options.push(`${item.sourceLanguage || '*'}>${item.targetLanguage || '*'}`);
+  }
+  if (item.caseSensitive) {
+    options.push('case');
+  }
+  if (item.wholeWord) {
+    options.push('word');
+  }
+  if (item.serviceIds.length > 0) {
+    options.push(`@${item.serviceIds.join('+')}`);
+  }
+  return options.join(' ');
+}
+
 function formatGlossaryText(rawGlossary) {
   return normalizeGlossaryItems(rawGlossary)
-    .map((item) => `${item.source} => ${item.target}`)
+    .map((item) => {
+      const options = formatGlossaryOptions(item);
+      return options ? `${item.source} => ${item.target} | ${options}` : `${item.source} => ${item.target}`;
+    })
     .join('\n');
 }
 
+function parseLanguagePairsText(rawText) {
+  const invalidLines = [];
+  const pairs = [];
+
+  String(rawText || '')
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      const parsed = splitGlossaryLine(line);
+      if (!parsed) {
+        return;
+      }
+      if (parsed.invalid) {
+        invalidLines.push(index + 1);
+        return;
+      }
+      pairs.push(parsed);
+    });
+
+  return {
+    pairs,
+    invalidLines
+  };
+}
+
+function fillLanguageForm(rawLanguage = {}) {
+  languageAutoDetectInput.checked = coerceBoolean(rawLanguage?.autoDetect, true);
+  const pairs = Array.isArray(rawLanguage?.pairs) ? rawLanguage.pairs : [];
+  languagePairsInput.value = pairs.map((pair) => `${pair.source} => ${pair.target}`).join('\n');
+}
+
+function collectLanguagePayload() {
+  return {
+    autoDetect: Boolean(languageAutoDetectInput.checked),
+    pairs: parseLanguagePairsText(languagePairsInput.value || '').pairs
+  };
+}
+
+function normalizeServiceProtocol(value) {
+  const normalized = String(value || '')
+    .trim()
+    .toLowerCase();
+  return SERVICE_PROTOCOLS.includes(normalized) ? normalized : DEFAULT_SERVICE_TEMPLATE.protocol;
+}
+
+function cloneServiceRetry(retry) {
+  const source = retry && typeof retry === 'object' ? retry : DEFAULT_SERVICE_TEMPLATE.retry;
+  return {
+    maxAttempts: String(source.maxAttempts ?? '').trim(),
+    baseDelayMs: String(source.baseDelayMs ?? '').trim(),
+    maxDelayMs: String(source.maxDelayMs ?? '').trim()
+  };
+}
+
+function cloneServicePromptTemplates(templates) {
+  const source = templates && typeof templates === 'object' ? templates : {};
+  const result = {};
+  for (const [language, template] of Object.entries(source)) {
+    const value = String(template || '').trim();
+    if (value) {
+      result[language] = value;
+    }
+  }
+  return result;
+}
+
+function getServicePromptTemplate(service) {
+  const language = servicePromptLanguageSelect?.value || '';
+  if (!language) {
+    return service.promptTemplate || '';
+  }
+  return service.promptTemplates?.[language] || '';
+}
+
+function setServicePromptTemplate(service, value) {
+  const language = servicePromptLanguageSelect?.value || '';
+  const template = String(value || '').trim();
+  if (!language) {
+    service.promptTemplate = template;
+    return;
+  }
+
+  service.promptTemplates = cloneServicePromptTemplates({
+    ...service.promptTemplates,
+    [language]: template
+  });
+}
+
 function cloneService(service) {
   return {
     id: String(service.id || '').trim(),
     name: String(service.name || '').trim(),
     enabled: service.enabled !== false,
+    protocol: normalizeServiceProtocol(service.protocol),
     baseUrl: String(service.baseUrl || '').trim(),
     apiKey: String(service.apiKey || '').trim(),
     model: String(service.model || '').trim(),
     targetLanguage: String(service.targetLanguage || '').trim(),
-    timeoutMs: String(service.timeoutMs || '').trim()
+    timeoutMs: String(service.timeoutMs || '').trim(),
+    retry: cloneServiceRetry(service.retry),
+    cost: String(service.cost ?? '').trim(),
+    promptTemplate: String(service.promptTemplate || '').trim(),
+    promptTemplates: cloneServicePromptTemplates(service.promptTemplates)
   };
 }
 
@@ -339,13 +872,18 @@ function createDefaultService(index, reference = null) {
     id: createServiceId(),
     name: `服务 ${index + 1}`,
     enabled: true,
+    protocol: normalizeServiceProtocol(seed.protocol),
     baseUrl: String(seed.baseUrl || DEFAULT_SERVICE_TEMPLATE.baseUrl).trim(),
     apiKey: '',
     model: String(seed.model || DEFAULT_SERVICE_TEMPLATE.model).trim(),
     targetLanguage: String(
       seed.targetLanguage || DEFAULT_SERVICE_TEMPLATE.targetLanguage
     ).trim(),
-    timeoutMs: String(seed.timeoutMs || DEFAULT_SERVICE_TEMPLATE.timeoutMs).trim()
+    timeoutMs: String(seed.timeoutMs || DEFAULT_SERVICE_TEMPLATE.timeoutMs).trim(),
+    retry: cloneServiceRetry(seed.retry),
+    cost: '',
+    promptTemplate: '',
+    promptTemplates: {}
   };
 }
 
@@ -413,6 +951,31 @@ function renderBubbleServiceList() {
   }
 }
 
+function renderJudgeServiceSelect() {
+  const select = routingFieldMap.judgeServiceId;
+  if (!select) {
+    return;
+  }
+
+  select.innerHTML = '';
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = '当前服务';
+  select.appendChild(defaultOption);
+  for (const service of serviceList) {
+    const id = String(service.id || '').trim();
+    if (!id) {
+      continue;
+    }
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = `${service.name || id}${service.enabled === false ? '（停用）' : ''}`;
+    select.appendChild(option);
+  }
+  select.value = serviceList.some((service) => service.id === judgeServiceId) ? judgeServiceId : '';
+  select.disabled = !routingFieldMap.synthesisEnabled.checked;
+}
+
 function renderServiceList() {
   ensureServiceSelection();
 
@@ -440,6 +1003,7 @@ function renderServiceList() {
 
   removeServiceButton.disabled = serviceList.length <= 1;
   renderBubbleServiceList();
+  renderJudgeServiceSelect();
 }
 
 function renderServiceEditor() {
@@ -450,24 +1014,39 @@ function renderServiceEditor() {
   if (!current) {
     serviceFieldMap.name.value = '';
     serviceFieldMap.enabled.checked = false;
+    serviceFieldMap.protocol.value = DEFAULT_SERVICE_TEMPLATE.protocol;
     serviceFieldMap.baseUrl.value = '';
     serviceFieldMap.apiKey.value = '';
     serviceFieldMap.model.value = '';
     serviceFieldMap.targetLanguage.value = '';
     serviceFieldMap.timeoutMs.value = '';
+    serviceFieldMap.retryMaxAttempts.value = '';
+    serviceFieldMap.retryBaseDelayMs.value = '';
+    serviceFieldMap.retryMaxDelayMs.value = '';
+    serviceFieldMap.cost.value = '';
+    serviceFieldMap.promptTemplate.value = '';
   } else {
     serviceFieldMap.name.value = current.name || '';
     serviceFieldMap.enabled.checked = current.enabled !== false;
+    serviceFieldMap.protocol.value = normalizeServiceProtocol(current.protocol);
     serviceFieldMap.baseUrl.value = current.baseUrl || '';
     serviceFieldMap.apiKey.value = current.apiKey || '';
     serviceFieldMap.model.value = current.model || '';
     serviceFieldMap.targetLanguage.value = current.targetLanguage || '';
     serviceFieldMap.timeoutMs.value = current.timeoutMs || '';
+    serviceFieldMap.retryMaxAttempts.value = current.retry?.maxAttempts || '';
+    serviceFieldMap.retryBaseDelayMs.value = current.retry?.baseDelayMs || '';
+    serviceFieldMap.retryMaxDelayMs.value = current.retry?.maxDelayMs || '';
+    serviceFieldMap.cost.value = current.cost ?? '';
+    serviceFieldMap.promptTemplate.value = getServicePromptTemplate(current);
   }
 
   for (const input of Object.values(serviceFieldMap)) {
     input.disabled = disabled;
   }
+  if (servicePromptLanguageSelect) {
+    servicePromptLanguageSelect.disabled = disabled;
+  }
   if (serviceApiKeyPasteButton) {
     serviceApiKeyPasteButton.disabled = disabled;
   }
@@ -628,8 +1207,12 @@ async function cutApiKeyToClipboard() {
 
 function renderEffectiveSummary(effective = {}) {
   const activeServiceName = effective.activeServiceName || '未设置';
+  const cacheSummary = effective.cacheStats ? ` ｜ ${formatCacheStats(effective.cacheStats)}` : '';
   effectiveSummaryNode.textContent =
-    `当前生效：服务 ${activeServiceName} ｜ 翻译 ${effective.translateShortcut} ｜ 偏好设置 ${effective.openSettingsShortcut} ｜ 模式 ${effective.popupMode} ｜ 字体 ${effective.fontSize}px`;
+    `当前生效：服务 ${activeServiceName} ｜ 翻译 ${effective.translateShortcut} ｜ 偏好设置 ${effective.openSettingsShortcut} ｜ 模式 ${effective.popupMode} ｜ 字体 ${effective.fontSize}px${cacheSummary}`;
+  renderCacheStats(effective.cacheStats);
+  renderLocalApiStatus(effective.localApi);
+  renderSecretStorageStatus(effective.secretStorage, effective.unreadableSecretServiceIds);
 }
 
 function fillGlobalForm(env) {
@@ -650,8 +1233,18 @@ function loadResponseIntoState(data) {
   );
   const routing = normalizeRoutingState(data.routing || {});
   routingFieldMap.autoRouteEnabled.checked = routing.autoRouteEnabled;
+  routingFieldMap.fallbackEnabled.checked = routing.fallbackEnabled;
+  routingFieldMap.strategy.value = routing.strategy;
+  routingFieldMap.raceCount.value = String(routing.raceCount);
+  routingFieldMap.lengthRules.value = formatLengthRulesText(routing.lengthRules);
+  syncRoutingStrategyFields();
+  routingFieldMap.synthesisEnabled.checked = routing.synthesisEnabled;
+  judgeServiceId = routing.judgeServiceId;
   glossaryInput.value = formatGlossaryText(data.glossary || []);
   fillAutomationForm(data.automation || {});
+  fillCacheForm(data.cache || {});
+  fillLocalApiForm(data.localApi || {});
+  fillLanguageForm(data.language || {});
   settingsPathNode.textContent = data.settingsPath || '';
   renderEffectiveSummary(data.effective || {});
   ensureServiceSelection();
@@ -683,6 +1276,15 @@ function validateServices() {
     if (!Number.isFinite(timeout) || timeout <= 0) {
       return `服务「${service.name || service.id}」超时必须是正数`;
     }
+    const maxAttempts = Number(service.retry?.maxAttempts);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 6) {
+      return `服务「${service.name || service.id}」最大尝试次数需为 1-6 的整数`;
+    }
+    const baseDelayMs = Number(service.retry?.baseDelayMs);
+    const maxDelayMs = Number(service.retry?.maxDelayMs);
+    if (!Number.isFinite(baseDelayMs) || baseDelayMs <= 0 || !Number.isFinite(maxDelayMs) || maxDelayMs <= 0) {
+      return `服务「${service.name || service.id}」重试间隔必须是正数`;
+    }
   }
 
   return '';
@@ -705,11 +1307,20 @@ function collectPayload() {
     services: serviceList.map(cloneService),
     activeServiceId: active?.id || '',
     routing: {
-      autoRouteEnabled: Boolean(routingFieldMap.autoRouteEnabled.checked)
+      autoRouteEnabled: Boolean(routingFieldMap.autoRouteEnabled.checked),
+      fallbackEnabled: Boolean(routingFieldMap.fallbackEnabled.checked),
+      strategy: routingFieldMap.strategy.value,
+      raceCount: clampRaceCount(routingFieldMap.raceCount.value),
+      lengthRules: parseLengthRulesText(routingFieldMap.lengthRules.value || '').rules,
+      synthesisEnabled: Boolean(routingFieldMap.synthesisEnabled.checked),
+      judgeServiceId: serviceList.some((service) => service.id === judgeServiceId) ? judgeServiceId : ''
     },
     bubbleVisibleServiceIds: normalizedBubbleIds,
     glossary: parsedGlossary.glossary,
-    automation: collectAutomationPayload()
+    automation: collectAutomationPayload(),
+    cache: collectCachePayload(),
+    localApi: collectLocalApiPayload(),
+    language: collectLanguagePayload()
   };
 }
 
@@ -723,7 +1334,25 @@ function validateGlossary() {
     .slice(0, 2)
     .map((item) => `第 ${item.lineNumber} 行`)
     .join('、');
-  return `术语表格式错误（${previews}）：请使用“原词 => 译法”`;
+  return `术语表格式错误（${previews}）：请使用“原词 => 译法 | 选项”，选项可选 en>zh、case、word、@服务ID`;
+}
+
+function validateLengthRules() {
+  const parsed = parseLengthRulesText(routingFieldMap.lengthRules.value || '');
+  if (parsed.invalidLines.length === 0) {
+    return '';
+  }
+
+  return `长度规则格式错误（第 ${parsed.invalidLines[0]} 行）：请使用“最大字数 => 服务ID, 服务ID”，不限长度用 *`;
+}
+
+function validateLanguagePairs() {
+  const parsed = parseLanguagePairsText(languagePairsInput.value || '');
+  if (parsed.invalidLines.length === 0) {
+    return '';
+  }
+
+  return `语言对格式错误（第 ${parsed.invalidLines[0]} 行）：请使用“源语言 => 目标语言”`;
 }
 
 function updateSelectedServiceFromForm() {
@@ -738,11 +1367,19 @@ function updateSelectedServiceFromForm() {
 
   current.name = String(serviceFieldMap.name.value || '').trim();
   current.enabled = Boolean(serviceFieldMap.enabled.checked);
+  current.protocol = normalizeServiceProtocol(serviceFieldMap.protocol.value);
   current.baseUrl = String(serviceFieldMap.baseUrl.value || '').trim();
   current.apiKey = String(serviceFieldMap.apiKey.value || '').trim();
   current.model = String(serviceFieldMap.model.value || '').trim();
   current.targetLanguage = String(serviceFieldMap.targetLanguage.value || '').trim();
   current.timeoutMs = String(serviceFieldMap.timeoutMs.value || '').trim();
+  current.retry = {
+    maxAttempts: String(serviceFieldMap.retryMaxAttempts.value || '').trim(),
+    baseDelayMs: String(serviceFieldMap.retryBaseDelayMs.value || '').trim(),
+    maxDelayMs: String(serviceFieldMap.retryMaxDelayMs.value || '').trim()
+  };
+  current.cost = String(serviceFieldMap.cost.value || '').trim();
+  setServicePromptTemplate(current, serviceFieldMap.promptTemplate.value);
 
   renderServiceList();
 }
@@ -853,6 +1490,10 @@ async function loadSettings() {
     const data = await window.preferencesApi.getSettings();
     loadResponseIntoState(data);
     hasPendingChanges = false;
+    if (data.effective?.settingsError) {
+      setStatus(data.effective.settingsError, true);
+      return;
+    }
     setStatus('已加载');
   } catch (error) {
     setStatus(`读取失败：${error.message || error}`, true);
@@ -872,6 +1513,19 @@ async function saveSettings() {
     return;
   }
 
+  const lengthRulesError = validateLengthRules();
+  if (lengthRulesError) {
+    setStatus(lengthRulesError, true);
+    return;
+  }
+
+  const languageError = validateLanguagePairs();
+  if (languageError) {
+    setStatus(languageError, true);
+    switchSection('ui');
+    return;
+  }
+
   saveButton.disabled = true;
   setStatus('保存中...');
 
@@ -1023,6 +1677,11 @@ for (const input of Object.values(serviceFieldMap)) {
   });
 }
 
+servicePromptLanguageSelect?.addEventListener('change', () => {
+  const current = getServiceById(selectedServiceId);
+  serviceFieldMap.promptTemplate.value = current ? getServicePromptTemplate(current) : '';
+});
+
 serviceFieldMap.apiKey?.addEventListener('keydown', async (event) => {
   const withPrimaryModifier = event.metaKey || event.ctrlKey;
   if (!withPrimaryModifier || event.altKey) {
@@ -1061,14 +1720,269 @@ for (const input of Object.values(automationFieldMap)) {
   });
 }
 
+for (const input of Object.values(cacheFieldMap)) {
+  input.addEventListener('change', () => {
+    markPendingChanges();
+  });
+}
+
+for (const input of Object.values(localApiFieldMap)) {
+  input.addEventListener('change', () => {
+    markPendingChanges();
+  });
+}
+
+localApiTokenGenerateButton?.addEventListener('click', () => {
+  localApiFieldMap.token.value = generateLocalApiToken();
+  markPendingChanges();
+});
+
+localApiTokenCopyButton?.addEventListener('click', async () => {
+  const token = String(localApiFieldMap.token.value || '').trim();
+  if (!token) {
+    setStatus('访问令牌为空，保存时会自动生成', true);
+    return;
+  }
+  const ok = await writeClipboardTextSafe(token);
+  setStatus(ok ? '访问令牌已复制' : '复制失败：无法写入剪贴板', !ok);
+});
+
+clearCacheButton?.addEventListener('click', async () => {
+  clearCacheButton.disabled = true;
+  try {
+    const result = await window.preferencesApi.clearCache();
+    renderCacheStats(result?.cacheStats);
+    setStatus('翻译缓存已清空');
+  } catch (error) {
+    setStatus(`清空缓存失败：${error.message || error}`, true);
+  } finally {
+    clearCacheButton.disabled = false;
+  }
+});
+
+serviceHealthRefreshButton?.addEventListener('click', () => {
+  loadServiceHealth();
+});
+
+serviceHealthResetAllButton?.addEventListener('click', () => {
+  resetServiceHealth();
+});
+
+exportSettingsButton?.addEventListener('click', async () => {
+  if (hasPendingChanges) {
+    setStatus('有未保存修改，请先保存后再导出', true);
+    return;
+  }
+
+  exportSettingsButton.disabled = true;
+  try {
+    const result = await window.preferencesApi.exportSettings({
+      includeApiKeys: Boolean(exportIncludeApiKeysInput?.checked)
+    });
+    if (result?.canceled) {
+      setStatus('已取消导出');
+    } else if (result?.ok) {
+      setStatus(`已导出到 ${result.filePath}${result.includesApiKeys ? '（含 API Key）' : ''}`);
+    } else {
+      setStatus(`导出失败：${result?.error || '未知错误'}`, true);
+    }
+  } catch (error) {
+    setStatus(`导出失败：${error.message || error}`, true);
+  } finally {
+    exportSettingsButton.disabled = false;
+  }
+});
+
+async function importSettingsBundle(mode) {
+  if (hasPendingChanges && !window.confirm('导入会覆盖当前未保存的修改，确定继续？')) {
+    return;
+  }
+  if (mode === 'replace' && !window.confirm('替换导入会用配置包内容覆盖现有服务与术语表，确定继续？')) {
+    return;
+  }
+
+  importMergeButton.disabled = true;
+  importReplaceButton.disabled = true;
+  try {
+    const result = await window.preferencesApi.importSettings({ mode });
+    if (result?.canceled) {
+      setStatus('已取消导入');
+      return;
+    }
+    if (!result?.ok) {
+      setStatus(`导入失败：${result?.error || '未知错误'}`, true);
+      return;
+    }
+
+    loadResponseIntoState(result);
+    hasPendingChanges = false;
+    const summary = result.summary || {};
+    setStatus(
+      `导入成功（${mode === 'replace' ? '替换' : '合并'}）：新增服务 ${summary.servicesAdded || 0} 个，更新 ${summary.servicesUpdated || 0} 个，术语 ${summary.glossaryEntries || 0} 条`
+    );
+  } catch (error) {
+    setStatus(`导入失败：${error.message || error}`, true);
+  } finally {
+    importMergeButton.disabled = false;
+    importReplaceButton.disabled = false;
+  }
+}
+
+importMergeButton?.addEventListener('click', () => {
+  importSettingsBundle('merge');
+});
+
+importReplaceButton?.addEventListener('click', () => {
+  importSettingsBundle('replace');
+});
+
+function hideGlossaryImportPreview() {
+  pendingGlossaryImport = null;
+  glossaryImportPreviewNode.hidden = true;
+  glossaryConflictListNode.innerHTML = '';
+}
+
+function renderGlossaryImportPreview(preview) {
+  glossaryImportSummaryNode.textContent =
+    `${preview.fileName}：共 ${preview.entries.length} 条，新增 ${preview.added} 条，重复 ${preview.duplicates} 条，冲突 ${preview.conflicts.length} 条` +
+    (preview.skipped ? `，跳过无效行 ${preview.skipped} 条` : '');
+  glossaryConflictListNode.innerHTML = '';
+  for (const conflict of preview.conflicts.slice(0, 20)) {
+    const item = document.createElement('li');
+    item.textContent = conflict.withinImport
+      ? `${conflict.source}：文件内重复，保留「${conflict.currentTarget}」/ 忽略「${conflict.importedTarget}」`
+      : `${conflict.source}：现有「${conflict.currentTarget}」/ 导入「${conflict.importedTarget}」`;
+    glossaryConflictListNode.appendChild(item);
+  }
+  if (preview.conflicts.length > 20) {
+    const item = document.createElement('li');
+    item.textContent = `…另有 ${preview.conflicts.length - 20} 条冲突`;
+    glossaryConflictListNode.appendChild(item);
+  }
+  glossaryConflictResolutionInput.parentElement.hidden = preview.conflicts.length === 0;
+  glossaryImportPreviewNode.hidden = false;
+}
+
+glossaryImportButton?.addEventListener('click', async () => {
+  const glossaryError = validateGlossary();
+  if (glossaryError) {
+    setStatus(glossaryError, true);
+    return;
+  }
+
+  glossaryImportButton.disabled = true;
+  try {
+    const result = await window.preferencesApi.previewGlossaryImport({
+      current: parseGlossaryText(glossaryInput.value || '').glossary
+    });
+    if (result?.canceled) {
+      return;
+    }
+    if (!result?.ok) {
+      setStatus(`术语导入失败：${result?.error || '未知错误'}`, true);
+      return;
+    }
+
+    pendingGlossaryImport = result;
+    renderGlossaryImportPreview(result);
+    setStatus('请确认术语导入预览');
+  } catch (error) {
+    setStatus(`术语导入失败：${error.message || error}`, true);
+  } finally {
+    glossaryImportButton.disabled = false;
+  }
+});
+
+glossaryImportApplyButton?.addEventListener('click', async () => {
+  if (!pendingGlossaryImport) {
+    return;
+  }
+
+  try {
+    const result = await window.preferencesApi.applyGlossaryImport({
+      current: parseGlossaryText(glossaryInput.value || '').glossary,
+      entries: pendingGlossaryImport.entries,
+      resolution: glossaryConflictResolutionInput.value
+    });
+    glossaryInput.value = formatGlossaryText(result?.glossary || []);
+    hideGlossaryImportPreview();
+    markPendingChanges();
+  } catch (error) {
+    setStatus(`术语导入失败：${error.message || error}`, true);
+  }
+});
+
+glossaryImportCancelButton?.addEventListener('click', () => {
+  hideGlossaryImportPreview();
+  setStatus('已取消术语导入');
+});
+
+glossaryExportButton?.addEventListener('click', async () => {
+  const glossaryError = validateGlossary();
+  if (glossaryError) {
+    setStatus(glossaryError, true);
+    return;
+  }
+
+  try {
+    const result = await window.preferencesApi.exportGlossary({
+      glossary: parseGlossaryText(glossaryInput.value || '').glossary
+    });
+    if (result?.canceled) {
+      return;
+    }
+    setStatus(
+      result?.ok ? `已导出 ${result.count} 条术语到 ${result.filePath}` : `术语导出失败：${result?.error || '未知错误'}`,
+      !result?.ok
+    );
+  } catch (error) {
+    setStatus(`术语导出失败：${error.message || error}`, true);
+  }
+});
+
 routingFieldMap.autoRouteEnabled?.addEventListener('change', () => {
   markPendingChanges();
 });
 
+routingFieldMap.fallbackEnabled?.addEventListener('change', () => {
+  markPendingChanges();
+});
+
+routingFieldMap.strategy?.addEventListener('change', () => {
+  syncRoutingStrategyFields();
+  markPendingChanges();
+});
+
+routingFieldMap.raceCount?.addEventListener('input', () => {
+  markPendingChanges();
+});
+
+routingFieldMap.lengthRules?.addEventListener('input', () => {
+  markPendingChanges();
+});
+
+routingFieldMap.synthesisEnabled?.addEventListener('change', () => {
+  routingFieldMap.judgeServiceId.disabled = !routingFieldMap.synthesisEnabled.checked;
+  markPendingChanges();
+});
+
+routingFieldMap.judgeServiceId?.addEventListener('change', () => {
+  judgeServiceId = routingFieldMap.judgeServiceId.value;
+  markPendingChanges();
+});
+
 glossaryInput?.addEventListener('input', () => {
   markPendingChanges();
 });
 
+languageAutoDetectInput?.addEventListener('change', () => {
+  markPendingChanges();
+});
+
+languagePairsInput?.addEventListener('input', () => {
+  markPendingChanges();
+});
+
 for (const input of Object.values(fieldMap)) {
   input.addEventListener('input', () => {
     markPendingChanges();
@@ -1083,6 +1997,21 @@ openRawButton.addEventListener('click', async () => {
   await window.preferencesApi.openRawSettingsFile();
 });
 
+window.preferencesApi.onSettingsChanged?.((payload) => {
+  if (!payload?.ok) {
+    setStatus(payload?.error || '配置文件修改未生效', true);
+    return;
+  }
+  if (hasPendingChanges) {
+    setStatus('配置文件已在外部修改并生效；当前有未保存修改，保存将覆盖外部修改', true);
+    return;
+  }
+
+  loadResponseIntoState(payload);
+  hasPendingChanges = false;
+  setStatus('已载入配置文件中的修改');
+});
+
 navItems.forEach((item) => {
   item.addEventListener('click', () => {
     switchSection(item.dataset.sectionTarget || 'services');
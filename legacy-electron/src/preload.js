@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('translatorApp', {
   onTranslationResult: (handler) => {
@@ -22,6 +22,42 @@ contextBridge.exposeInMainWorld('translatorApp', {
   setBubblePinned: (pinned) => {
     ipcRenderer.send('translator:set-bubble-pin', { pinned: Boolean(pinned) });
   },
+  onInputModeUpdated: (handler) => {
+    ipcRenderer.on('input-mode-updated', (_, payload) => handler(payload));
+  },
+  setInputMode: (enabled) => {
+    ipcRenderer.send('translator:set-input-mode', { enabled: Boolean(enabled) });
+  },
+  translateInput: (text) => {
+    ipcRenderer.send('translator:translate-input', { text: String(text || '') });
+  },
+  setTargetLanguage: (language) => {
+    ipcRenderer.send('translator:set-target-language', { language: String(language || '') });
+  },
+  setPromptPreset: (preset) => {
+    ipcRenderer.send('translator:set-prompt-preset', { preset: String(preset || '') });
+  },
+  setMode: (mode) => {
+    ipcRenderer.send('translator:set-mode', { mode: String(mode || '') });
+  },
+  cancelTranslation: () => {
+    ipcRenderer.send('translator:cancel-translation');
+  },
+  stopService: (serviceId) => {
+    ipcRenderer.send('translator:stop-service', { serviceId: String(serviceId || '') });
+  },
+  onDocumentProgress: (handler) => {
+    ipcRenderer.on('document-progress', (_, payload) => handler(payload));
+  },
+  translateDocument: (file) => {
+    const filePath = file ? webUtils.getPathForFile(file) : '';
+    return ipcRenderer.invoke('translator:translate-document', { filePath });
+  },
+  cancelDocumentTranslation: () => {
+    ipcRenderer.send('translator:cancel-document');
+  },
+  saveVocabulary: (payload) => ipcRenderer.invoke('translator:save-vocabulary', payload),
+  pickBestService: (payload) => ipcRenderer.invoke('translator:pick-best-service', payload),
   requestWindowResize: (payload) => {
     ipcRenderer.send('translator:auto-resize', payload);
   }
@@ -0,0 +1,183 @@
+const { normalizeLanguageCode } = require('./language');
+
+const DEFAULT_PROMPT_PRESET = 'default';
+const PROMPT_TEMPLATE_MAX_LENGTH = 4000;
+const DEFAULT_PROMPT_TEMPLATE =
+  '{{direction}}。只输出译文，不要解释；保留原有换行、列表、代码标记、URL、数字与大小写。{{style}}{{instructions}}';
+const PROMPT_PLACEHOLDERS = ['direction', 'sourceLanguage', 'targetLanguage', 'glossary', 'style', 'instructions'];
+const PROMPT_PRESETS = [
+  {
+    id: DEFAULT_PROMPT_PRESET,
+    label: '通用',
+    style: ''
+  },
+  {
+    id: 'technical',
+    label: '技术文档',
+    style:
+      '按技术文档风格翻译：术语准确统一，API 名称、命令、参数、代码标识与报错信息保留原文，句式简洁客观。'
+  },
+  {
+    id: 'casual',
+    label: '日常对话',
+    style: '按日常对话风格翻译：口语自然、简短亲切，可按目标语言习惯意译俚语和语气词，避免书面腔。'
+  },
+  {
+    id: 'academic',
+    label: '学术论文',
+    style:
+      '按学术论文风格翻译：用语严谨正式，专业术语使用学界通行译法，保留引用标记、公式与缩写，不增删论证内容。'
+  }
+];
+const DEFAULT_TRANSLATION_MODE = 'translate';
+const TRANSLATION_MODES = [
+  {
+    id: DEFAULT_TRANSLATION_MODE,
+    label: '翻译',
+    template: '',
+    maxTokens: 0
+  },
+  {
+    id: 'polish',
+    label: '润色',
+    template:
+      '润色以下文本：修正语法与用词，使表达通顺地道；保持原文语言、原意与格式不变。只输出润色后的文本，不要解释。{{instructions}}',
+    maxTokens: 0
+  },
+  {
+    id: 'summarize',
+    label: '总结',
+    template: '用{{targetLanguage}}概括以下内容的要点，简明扼要，可使用列表。只输出总结，不要复述原文。{{instructions}}',
+    maxTokens: 800
+  },
+  {
+    id: 'explain',
+    label: '解释',
+    template:
+      '用{{targetLanguage}}解释以下词语或句子：说明含义、常见用法与语境，必要时给出一两个例句。{{instructions}}',
+    maxTokens: 1024
+  },
+  {
+    id: 'formal',
+    label: '正式改写',
+    template: '将以下文本改写为正式、得体的书面语体；保持原文语言与原意。只输出改写后的文本，不要解释。{{instructions}}',
+    maxTokens: 0
+  },
+  {
+    id: 'informal',
+    label: '口语改写',
+    template: '将以下文本改写为轻松自然的口语语体；保持原文语言与原意。只输出改写后的文本，不要解释。{{instructions}}',
+    maxTokens: 0
+  }
+];
+const DICTIONARY_MODE = {
+  id: 'dictionary',
+  label: '词典',
+  template:
+    '你是英语词典。为给出的英文单词或短语输出一个 JSON 对象，不要输出其它内容。格式：{"word":"词条原形","phonetics":{"uk":"英式音标","us":"美式音标"},"senses":[{"partOfSpeech":"词性缩写，如 n. / v. / adj.","definition":"{{targetLanguage}}释义"}],"examples":[{"source":"英文例句","translation":"{{targetLanguage}}译文"}]}。按常用程度列出最多 6 个义项、2 个例句；短语没有音标时 phonetics 各项留空。',
+  maxTokens: 900
+};
+const SYNTHESIS_MODE = {
+  id: 'synthesis',
+  label: '综合',
+  template:
+    '你是翻译评审。用户会给出原文和多个候选{{targetLanguage}}译文。逐一比较候选译文的准确性、完整性与通顺度，取长补短，融合出一个最佳{{targetLanguage}}译文；保留原文的换行、列表、代码标记、URL、数字与大小写。严格按以下格式输出，不要输出其它内容：\n<translation>\n最佳译文\n</translation>\n<rationale>\n用{{targetLanguage}}简要说明主要采用了哪个候选、改正了哪些问题\n</rationale>',
+  maxTokens: 0
+};
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+function normalizePromptPresetId(value) {
+  const id = String(value || '')
+    .trim()
+    .toLowerCase();
+  return PROMPT_PRESETS.some((preset) => preset.id === id) ? id : DEFAULT_PROMPT_PRESET;
+}
+
+function getPromptPreset(value) {
+  const id = normalizePromptPresetId(value);
+  return PROMPT_PRESETS.find((preset) => preset.id === id);
+}
+
+function normalizeTranslationModeId(value) {
+  const id = String(value || '')
+    .trim()
+    .toLowerCase();
+  return TRANSLATION_MODES.some((mode) => mode.id === id) ? id : DEFAULT_TRANSLATION_MODE;
+}
+
+function getTranslationMode(value) {
+  if (value === DICTIONARY_MODE.id) {
+    return DICTIONARY_MODE;
+  }
+  if (value === SYNTHESIS_MODE.id) {
+    return SYNTHESIS_MODE;
+  }
+  const id = normalizeTranslationModeId(value);
+  return TRANSLATION_MODES.find((mode) => mode.id === id);
+}
+
+function normalizePromptTemplate(value) {
+  return String(value || '')
+    .replace(/\r\n?/g, '\n')
+    .trim()
+    .slice(0, PROMPT_TEMPLATE_MAX_LENGTH);
+}
+
+function normalizePromptTemplates(rawTemplates) {
+  const source = rawTemplates && typeof rawTemplates === 'object' && !Array.isArray(rawTemplates) ? rawTemplates : {};
+  const result = {};
+  for (const [language, template] of Object.entries(source)) {
+    const code = normalizeLanguageCode(language);
+    const normalized = normalizePromptTemplate(template);
+    if (code && normalized && !result[code]) {
+      result[code] = normalized;
+    }
+  }
+  return result;
+}
+
+function resolvePromptTemplate(serviceConfig = {}, targetLanguage = '') {
+  const templates = normalizePromptTemplates(serviceConfig.promptTemplates);
+  const code = normalizeLanguageCode(targetLanguage);
+  return templates[code] || normalizePromptTemplate(serviceConfig.promptTemplate) || DEFAULT_PROMPT_TEMPLATE;
+}
+
+function hasPlaceholder(template, name) {
+  return Array.from(template.matchAll(PLACEHOLDER_PATTERN)).some((match) => match[1] === name);
+}
+
+function renderPromptTemplate(template, values = {}) {
+  const source = normalizePromptTemplate(template) || DEFAULT_PROMPT_TEMPLATE;
+  let rendered = source.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    return PROMPT_PLACEHOLDERS.includes(name) ? String(values[name] || '') : match;
+  });
+
+  for (const name of ['style', 'instructions']) {
+    if (values[name] && !hasPlaceholder(source, name)) {
+      rendered = `${rendered.trimEnd()}\n${values[name]}`;
+    }
+  }
+  if (values.glossary && !hasPlaceholder(source, 'glossary')) {
+    rendered = `${rendered}\n\n${values.glossary}\n`;
+  }
+  return rendered;
+}
+
+module.exports = {
+  DEFAULT_PROMPT_PRESET,
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_TRANSLATION_MODE,
+  DICTIONARY_MODE,
+  PROMPT_PLACEHOLDERS,
+  PROMPT_PRESETS,
+  SYNTHESIS_MODE,
+  TRANSLATION_MODES,
+  getPromptPreset,
+  getTranslationMode,
+  normalizePromptPresetId,
+  normalizeTranslationModeId,
+  normalizePromptTemplate,
+  normalizePromptTemplates,
+  renderPromptTemplate,
+  resolvePromptTemplate
+};
@@ -1,7 +1,14 @@
 const sourceNode = document.getElementById('source');
+const sourceInputNode = document.getElementById('sourceInput');
 const resultNode = document.getElementById('result');
 const resultPaneNode = document.getElementById('resultPane');
 const serviceResultsNode = document.getElementById('serviceResults');
+const dictionaryCardNode = document.getElementById('dictionaryCard');
+const synthesisCardNode = document.getElementById('synthesisCard');
+const compareBarNode = document.getElementById('compareBar');
+const compareToggleButton = document.getElementById('compareToggleBtn');
+const compareBaseSelect = document.getElementById('compareBaseSelect');
+const compareHintNode = document.getElementById('compareHint');
 const sourceCountNode = document.getElementById('sourceCount');
 const resultCountNode = document.getElementById('resultCount');
 const statusBadgeNode = document.getElementById('statusBadge');
@@ -10,6 +17,19 @@ const shortcutBadgeNode = document.getElementById('shortcutBadge');
 const metaNode = document.getElementById('meta');
 const copyButton = document.getElementById('copyBtn');
 const pinButton = document.getElementById('pinBtn');
+const inputModeButton = document.getElementById('inputModeBtn');
+const cancelButton = document.getElementById('cancelBtn');
+const targetLanguageSelect = document.getElementById('targetLanguageSelect');
+const promptPresetSelect = document.getElementById('promptPresetSelect');
+const translatorModeSelect = document.getElementById('translatorModeSelect');
+const languageDirectionNode = document.getElementById('languageDirection');
+const INPUT_TRANSLATE_DEBOUNCE_MS = 600;
+const RUNNING_TRANSLATION_STAGES = new Set(['reading', 'translating', 'service-update', 'streaming']);
+const STOPPABLE_SERVICE_STATUSES = new Set(['pending', 'running', 'streaming', 'retrying']);
+const VOCABULARY_SOURCE_MAX_LENGTH = 200;
+const COMPARE_DIFF_MAX_CELLS = 360000;
+const DIFF_TOKEN_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[^\s\p{P}\p{S}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+|\s+|[\s\S]/gu;
 
 let shortcutText = 'CommandOrControl+Shift+T';
 let popupMode = 'panel';
@@ -33,6 +53,19 @@ let latestServiceResults = [];
 let serviceCardNodeMap = new Map();
 let serviceRenderOrderKey = '';
 let preferredServiceId = '';
+let compareMode = false;
+let compareBaseServiceId = '';
+let pickedBestServiceId = '';
+let serviceComparableKey = '';
+let inputModeEnabled = false;
+let inputTranslateTimerHandle = 0;
+let lastInputTranslatedText = '';
+let latestSourceText = '';
+let translationRunning = false;
+let documentTranslationRunning = false;
+let translatorMode = 'translate';
+let latestDictionary = null;
+let latestSynthesis = null;
 const DEFAULT_AUTOMATION_CONFIG = {
   replaceLineBreaksWithSpace: false,
   stripCodeCommentMarkers: false,
@@ -40,14 +73,26 @@ const DEFAULT_AUTOMATION_CONFIG = {
   autoCopyOcrResult: false,
   autoCopyFirstResult: false,
   copyHighlightedWordOnClick: false,
-  autoPlaySourceText: false
+  autoPlaySourceText: false,
+  dictionaryLookup: true
 };
 let automationConfig = { ...DEFAULT_AUTOMATION_CONFIG };
 let hasAutoCopiedCurrentTask = false;
 let hasAutoPlayedSourceCurrentTask = false;
 
+function getSourceText() {
+  if (inputModeEnabled && sourceInputNode) {
+    return String(sourceInputNode.value || '');
+  }
+  return String(sourceNode.textContent || '');
+}
+
+function getSourceContentNode() {
+  return inputModeEnabled && sourceInputNode ? sourceInputNode : sourceNode;
+}
+
 function updateCount() {
-  const sourceText = String(sourceNode.textContent || '');
+  const sourceText = getSourceText();
   const sourceLength = sourceText.trim().length;
   const sourceLineCount = Math.max(
     1,
@@ -514,6 +559,145 @@ function renderBubblePinButton() {
   pinButton.setAttribute('aria-label', bubblePinned ? '取消钉住气泡' : '钉住气泡');
 }
 
+function renderInputModeButton() {
+  if (!inputModeButton) {
+    return;
+  }
+
+  inputModeButton.classList.toggle('active', inputModeEnabled);
+  inputModeButton.title = inputModeEnabled ? '退出输入翻译' : '输入翻译';
+  inputModeButton.setAttribute('aria-label', inputModeButton.title);
+}
+
+function clearInputTranslateTimer() {
+  if (inputTranslateTimerHandle) {
+    clearTimeout(inputTranslateTimerHandle);
+    inputTranslateTimerHandle = 0;
+  }
+}
+
+function applyInputMode(enabled) {
+  if (!sourceInputNode) {
+    return;
+  }
+
+  const nextEnabled = enabled === true;
+  const changed = nextEnabled !== inputModeEnabled;
+  inputModeEnabled = nextEnabled;
+  document.body.classList.toggle('input-mode', inputModeEnabled);
+  sourceNode.hidden = inputModeEnabled;
+  sourceInputNode.hidden = !inputModeEnabled;
+  renderInputModeButton();
+
+  if (!inputModeEnabled) {
+    clearInputTranslateTimer();
+  } else if (changed) {
+    if (!sourceInputNode.value && latestSourceText) {
+      sourceInputNode.value = latestSourceText;
+    }
+    lastInputTranslatedText = String(sourceInputNode.value || '').trim();
+    metaNode.textContent = '输入模式：停止输入后自动翻译';
+    sourceInputNode.focus();
+  }
+
+  lastResizeSignature = '';
+  flushCountUpdate();
+  scheduleAdaptiveResize({ allowShrink: true });
+}
+
+function requestInputTranslation(options = {}) {
+  if (!inputModeEnabled || !sourceInputNode) {
+    return;
+  }
+
+  const text = String(sourceInputNode.value || '');
+  const normalized = text.trim();
+  if (options.force !== true && normalized === lastInputTranslatedText) {
+    return;
+  }
+  lastInputTranslatedText = normalized;
+
+  if (!normalized) {
+    latestServiceResults = [];
+    lastResizeSignature = '';
+    resetTypingState();
+    showSingleResultText('等待输入...');
+    setStatusBadge('等待输入');
+    metaNode.textContent = '输入模式：停止输入后自动翻译';
+    flushCountUpdate();
+    scheduleAdaptiveResize({ allowShrink: true });
+    return;
+  }
+
+  window.translatorApp?.translateInput?.(text);
+}
+
+function syncTargetLanguageSelect(targetLanguageOverride) {
+  if (!targetLanguageSelect) {
+    return;
+  }
+
+  const value = String(targetLanguageOverride || '');
+  const hasOption = Array.from(targetLanguageSelect.options).some((option) => option.value === value);
+  if (!hasOption) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    targetLanguageSelect.appendChild(option);
+  }
+  targetLanguageSelect.value = value;
+}
+
+function syncPromptPresetSelect(promptPreset) {
+  if (!promptPresetSelect) {
+    return;
+  }
+
+  const value = String(promptPreset || 'default');
+  const hasOption = Array.from(promptPresetSelect.options).some((option) => option.value === value);
+  promptPresetSelect.value = hasOption ? value : 'default';
+}
+
+function syncTranslatorModeSelect(mode) {
+  if (!translatorModeSelect) {
+    return;
+  }
+
+  const value = String(mode || 'translate');
+  const hasOption = Array.from(translatorModeSelect.options).some((option) => option.value === value);
+  translatorMode = hasOption ? value : 'translate';
+  translatorModeSelect.value = translatorMode;
+}
+
+function getTranslatorModeLabel() {
+  if (!translatorModeSelect || translatorMode === 'translate') {
+    return '';
+  }
+  return translatorModeSelect.selectedOptions[0]?.textContent || '';
+}
+
+function renderLanguageDirection(payload) {
+  if (!languageDirectionNode) {
+    return;
+  }
+
+  const sourceLabel = String(payload?.sourceLanguageLabel || '').trim();
+  const targetLabel = String(payload?.targetLanguage || '').trim();
+  if (!targetLabel) {
+    languageDirectionNode.textContent = '';
+    return;
+  }
+  languageDirectionNode.textContent = `${sourceLabel || '未识别'} → ${targetLabel}`;
+}
+
+function scheduleInputTranslation() {
+  clearInputTranslateTimer();
+  inputTranslateTimerHandle = window.setTimeout(() => {
+    inputTranslateTimerHandle = 0;
+    requestInputTranslation();
+  }, INPUT_TRANSLATE_DEBOUNCE_MS);
+}
+
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
@@ -542,7 +726,7 @@ function longestLineUnits(text) {
 }
 
 function estimateAdaptiveWidth() {
-  const sourceText = sourceNode.textContent || '';
+  const sourceText = getSourceText();
   const resultText =
     latestServiceResults.length > 0
       ? latestServiceResults
@@ -570,7 +754,11 @@ function estimateAdaptiveWidth() {
 
 function estimateAdaptiveHeight(options = {}) {
   const allowShrink = Boolean(options.allowShrink);
-  const sourceOverflow = Math.max(0, sourceNode.scrollHeight - sourceNode.clientHeight);
+  const sourceContentNode = getSourceContentNode();
+  const sourceOverflow = Math.max(
+    0,
+    sourceContentNode.scrollHeight - sourceContentNode.clientHeight
+  );
   const resultOverflow = Math.max(0, resultPaneNode.scrollHeight - resultPaneNode.clientHeight);
 
   const expandBy =
@@ -589,7 +777,10 @@ function estimateAdaptiveHeight(options = {}) {
     return clamp(currentHeight, minHeight, maxHeight);
   }
 
-  const sourceSpare = Math.max(0, sourceNode.clientHeight - sourceNode.scrollHeight);
+  const sourceSpare = Math.max(
+    0,
+    sourceContentNode.clientHeight - sourceContentNode.scrollHeight
+  );
   const resultSpare = Math.max(0, resultPaneNode.clientHeight - resultPaneNode.scrollHeight);
   const totalSpare =
     popupMode === 'bubble' ? sourceSpare + resultSpare : Math.max(sourceSpare, resultSpare);
@@ -613,7 +804,7 @@ function buildResizePayload(options = {}) {
 
 function buildResizeSignature(options = {}) {
   const allowShrink = Boolean(options.allowShrink);
-  const sourceLen = String(sourceNode.textContent || '').trim().length;
+  const sourceLen = getSourceText().trim().length;
   if (latestServiceResults.length > 0) {
     let textLen = 0;
     let done = 0;
@@ -629,7 +820,7 @@ function buildResizeSignature(options = {}) {
         error += 1;
       } else if (status === 'streaming') {
         streaming += 1;
-      } else if (status === 'running') {
+      } else if (status === 'running' || status === 'retrying') {
         running += 1;
       }
     }
@@ -822,8 +1013,12 @@ function hideServiceCards() {
     serviceResultsNode.hidden = true;
     serviceResultsNode.innerHTML = '';
   }
+  if (compareBarNode) {
+    compareBarNode.hidden = true;
+  }
   serviceCardNodeMap.clear();
   serviceRenderOrderKey = '';
+  serviceComparableKey = '';
 }
 
 function showSingleResultText(text) {
@@ -834,6 +1029,321 @@ function showSingleResultText(text) {
   }
 }
 
+function hideDictionaryCard() {
+  latestDictionary = null;
+  if (dictionaryCardNode) {
+    dictionaryCardNode.hidden = true;
+    dictionaryCardNode.innerHTML = '';
+  }
+}
+
+function buildDictionaryPhoneticsHtml(phonetics) {
+  const parts = [];
+  if (phonetics?.uk) {
+    parts.push(`英 /${escapeHtml(phonetics.uk.replace(/^\/|\/$/g, ''))}/`);
+  }
+  if (phonetics?.us) {
+    parts.push(`美 /${escapeHtml(phonetics.us.replace(/^\/|\/$/g, ''))}/`);
+  }
+  return parts.length ? `<span class="dictionary-phonetic">${parts.join('　')}</span>` : '';
+}
+
+function renderDictionaryCard(dictionary) {
+  if (!dictionaryCardNode) {
+    return;
+  }
+  if (!dictionary || typeof dictionary !== 'object') {
+    hideDictionaryCard();
+    return;
+  }
+
+  latestDictionary = dictionary;
+  const entry = dictionary.entry;
+  const word = escapeHtml(entry?.word || dictionary.word || '');
+  const saveLabel = dictionary.saved ? '已在生词本' : '＋ 生词本';
+  const saveButton = entry
+    ? `<button class="dictionary-save-btn" type="button" data-action="save-vocabulary"${
+        dictionary.saved ? ' disabled' : ''
+      }>${saveLabel}</button>`
+    : '';
+  let bodyHtml = '';
+  if (entry) {
+    const senses = entry.senses
+      .map((sense) => {
+        const pos = sense.partOfSpeech ? `<span class="dictionary-pos">${escapeHtml(sense.partOfSpeech)}</span>` : '';
+        return `<li>${pos}${escapeHtml(sense.definition)}</li>`;
+      })
+      .join('');
+    const examples = entry.examples
+      .map((example) => {
+        const translation = example.translation
+          ? `<br /><span class="dictionary-example-translation">${escapeHtml(example.translation)}</span>`
+          : '';
+        return `<li>${escapeHtml(example.source)}${translation}</li>`;
+      })
+      .join('');
+    bodyHtml = `<ul class="dictionary-senses">${senses}</ul>${
+      examples ? `<ul class="dictionary-examples">${examples}</ul>` : ''
+    }`;
+  } else if (dictionary.status === 'error') {
+    bodyHtml = `<div class="dictionary-meta">词典查询失败：${escapeHtml(dictionary.error || '请求失败')}</div>`;
+  } else if (dictionary.status === 'canceled') {
+    bodyHtml = '<div class="dictionary-meta">（已停止）</div>';
+  } else {
+    bodyHtml = '<div class="dictionary-meta">正在查询词典...</div>';
+  }
+
+  dictionaryCardNode.innerHTML = `<div class="dictionary-head"><span class="dictionary-word">${word}</span>${
+    entry ? buildDictionaryPhoneticsHtml(entry.phonetics) : ''
+  }${saveButton}</div>${bodyHtml}${
+    dictionary.serviceName ? `<div class="dictionary-meta">来源：${escapeHtml(dictionary.serviceName)}</div>` : ''
+  }`;
+  dictionaryCardNode.hidden = false;
+}
+
+function hideSynthesisCard() {
+  latestSynthesis = null;
+  if (synthesisCardNode) {
+    synthesisCardNode.hidden = true;
+    synthesisCardNode.innerHTML = '';
+  }
+}
+
+function renderSynthesisCard(synthesis) {
+  if (!synthesisCardNode) {
+    return;
+  }
+  if (!synthesis || typeof synthesis !== 'object') {
+    hideSynthesisCard();
+    return;
+  }
+
+  latestSynthesis = synthesis;
+  const meta = [
+    synthesis.serviceName ? `裁判：${synthesis.serviceName}` : '',
+    synthesis.candidateCount ? `综合 ${synthesis.candidateCount} 个译文` : ''
+  ]
+    .filter(Boolean)
+    .join(' · ');
+  const copyButton =
+    synthesis.status === 'done'
+      ? '<button class="service-action-btn" type="button" data-action="copy-synthesis" title="复制综合译文" aria-label="复制综合译文">📋</button>'
+      : '';
+  let bodyHtml = '';
+  if (synthesis.status === 'done') {
+    bodyHtml = `<div class="service-card-body">${renderMarkdownToHtml(synthesis.translation || '')}</div>`;
+    if (synthesis.rationale) {
+      bodyHtml += `<details class="synthesis-rationale"><summary>取舍理由</summary><div>${escapeHtml(
+        synthesis.rationale
+      )}</div></details>`;
+    }
+  } else if (synthesis.status === 'error') {
+    bodyHtml = `<div class="service-card-body error">综合失败：${escapeHtml(synthesis.error || '请求失败')}</div>`;
+  } else if (synthesis.status === 'canceled') {
+    bodyHtml = '<div class="service-card-body">（已停止）</div>';
+  } else {
+    bodyHtml = '<div class="service-card-body">正在综合各服务译文...</div>';
+  }
+
+  synthesisCardNode.innerHTML = `<div class="synthesis-head"><span class="synthesis-title">✦ 综合译文</span><span class="synthesis-meta">${escapeHtml(
+    meta
+  )}</span>${copyButton}</div>${bodyHtml}`;
+  synthesisCardNode.hidden = false;
+}
+
+async function copySynthesisText() {
+  const text = String(latestSynthesis?.translation || '').trim();
+  if (!text) {
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(text);
+    setStatusBadge('已复制综合译文', 'ok');
+  } catch {
+    setStatusBadge('复制失败', 'error');
+  }
+}
+
+async function saveDictionaryToVocabulary() {
+  const entry = latestDictionary?.entry;
+  if (!entry || !window.translatorApp?.saveVocabulary) {
+    return;
+  }
+
+  const result = await window.translatorApp.saveVocabulary({
+    ...entry,
+    source: 'dictionary'
+  });
+  if (!result?.ok) {
+    setStatusBadge(result?.error || '保存失败', 'error');
+    return;
+  }
+  setStatusBadge(`已加入生词本：${entry.word}`, 'ok');
+  renderDictionaryCard({
+    ...latestDictionary,
+    saved: true
+  });
+}
+
+function tokenizeDiffText(text) {
+  return String(text || '').match(DIFF_TOKEN_PATTERN) || [];
+}
+
+function isSameDiffToken(left, right) {
+  return left === right || (!left.trim() && !right.trim());
+}
+
+function diffTextTokens(baseText, text) {
+  const baseTokens = tokenizeDiffText(baseText);
+  const tokens = tokenizeDiffText(text);
+  if (baseTokens.length * tokens.length > COMPARE_DIFF_MAX_CELLS) {
+    return null;
+  }
+
+  const columns = tokens.length + 1;
+  const lengths = new Uint16Array((baseTokens.length + 1) * columns);
+  for (let i = baseTokens.length - 1; i >= 0; i -= 1) {
+    for (let j = tokens.length - 1; j >= 0; j -= 1) {
+      lengths[i * columns + j] = isSameDiffToken(baseTokens[i], tokens[j])
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const pushOp = (type, value) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.text += value;
+    } else {
+      ops.push({ type, text: value });
+    }
+  };
+  let i = 0;
+  let j = 0;
+  while (i < baseTokens.length && j < tokens.length) {
+    if (isSameDiffToken(baseTokens[i], tokens[j])) {
+      pushOp('equal', tokens[j]);
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      pushOp('delete', baseTokens[i]);
+      i += 1;
+    } else {
+      pushOp('insert', tokens[j]);
+      j += 1;
+    }
+  }
+  while (i < baseTokens.length) {
+    pushOp('delete', baseTokens[i]);
+    i += 1;
+  }
+  while (j < tokens.length) {
+    pushOp('insert', tokens[j]);
+    j += 1;
+  }
+  return ops;
+}
+
+function renderDiffHtml(ops) {
+  return ops
+    .map((op) => {
+      if (op.type === 'insert') {
+        return `<mark class="diff-insert">${escapeHtml(op.text)}</mark>`;
+      }
+      if (op.type === 'delete') {
+        return op.text.trim() ? `<del class="diff-delete">${escapeHtml(op.text)}</del>` : '';
+      }
+      return escapeHtml(op.text);
+    })
+    .join('');
+}
+
+function setDiffContent(node, baseText, text) {
+  const diffSource = `${baseText}\u0000${text}`;
+  if (node.__diffSource === diffSource) {
+    return true;
+  }
+  const ops = diffTextTokens(baseText, text);
+  if (!ops) {
+    return false;
+  }
+  node.__diffSource = diffSource;
+  node.__markdownSource = null;
+  node.innerHTML = renderDiffHtml(ops);
+  return true;
+}
+
+function getComparableServices(services = latestServiceResults) {
+  return services.filter((service) => service.status === 'done' && String(service.translation || '').trim());
+}
+
+function getCompareBaseService(services = latestServiceResults) {
+  const comparable = getComparableServices(services);
+  return (
+    comparable.find((service) => service.id === compareBaseServiceId) ||
+    comparable.find((service) => service.id === preferredServiceId) ||
+    comparable[0] ||
+    null
+  );
+}
+
+function syncCompareBar(services) {
+  if (!compareBarNode) {
+    return;
+  }
+  const comparable = getComparableServices(services);
+  compareBarNode.hidden = comparable.length < 2;
+  compareToggleButton.classList.toggle('active', compareMode);
+  compareToggleButton.textContent = compareMode ? '⇆ 退出对比' : '⇆ 对比';
+  serviceResultsNode.classList.toggle('compare-mode', compareMode && comparable.length >= 2);
+
+  const base = compareMode ? getCompareBaseService(services) : null;
+  compareBaseSelect.hidden = !base;
+  compareHintNode.textContent = base ? '为基准，高亮与其不同的词' : '';
+  if (!base) {
+    return;
+  }
+  const optionsKey = comparable.map((service) => `${service.id}:${service.name}`).join('|');
+  if (compareBaseSelect.dataset.optionsKey !== optionsKey) {
+    compareBaseSelect.innerHTML = comparable
+      .map(
+        (service) => `<option value="${escapeHtmlAttribute(service.id)}">${escapeHtml(service.name)}</option>`
+      )
+      .join('');
+    compareBaseSelect.dataset.optionsKey = optionsKey;
+  }
+  compareBaseSelect.value = base.id;
+}
+
+function setCompareMode(enabled) {
+  compareMode = Boolean(enabled);
+  renderServiceResultCards(latestServiceResults);
+  scheduleAdaptiveResize({ allowShrink: true });
+}
+
+async function pickBestService(serviceId) {
+  const id = String(serviceId || '').trim();
+  const service = latestServiceResults.find((item) => item.id === id);
+  if (!service || !window.translatorApp?.pickBestService) {
+    return;
+  }
+
+  const result = await window.translatorApp.pickBestService({
+    serviceId: id,
+    serviceIds: getComparableServices().map((item) => item.id),
+    sourceText: latestSourceText
+  });
+  if (!result?.ok) {
+    setStatusBadge(result?.error || '记录失败', 'error');
+    return;
+  }
+  pickedBestServiceId = id;
+  setPreferredService(id);
+  setStatusBadge(`已选 ${service.name} 为最佳译文`, 'ok');
+}
+
 function getServiceOrderKey(services) {
   return services.map((item) => item.id).join('|');
 }
@@ -845,11 +1355,23 @@ function buildServiceBodyText(service) {
     if (service.status === 'error' && errorText) {
       return `${translationText}\n\n错误：${errorText}`;
     }
+    if (service.status === 'canceled') {
+      return `${translationText}\n\n（${errorText || '已停止'}）`;
+    }
     return translationText;
   }
   if (service.status === 'error') {
     return `错误：${errorText || '请求失败'}`;
   }
+  if (service.status === 'retrying') {
+    return `正在重试：${errorText || '请求失败'}`;
+  }
+  if (service.status === 'canceled') {
+    return `（${errorText || '已停止'}）`;
+  }
+  if (service.status === 'skipped') {
+    return `（${errorText || '未调用'}）`;
+  }
   return '（进行中...）';
 }
 
@@ -859,24 +1381,61 @@ function applyServiceCardState(nodes, service) {
   }
   const serviceName = service.name || '未命名服务';
   const translationText = String(service.translation || '').trim();
-  nodes.card.className = `service-card status-${service.status || 'pending'}`;
+  const compareBase = compareMode ? getCompareBaseService() : null;
+  const isCompareBase = Boolean(compareBase) && compareBase.id === service.id;
+  nodes.card.className = `service-card status-${service.status || 'pending'}${isCompareBase ? ' compare-base' : ''}`;
   nodes.nameText.textContent = serviceName;
   nodes.modelText.textContent = service.model ? `/${service.model}` : '';
   nodes.modelText.hidden = !service.model;
+  nodes.modeTag.textContent = getTranslatorModeLabel();
+  nodes.modeTag.hidden = !nodes.modeTag.textContent;
   nodes.state.textContent = serviceStatusLabel(service);
-  nodes.body.className = `service-card-body${service.status === 'error' ? ' error' : ''}`;
-  setMarkdownContent(nodes.body, buildServiceBodyText(service));
+  const showDiff =
+    Boolean(compareBase) &&
+    !isCompareBase &&
+    service.status === 'done' &&
+    Boolean(translationText) &&
+    setDiffContent(nodes.body, String(compareBase.translation || '').trim(), translationText);
+  nodes.body.className = `service-card-body${service.status === 'error' ? ' error' : ''}${
+    showDiff ? ' diff-view' : ''
+  }`;
+  if (!showDiff) {
+    nodes.body.__diffSource = null;
+    setMarkdownContent(nodes.body, buildServiceBodyText(service));
+  }
+  const glossaryMisses = service.status === 'done' ? service.glossaryMisses || [] : [];
+  nodes.glossaryNote.hidden = glossaryMisses.length === 0;
+  nodes.glossaryNote.textContent = glossaryMisses.length
+    ? `⚠ 未按术语表翻译：${glossaryMisses.map((item) => `${item.source} → ${item.target}`).join('；')}`
+    : '';
   nodes.speakButton.disabled = !translationText;
   nodes.speakButton.title = `朗读 ${serviceName} 译文`;
   nodes.speakButton.setAttribute('aria-label', nodes.speakButton.title);
   nodes.copyButton.disabled = !translationText;
   nodes.copyButton.title = `复制 ${serviceName} 结果`;
   nodes.copyButton.setAttribute('aria-label', nodes.copyButton.title);
+  const sourceLength = getVocabularySourceText().length;
+  nodes.saveButton.hidden = translatorMode !== 'translate';
+  nodes.saveButton.disabled =
+    !translationText || service.status !== 'done' || sourceLength === 0 || sourceLength > VOCABULARY_SOURCE_MAX_LENGTH;
+  nodes.saveButton.title =
+    sourceLength > VOCABULARY_SOURCE_MAX_LENGTH ? '原文过长，无法加入生词本' : '原文与译文加入生词本';
+  nodes.saveButton.setAttribute('aria-label', nodes.saveButton.title);
+  const comparableCount = getComparableServices().length;
+  const isPickedBest = Boolean(pickedBestServiceId) && pickedBestServiceId === service.id;
+  nodes.pickButton.hidden = comparableCount < 2;
+  nodes.pickButton.disabled = service.status !== 'done' || !translationText;
+  nodes.pickButton.classList.toggle('active', isPickedBest);
+  nodes.pickButton.title = isPickedBest ? '已选为最佳译文' : '选为最佳译文（影响自动路由排序）';
+  nodes.pickButton.setAttribute('aria-label', nodes.pickButton.title);
   nodes.preferButton.disabled = !translationText;
   const isPreferred = Boolean(preferredServiceId) && preferredServiceId === service.id;
   nodes.preferButton.classList.toggle('active', isPreferred);
   nodes.preferButton.title = isPreferred ? '已设为优先复制' : '设为优先复制';
   nodes.preferButton.setAttribute('aria-label', nodes.preferButton.title);
+  nodes.stopButton.hidden = !STOPPABLE_SERVICE_STATUSES.has(service.status);
+  nodes.stopButton.title = `停止 ${serviceName}`;
+  nodes.stopButton.setAttribute('aria-label', nodes.stopButton.title);
 }
 
 function createServiceCardNodes(service) {
@@ -886,63 +1445,95 @@ function createServiceCardNodes(service) {
   const dot = document.createElement('span');
   const nameText = document.createElement('span');
   const modelText = document.createElement('span');
+  const modeTag = document.createElement('span');
   const meta = document.createElement('div');
   const state = document.createElement('span');
   const body = document.createElement('div');
+  const glossaryNote = document.createElement('div');
   const actions = document.createElement('footer');
   const speakButton = document.createElement('button');
   const copyButton = document.createElement('button');
+  const saveButton = document.createElement('button');
+  const pickButton = document.createElement('button');
   const preferButton = document.createElement('button');
+  const stopButton = document.createElement('button');
 
   header.className = 'service-card-head';
   title.className = 'service-card-title';
   dot.className = 'service-dot';
   modelText.className = 'service-card-model';
+  modeTag.className = 'service-card-mode';
   meta.className = 'service-card-meta';
   state.className = 'service-card-state';
+  glossaryNote.className = 'service-card-glossary';
   actions.className = 'service-card-actions';
   speakButton.className = 'service-action-btn';
   copyButton.className = 'service-action-btn service-copy-btn';
+  saveButton.className = 'service-action-btn';
+  pickButton.className = 'service-action-btn';
   preferButton.className = 'service-action-btn';
+  stopButton.className = 'service-action-btn service-stop-btn';
 
   speakButton.type = 'button';
   copyButton.type = 'button';
+  saveButton.type = 'button';
+  pickButton.type = 'button';
   preferButton.type = 'button';
+  stopButton.type = 'button';
 
   speakButton.textContent = '🔊';
   copyButton.textContent = '📋';
+  saveButton.textContent = '＋';
+  pickButton.textContent = '👍';
   preferButton.textContent = '↗';
+  stopButton.textContent = '⏹';
 
   body.dataset.serviceId = service.id;
   speakButton.dataset.action = 'speak-service-result';
   speakButton.dataset.serviceId = service.id;
   copyButton.dataset.action = 'copy-service-result';
   copyButton.dataset.serviceId = service.id;
+  saveButton.dataset.action = 'save-service-result';
+  saveButton.dataset.serviceId = service.id;
+  pickButton.dataset.action = 'pick-best-service';
+  pickButton.dataset.serviceId = service.id;
   preferButton.dataset.action = 'prefer-service-result';
   preferButton.dataset.serviceId = service.id;
+  stopButton.dataset.action = 'stop-service';
+  stopButton.dataset.serviceId = service.id;
 
   title.appendChild(dot);
   title.appendChild(nameText);
   title.appendChild(modelText);
+  title.appendChild(modeTag);
   meta.appendChild(state);
   header.appendChild(title);
   header.appendChild(meta);
   card.appendChild(header);
   card.appendChild(body);
+  card.appendChild(glossaryNote);
   actions.appendChild(speakButton);
   actions.appendChild(copyButton);
+  actions.appendChild(saveButton);
+  actions.appendChild(pickButton);
   actions.appendChild(preferButton);
+  actions.appendChild(stopButton);
   card.appendChild(actions);
 
   const nodes = {
     card,
     body,
+    glossaryNote,
     nameText,
     modelText,
+    modeTag,
     state,
     speakButton,
     copyButton,
-    preferButton
+    saveButton,
+    pickButton,
+    preferButton,
+    stopButton
   };
   applyServiceCardState(nodes, service);
   return nodes;
@@ -975,13 +1566,19 @@ function renderServiceResultCards(services, options = {}) {
 
   resultNode.hidden = true;
   serviceResultsNode.hidden = false;
+  syncCompareBar(services);
+  const comparableKey = getComparableServices(services)
+    .map((service) => service.id)
+    .join('|');
+  const comparableChanged = comparableKey !== serviceComparableKey;
+  serviceComparableKey = comparableKey;
 
   if (!canPatch) {
     rebuildServiceCards(services);
     return;
   }
 
-  if (changedServiceId) {
+  if (changedServiceId && !compareMode && !comparableChanged) {
     const changedService = services.find((service) => service.id === changedServiceId);
     const nodes = changedService ? serviceCardNodeMap.get(changedService.id) : null;
     if (!changedService || !nodes) {
@@ -1015,7 +1612,10 @@ function normalizeServiceResults(rawServices) {
       order: Number.isFinite(Number(item?.order)) ? Number(item.order) : index,
       status: String(item?.status || 'pending').trim() || 'pending',
       translation: String(item?.translation || ''),
-      error: String(item?.error || '')
+      error: String(item?.error || ''),
+      attempt: Number(item?.attempt) || 1,
+      maxAttempts: Number(item?.maxAttempts) || 1,
+      glossaryMisses: Array.isArray(item?.glossaryMisses) ? item.glossaryMisses : []
     }))
     .sort((a, b) => {
       if (a.order !== b.order) {
@@ -1117,6 +1717,15 @@ function serviceStatusLabel(service) {
   if (status === 'running') {
     return '请求中';
   }
+  if (status === 'retrying') {
+    return `重试中 ${service.attempt}/${service.maxAttempts}`;
+  }
+  if (status === 'canceled') {
+    return '已停止';
+  }
+  if (status === 'skipped') {
+    return '未调用';
+  }
   return '等待中';
 }
 
@@ -1127,8 +1736,12 @@ function summarizeServiceProgress(summary, services) {
   const error = Number(normalizedSummary.error) || 0;
   const running = Number(normalizedSummary.running) || 0;
   const streaming = Number(normalizedSummary.streaming) || 0;
-  const pending = Number(normalizedSummary.pending) || Math.max(0, total - done - error - running - streaming);
-  return { total, done, error, running, streaming, pending };
+  const canceled = Number(normalizedSummary.canceled) || 0;
+  const skipped = Number(normalizedSummary.skipped) || 0;
+  const pending =
+    Number(normalizedSummary.pending) ||
+    Math.max(0, total - done - error - running - streaming - canceled - skipped);
+  return { total, done, error, running, streaming, canceled, skipped, pending };
 }
 
 function findFirstSuccessfulService(services) {
@@ -1157,10 +1770,13 @@ async function copyResultText() {
   let copyLabel = '译文已复制';
 
   if (latestServiceResults.length > 0) {
-    const firstSuccess =
-      findPreferredSuccessfulService(latestServiceResults) ||
-      findFirstSuccessfulService(latestServiceResults);
-    if (firstSuccess) {
+    const preferredSuccess = findPreferredSuccessfulService(latestServiceResults);
+    const synthesisText = String(latestSynthesis?.translation || '').trim();
+    const firstSuccess = preferredSuccess || findFirstSuccessfulService(latestServiceResults);
+    if (!preferredSuccess && latestSynthesis?.status === 'done' && synthesisText) {
+      text = synthesisText;
+      copyLabel = '已复制综合译文';
+    } else if (firstSuccess) {
       text = String(firstSuccess.translation || '');
       copyLabel = `已复制 ${firstSuccess.name} 译文`;
     }
@@ -1178,6 +1794,33 @@ async function copyResultText() {
   }
 }
 
+function getVocabularySourceText() {
+  return String(latestSourceText || '')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+async function saveServiceResultToVocabulary(serviceId) {
+  const id = String(serviceId || '').trim();
+  const service = latestServiceResults.find((item) => item.id === id);
+  const translation = String(service?.translation || '').trim();
+  const word = getVocabularySourceText();
+  if (!translation || !word || !window.translatorApp?.saveVocabulary) {
+    return;
+  }
+
+  const result = await window.translatorApp.saveVocabulary({
+    word,
+    translation,
+    source: 'translation'
+  });
+  if (!result?.ok) {
+    setStatusBadge(result?.error || '保存失败', 'error');
+    return;
+  }
+  setStatusBadge(`已加入生词本：${result.entry?.word || word}`, 'ok');
+}
+
 async function copyServiceResultText(serviceId) {
   const id = String(serviceId || '').trim();
   if (!id) {
@@ -1281,6 +1924,9 @@ async function autoCopyText(text, metaMessage) {
 
 function shouldAutoCopyForPayload(payload) {
   const sourceType = String(payload?.sourceType || '').toLowerCase();
+  if (sourceType === 'input') {
+    return false;
+  }
   if (sourceType === 'ocr') {
     return automationConfig.autoCopyOcrResult;
   }
@@ -1299,7 +1945,11 @@ function stopAutoPlaySourceText() {
 }
 
 function maybeAutoPlaySourceText(sourceText) {
-  if (!automationConfig.autoPlaySourceText || hasAutoPlayedSourceCurrentTask) {
+  if (
+    !automationConfig.autoPlaySourceText ||
+    hasAutoPlayedSourceCurrentTask ||
+    inputModeEnabled
+  ) {
     return;
   }
 
@@ -1416,6 +2066,40 @@ copyButton.addEventListener('click', () => {
   copyResultText();
 });
 
+inputModeButton?.addEventListener('click', () => {
+  if (!window.translatorApp?.setInputMode) {
+    return;
+  }
+  window.translatorApp.setInputMode(!inputModeEnabled);
+});
+
+targetLanguageSelect?.addEventListener('change', () => {
+  window.translatorApp?.setTargetLanguage?.(targetLanguageSelect.value);
+});
+
+promptPresetSelect?.addEventListener('change', () => {
+  window.translatorApp?.setPromptPreset?.(promptPresetSelect.value);
+});
+
+translatorModeSelect?.addEventListener('change', () => {
+  window.translatorApp?.setMode?.(translatorModeSelect.value);
+});
+
+sourceInputNode?.addEventListener('input', () => {
+  scheduleCountUpdate();
+  scheduleAdaptiveResize({ allowShrink: false });
+  scheduleInputTranslation();
+});
+
+sourceInputNode?.addEventListener('keydown', (event) => {
+  if (event.key !== 'Enter' || !(event.metaKey || event.ctrlKey)) {
+    return;
+  }
+  event.preventDefault();
+  clearInputTranslateTimer();
+  requestInputTranslation({ force: true });
+});
+
 pinButton?.addEventListener('click', () => {
   if (!window.translatorApp?.setBubblePinned) {
     return;
@@ -1441,6 +2125,27 @@ resultNode.addEventListener('click', async (event) => {
   await autoCopyText(word, `已复制单词：${word}`);
 });
 
+compareToggleButton?.addEventListener('click', () => {
+  setCompareMode(!compareMode);
+});
+
+compareBaseSelect?.addEventListener('change', () => {
+  compareBaseServiceId = compareBaseSelect.value;
+  renderServiceResultCards(latestServiceResults);
+});
+
+synthesisCardNode?.addEventListener('click', (event) => {
+  if (event.target.closest('button[data-action="copy-synthesis"]')) {
+    void copySynthesisText();
+  }
+});
+
+dictionaryCardNode?.addEventListener('click', (event) => {
+  if (event.target.closest('button[data-action="save-vocabulary"]')) {
+    void saveDictionaryToVocabulary();
+  }
+});
+
 serviceResultsNode?.addEventListener('click', (event) => {
   const actionButton = event.target.closest('button[data-action]');
   if (actionButton) {
@@ -1454,10 +2159,22 @@ serviceResultsNode?.addEventListener('click', (event) => {
       speakServiceResultText(serviceId);
       return;
     }
+    if (action === 'pick-best-service') {
+      void pickBestService(serviceId);
+      return;
+    }
+    if (action === 'save-service-result') {
+      void saveServiceResultToVocabulary(serviceId);
+      return;
+    }
     if (action === 'prefer-service-result') {
       setPreferredService(serviceId);
       return;
     }
+    if (action === 'stop-service') {
+      window.translatorApp.stopService(serviceId);
+      return;
+    }
   }
 
   if (!automationConfig.copyHighlightedWordOnClick) {
@@ -1479,6 +2196,11 @@ serviceResultsNode?.addEventListener('click', (event) => {
 });
 
 document.addEventListener('keydown', async (event) => {
+  if (event.key === 'Escape' && cancelRunningTranslation()) {
+    event.preventDefault();
+    return;
+  }
+
   const key = String(event.key || '').toLowerCase();
   const isCopyShortcut = key === 'c' && (event.metaKey || event.ctrlKey) && !event.altKey;
   if (!isCopyShortcut) {
@@ -1500,6 +2222,75 @@ document.addEventListener('keydown', async (event) => {
   copyResultText();
 });
 
+function hasDraggedFiles(event) {
+  return Array.from(event.dataTransfer?.types || []).includes('Files');
+}
+
+function renderDocumentProgress(payload) {
+  const fileName = String(payload?.fileName || '文档');
+  documentTranslationRunning = payload?.stage === 'running';
+  syncCancelButton();
+  if (payload?.stage === 'done') {
+    setStatusBadge('文档翻译完成', 'ok');
+    metaNode.textContent = `已保存：${payload.outputPath}`;
+    return;
+  }
+
+  if (payload?.stage === 'error') {
+    setStatusBadge('文档翻译失败', 'error');
+    metaNode.textContent = `${fileName}：${payload.error || '未知错误'}`;
+    return;
+  }
+
+  if (payload?.stage === 'canceled') {
+    setStatusBadge('已取消');
+    metaNode.textContent = `${fileName}：文档翻译已取消`;
+    return;
+  }
+
+  const total = Number(payload?.total) || 0;
+  const done = Math.min(total, Number(payload?.done) || 0);
+  if (total === 0) {
+    setStatusBadge('文档准备中...', 'pending');
+    metaNode.textContent = `正在读取 ${fileName}`;
+    return;
+  }
+
+  setStatusBadge(`文档 ${done}/${total}`, 'pending');
+  metaNode.textContent = `正在翻译 ${fileName}（${Math.round((done / total) * 100)}%）`;
+}
+
+document.addEventListener('dragover', (event) => {
+  if (!hasDraggedFiles(event)) {
+    return;
+  }
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'copy';
+  document.body.classList.add('document-drop-active');
+});
+
+document.addEventListener('dragleave', (event) => {
+  if (!event.relatedTarget) {
+    document.body.classList.remove('document-drop-active');
+  }
+});
+
+document.addEventListener('drop', (event) => {
+  if (!hasDraggedFiles(event)) {
+    return;
+  }
+  event.preventDefault();
+  document.body.classList.remove('document-drop-active');
+  const file = event.dataTransfer.files?.[0];
+  if (file) {
+    window.translatorApp.translateDocument(file);
+  }
+});
+
+window.translatorApp.onDocumentProgress((payload) => {
+  renderDocumentProgress(payload);
+});
+
 window.translatorApp.onShortcutsUpdated((payload) => {
   if (payload.translateShortcut) {
     shortcutText = payload.translateShortcut;
@@ -1514,6 +2305,9 @@ window.translatorApp.onUiConfigUpdated((payload) => {
   if (Number.isFinite(parsedFont)) {
     fontSize = Math.min(32, Math.max(12, Math.round(parsedFont)));
   }
+  if (payload.translatorMode) {
+    syncTranslatorModeSelect(payload.translatorMode);
+  }
   applyUiConfig();
 });
 
@@ -1527,6 +2321,10 @@ window.translatorApp.onAutomationConfigUpdated((payload) => {
   applyAutomationConfig(payload);
 });
 
+window.translatorApp.onInputModeUpdated((payload) => {
+  applyInputMode(payload?.enabled === true);
+});
+
 window.translatorApp.onWindowVisibility((payload) => {
   if (popupMode !== 'bubble') {
     return;
@@ -1553,17 +2351,77 @@ window.translatorApp.onWindowVisibility((payload) => {
   restartBubbleEntryMotion();
 });
 
+function syncCancelButton() {
+  if (cancelButton) {
+    cancelButton.hidden = !translationRunning && !documentTranslationRunning;
+  }
+}
+
+function setTranslationRunning(running) {
+  translationRunning = running;
+  syncCancelButton();
+}
+
+function cancelRunningTranslation() {
+  if (documentTranslationRunning) {
+    window.translatorApp.cancelDocumentTranslation();
+    setStatusBadge('正在取消...', 'pending');
+    return true;
+  }
+  if (!translationRunning) {
+    return false;
+  }
+  window.translatorApp.cancelTranslation();
+  setStatusBadge('正在取消...', 'pending');
+  return true;
+}
+
+cancelButton?.addEventListener('click', () => {
+  cancelRunningTranslation();
+});
+
 window.translatorApp.onTranslationResult((payload) => {
+  setTranslationRunning(RUNNING_TRANSLATION_STAGES.has(payload?.stage));
   if (Object.prototype.hasOwnProperty.call(payload || {}, 'sourceText')) {
     const sourceText = String(payload?.sourceText || '');
     sourceNode.textContent = sourceText || '（空）';
+    if (sourceText) {
+      latestSourceText = sourceText;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload || {}, 'targetLanguageOverride')) {
+    syncTargetLanguageSelect(payload.targetLanguageOverride);
+    renderLanguageDirection(payload);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload || {}, 'promptPreset')) {
+    syncPromptPresetSelect(payload.promptPreset);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload || {}, 'mode')) {
+    syncTranslatorModeSelect(payload.mode);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload || {}, 'dictionary')) {
+    renderDictionaryCard(payload.dictionary);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(payload || {}, 'synthesis')) {
+    renderSynthesisCard(payload.synthesis);
   }
 
   if (payload.stage === 'reading') {
+    syncTargetLanguageSelect('');
+    renderLanguageDirection(null);
+    hideDictionaryCard();
+    hideSynthesisCard();
     hasAutoCopiedCurrentTask = false;
     hasAutoPlayedSourceCurrentTask = false;
     latestServiceResults = [];
     preferredServiceId = '';
+    compareBaseServiceId = '';
+    pickedBestServiceId = '';
     lastResizeSignature = '';
     stopAutoPlaySourceText();
     resetTypingState();
@@ -1605,14 +2463,22 @@ window.translatorApp.onTranslationResult((payload) => {
     }
 
     const progress = summarizeServiceProgress(payload?.summary, serviceResults);
-    if (payload.stage === 'all-done') {
+    if (payload.stage === 'all-done' || payload.stage === 'synthesis-update') {
       if (progress.done > 0) {
         setStatusBadge(`完成 ${progress.done}/${progress.total}`, 'ok');
+      } else if (payload.canceled || progress.error === 0) {
+        setStatusBadge('已取消');
       } else {
         setStatusBadge('全部失败', 'error');
       }
-      const summaryText = `服务完成：成功 ${progress.done} / 失败 ${progress.error} / 总计 ${progress.total}`;
-      metaNode.textContent = payload.error ? `${payload.error} ｜ ${summaryText}` : summaryText;
+      const canceledText = progress.canceled > 0 ? ` / 已停止 ${progress.canceled}` : '';
+      const skippedText = progress.skipped > 0 ? ` / 未调用 ${progress.skipped}` : '';
+      const summaryText = `服务完成：成功 ${progress.done} / 失败 ${progress.error}${canceledText}${skippedText} / 总计 ${progress.total}`;
+      const synthesisText =
+        payload.synthesis?.status === 'running'
+          ? ` ｜ 正在由 ${payload.synthesis.serviceName || '裁判服务'} 综合译文`
+          : '';
+      metaNode.textContent = `${payload.error ? `${payload.error} ｜ ` : ''}${summaryText}${synthesisText}`;
       scheduleAdaptiveResize({ allowShrink: true, streaming: false });
       return;
     }
@@ -0,0 +1,141 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const SECRETS_FILE_VERSION = 1;
+const SECRET_ENCODINGS = {
+  encrypted: 'safeStorage',
+  plain: 'plain'
+};
+
+let secretBackend = null;
+let secretsCache = null;
+
+function configureSecretStorage(backend) {
+  secretBackend = backend && typeof backend === 'object' ? backend : null;
+  secretsCache = null;
+}
+
+function isEncryptionAvailable() {
+  try {
+    return Boolean(secretBackend?.isAvailable());
+  } catch {
+    return false;
+  }
+}
+
+function getSecretStorageMode() {
+  return isEncryptionAvailable() ? SECRET_ENCODINGS.encrypted : SECRET_ENCODINGS.plain;
+}
+
+function readSecretsFile(secretsPath) {
+  try {
+    const stat = fs.statSync(secretsPath);
+    const signature = `${secretsPath}\u0001${stat.mtimeMs}\u0001${stat.size}`;
+    if (secretsCache?.signature === signature) {
+      return secretsCache.entries;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(secretsPath, 'utf-8'));
+    const rawEntries = parsed?.services && typeof parsed.services === 'object' ? parsed.services : {};
+    const entries = {};
+    for (const [serviceId, entry] of Object.entries(rawEntries)) {
+      if (entry && typeof entry.value === 'string' && typeof entry.encoding === 'string') {
+        entries[serviceId] = {
+          encoding: entry.encoding,
+          value: entry.value
+        };
+      }
+    }
+    secretsCache = { signature, entries };
+    return entries;
+  } catch {
+    return {};
+  }
+}
+
+function decodeSecret(entry) {
+  if (entry.encoding === SECRET_ENCODINGS.plain) {
+    return entry.value;
+  }
+  if (entry.encoding !== SECRET_ENCODINGS.encrypted || !isEncryptionAvailable()) {
+    return null;
+  }
+
+  try {
+    return secretBackend.decrypt(Buffer.from(entry.value, 'base64'));
+  } catch {
+    return null;
+  }
+}
+
+function encodeSecret(value) {
+  if (isEncryptionAvailable()) {
+    return {
+      encoding: SECRET_ENCODINGS.encrypted,
+      value: Buffer.from(secretBackend.encrypt(value)).toString('base64')
+    };
+  }
+  return {
+    encoding: SECRET_ENCODINGS.plain,
+    value
+  };
+}
+
+function loadServiceSecrets(secretsPath) {
+  const keys = {};
+  const unreadableIds = [];
+  for (const [serviceId, entry] of Object.entries(readSecretsFile(secretsPath))) {
+    const value = decodeSecret(entry);
+    if (value === null) {
+      unreadableIds.push(serviceId);
+      continue;
+    }
+    keys[serviceId] = value;
+  }
+
+  return {
+    keys,
+    unreadableIds
+  };
+}
+
+function saveServiceSecrets(secretsPath, keysById) {
+  const currentEntries = readSecretsFile(secretsPath);
+  const services = {};
+  for (const [serviceId, value] of Object.entries(keysById || {})) {
+    const text = String(value || '');
+    const current = currentEntries[serviceId];
+    if (!text) {
+      if (current && decodeSecret(current) === null) {
+        services[serviceId] = current;
+      }
+      continue;
+    }
+
+    const keepCurrent = current && current.encoding === getSecretStorageMode() && decodeSecret(current) === text;
+    services[serviceId] = keepCurrent ? current : encodeSecret(text);
+  }
+
+  const body = JSON.stringify({ version: SECRETS_FILE_VERSION, services }, null, 2);
+  let currentBody = '';
+  try {
+    currentBody = fs.readFileSync(secretsPath, 'utf-8');
+  } catch {
+    // Ignore missing secrets file, it is created below.
+  }
+  if (currentBody === body) {
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(secretsPath), { recursive: true });
+  fs.writeFileSync(secretsPath, body, { encoding: 'utf-8', mode: 0o600 });
+  fs.chmodSync(secretsPath, 0o600);
+  secretsCache = null;
+}
+
+module.exports = {
+  configureSecretStorage,
+  getSecretStorageMode,
+  loadServiceSecrets,
+  saveServiceSecrets
+};
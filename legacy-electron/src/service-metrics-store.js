@@ -0,0 +1,182 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { getServiceMetricsPath } = require('./config');
+
+const METRICS_FLUSH_DELAY_MS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const METRICS_DECAY_HALF_LIFE_MS = 3 * DAY_MS;
+const METRICS_RETENTION_MS = 30 * DAY_MS;
+const LATENCY_SAMPLE_LIMIT = 24;
+const COUNTER_EPSILON = 0.01;
+const COUNTER_FIELDS = ['attempts', 'successes', 'failures', 'timeouts', 'retries', 'rateLimits'];
+const STREAK_FIELDS = ['consecutiveFailures', 'timeoutStreak'];
+
+let serviceMetrics = null;
+let metricsFlushTimer = null;
+let metricsDirty = false;
+
+function normalizeCount(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : 0;
+}
+
+function normalizeCounter(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= COUNTER_EPSILON ? parsed : 0;
+}
+
+function normalizeLatencySamples(rawSamples) {
+  if (!Array.isArray(rawSamples)) {
+    return [];
+  }
+  return rawSamples
+    .map((sample) => ({
+      at: normalizeCount(sample?.at),
+      latencyMs: normalizeCount(sample?.latencyMs),
+      ok: sample?.ok !== false
+    }))
+    .filter((sample) => sample.at > 0 && sample.latencyMs > 0)
+    .slice(-LATENCY_SAMPLE_LIMIT);
+}
+
+function normalizeServiceMetric(rawMetric) {
+  const ewmaLatencyMs = Number(rawMetric?.ewmaLatencyMs);
+  if (!Number.isFinite(ewmaLatencyMs) || ewmaLatencyMs <= 0) {
+    return null;
+  }
+
+  const metric = {};
+  for (const field of COUNTER_FIELDS) {
+    metric[field] = normalizeCounter(rawMetric[field]);
+  }
+  for (const field of STREAK_FIELDS) {
+    metric[field] = normalizeCount(rawMetric[field]);
+  }
+  metric.rateLimitedUntil = normalizeCount(rawMetric.rateLimitedUntil);
+  metric.ewmaLatencyMs = ewmaLatencyMs;
+  metric.lastLatencyMs = normalizeCount(rawMetric.lastLatencyMs) || Math.round(ewmaLatencyMs);
+  metric.lastError = String(rawMetric.lastError || '');
+  metric.updatedAt = normalizeCount(rawMetric.updatedAt);
+  metric.decayedAt = normalizeCount(rawMetric.decayedAt) || metric.updatedAt;
+  metric.latencySamples = normalizeLatencySamples(rawMetric.latencySamples);
+  metric.circuitOpenUntil = normalizeCount(rawMetric.circuitOpenUntil);
+  metric.circuitOpenCount = normalizeCount(rawMetric.circuitOpenCount);
+  metric.circuitReason = metric.circuitOpenUntil > 0 ? String(rawMetric.circuitReason || '') : '';
+  return metric;
+}
+
+function decayServiceMetric(metric, now = Date.now()) {
+  const elapsed = Math.max(0, now - metric.decayedAt);
+  const factor = Math.pow(0.5, elapsed / METRICS_DECAY_HALF_LIFE_MS);
+  for (const field of COUNTER_FIELDS) {
+    metric[field] = normalizeCounter(metric[field] * factor);
+  }
+  metric.successes = Math.min(metric.successes, metric.attempts);
+  metric.failures = Math.min(metric.failures, metric.attempts - metric.successes);
+  if (now - metric.updatedAt >= METRICS_DECAY_HALF_LIFE_MS) {
+    for (const field of STREAK_FIELDS) {
+      metric[field] = 0;
+    }
+  }
+  if (metric.rateLimitedUntil <= now) {
+    metric.rateLimitedUntil = 0;
+  }
+  metric.decayedAt = now;
+}
+
+function loadServiceMetrics() {
+  if (serviceMetrics) {
+    return serviceMetrics;
+  }
+
+  serviceMetrics = new Map();
+  try {
+    const raw = fs.readFileSync(getServiceMetricsPath(), 'utf-8');
+    const parsed = JSON.parse(raw);
+    const rawMetrics = parsed?.services && typeof parsed.services === 'object' ? parsed.services : {};
+    const now = Date.now();
+    for (const [serviceId, rawMetric] of Object.entries(rawMetrics)) {
+      const metric = normalizeServiceMetric(rawMetric);
+      if (!metric || now - metric.updatedAt > METRICS_RETENTION_MS) {
+        continue;
+      }
+      decayServiceMetric(metric, now);
+      serviceMetrics.set(serviceId, metric);
+    }
+  } catch {
+    // Ignore missing or damaged metrics file, routing starts from defaults.
+  }
+
+  return serviceMetrics;
+}
+
+function recordServiceLatencySample(metric, latencyMs, ok) {
+  if (!Array.isArray(metric.latencySamples)) {
+    metric.latencySamples = [];
+  }
+  metric.latencySamples.push({
+    at: Date.now(),
+    latencyMs: Math.max(1, Math.round(Number(latencyMs) || 0)),
+    ok: Boolean(ok)
+  });
+  if (metric.latencySamples.length > LATENCY_SAMPLE_LIMIT) {
+    metric.latencySamples.splice(0, metric.latencySamples.length - LATENCY_SAMPLE_LIMIT);
+  }
+}
+
+function flushServiceMetrics() {
+  if (metricsFlushTimer) {
+    clearTimeout(metricsFlushTimer);
+    metricsFlushTimer = null;
+  }
+  if (!metricsDirty || !serviceMetrics) {
+    return;
+  }
+
+  const metricsPath = getServiceMetricsPath();
+  try {
+    fs.mkdirSync(path.dirname(metricsPath), { recursive: true });
+    fs.writeFileSync(
+      metricsPath,
+      JSON.stringify({ services: Object.fromEntries(serviceMetrics) }),
+      'utf-8'
+    );
+    metricsDirty = false;
+  } catch {
+    // Ignore metrics write failures, metrics are best effort.
+  }
+}
+
+function scheduleServiceMetricsFlush() {
+  metricsDirty = true;
+  if (metricsFlushTimer) {
+    return;
+  }
+
+  metricsFlushTimer = setTimeout(() => {
+    metricsFlushTimer = null;
+    flushServiceMetrics();
+  }, METRICS_FLUSH_DELAY_MS);
+  metricsFlushTimer.unref?.();
+}
+
+function resetServiceMetrics(serviceId = '') {
+  const metrics = loadServiceMetrics();
+  const id = String(serviceId || '').trim();
+  if (id) {
+    metrics.delete(id);
+  } else {
+    metrics.clear();
+  }
+  metricsDirty = true;
+  flushServiceMetrics();
+}
+
+module.exports = {
+  decayServiceMetric,
+  flushServiceMetrics,
+  loadServiceMetrics,
+  recordServiceLatencySample,
+  resetServiceMetrics,
+  scheduleServiceMetricsFlush
+};
@@ -0,0 +1,187 @@
+const { DEFAULT_SETTINGS, dedupeServicesById, normalizeSettings } = require('./config');
+const { getGlossaryScopeKey, normalizeGlossary } = require('./glossary');
+
+const SETTINGS_BUNDLE_FORMAT = 'jikeyi-trans-settings';
+const SETTINGS_BUNDLE_VERSION = 1;
+const SETTINGS_BUNDLE_EXTENSION = 'jikeyi.json';
+const IMPORT_MODES = new Set(['merge', 'replace']);
+const SHORTCUT_ENV_KEYS = ['TRANSLATE_SHORTCUT', 'OPEN_SETTINGS_SHORTCUT', 'POPUP_MODE', 'TRANSLATOR_FONT_SIZE'];
+
+function buildBundleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SETTINGS_BUNDLE';
+  return error;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pickShortcuts(env = {}) {
+  const shortcuts = {};
+  for (const key of SHORTCUT_ENV_KEYS) {
+    if (env[key] !== undefined && env[key] !== null) {
+      shortcuts[key] = String(env[key]);
+    }
+  }
+  return shortcuts;
+}
+
+function buildSettingsBundle(settings, options = {}) {
+  const includeApiKeys = Boolean(options.includeApiKeys);
+  const normalized = normalizeSettings(settings);
+
+  return {
+    format: SETTINGS_BUNDLE_FORMAT,
+    version: SETTINGS_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    includesApiKeys: includeApiKeys,
+    settings: {
+      services: normalized.services.map((service) => ({
+        ...service,
+        apiKey: includeApiKeys ? service.apiKey : ''
+      })),
+      activeServiceId: normalized.activeServiceId,
+      bubbleVisibleServiceIds: normalized.bubbleVisibleServiceIds,
+      routing: normalized.routing,
+      glossary: normalized.glossary,
+      automation: normalized.automation,
+      shortcuts: pickShortcuts(normalized.env)
+    }
+  };
+}
+
+function parseSettingsBundle(text) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch {
+    throw buildBundleError('配置包不是有效的 JSON 文件');
+  }
+
+  if (!isPlainObject(parsed) || parsed.format !== SETTINGS_BUNDLE_FORMAT || !isPlainObject(parsed.settings)) {
+    throw buildBundleError('不是即刻译配置包');
+  }
+
+  const version = Number(parsed.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw buildBundleError('配置包缺少有效的版本号');
+  }
+  if (version > SETTINGS_BUNDLE_VERSION) {
+    throw buildBundleError(`配置包版本 ${version} 高于当前支持的 ${SETTINGS_BUNDLE_VERSION}，请先升级即刻译`);
+  }
+
+  return parsed;
+}
+
+function normalizeBundleServices(rawServices) {
+  const services = rawServices
+    .filter((service) => isPlainObject(service))
+    .map((service) => ({
+      ...service,
+      apiKey: typeof service.apiKey === 'string' ? service.apiKey : ''
+    }));
+  if (services.length === 0) {
+    return [];
+  }
+
+  return dedupeServicesById(normalizeSettings({ services }).services);
+}
+
+function mergeServiceLists(currentServices, importedServices, mode) {
+  const currentById = new Map(currentServices.map((service) => [service.id, service]));
+  const withKeys = importedServices.map((service) => ({
+    ...service,
+    apiKey: service.apiKey || currentById.get(service.id)?.apiKey || ''
+  }));
+
+  if (mode === 'replace') {
+    return withKeys;
+  }
+
+  const importedById = new Map(withKeys.map((service) => [service.id, service]));
+  return [
+    ...currentServices.map((service) => importedById.get(service.id) || service),
+    ...withKeys.filter((service) => !currentById.has(service.id))
+  ];
+}
+
+function mergeGlossary(currentGlossary, importedGlossary, mode) {
+  if (mode === 'replace') {
+    return importedGlossary;
+  }
+
+  const imported = normalizeGlossary(importedGlossary);
+  const importedKeys = new Set(imported.map(getGlossaryScopeKey));
+  return [...currentGlossary.filter((item) => !importedKeys.has(getGlossaryScopeKey(item))), ...imported];
+}
+
+function applySettingsBundle(currentSettings, bundle, options = {}) {
+  const mode = IMPORT_MODES.has(options.mode) ? options.mode : 'merge';
+  const current = normalizeSettings(currentSettings);
+  const source = bundle.settings;
+  const next = { ...current };
+  const summary = {
+    mode,
+    servicesAdded: 0,
+    servicesUpdated: 0,
+    glossaryEntries: 0
+  };
+
+  if (Array.isArray(source.services)) {
+    const importedServices = normalizeBundleServices(source.services);
+    if (importedServices.length > 0) {
+      const currentIds = new Set(current.services.map((service) => service.id));
+      summary.servicesUpdated = importedServices.filter((service) => currentIds.has(service.id)).length;
+      summary.servicesAdded = importedServices.length - summary.servicesUpdated;
+      next.services = mergeServiceLists(current.services, importedServices, mode);
+
+      if (mode === 'replace') {
+        next.activeServiceId = String(source.activeServiceId || '');
+        next.bubbleVisibleServiceIds = Array.isArray(source.bubbleVisibleServiceIds)
+          ? source.bubbleVisibleServiceIds
+          : [];
+      } else if (Array.isArray(source.bubbleVisibleServiceIds)) {
+        next.bubbleVisibleServiceIds = Array.from(
+          new Set([...current.bubbleVisibleServiceIds, ...source.bubbleVisibleServiceIds])
+        );
+      }
+    }
+  }
+
+  if (Array.isArray(source.glossary)) {
+    next.glossary = mergeGlossary(current.glossary, source.glossary, mode);
+    summary.glossaryEntries = source.glossary.length;
+  }
+
+  if (isPlainObject(source.routing)) {
+    next.routing = mode === 'replace' ? source.routing : { ...current.routing, ...source.routing };
+  }
+
+  if (isPlainObject(source.automation)) {
+    next.automation = mode === 'replace' ? source.automation : { ...current.automation, ...source.automation };
+  }
+
+  if (isPlainObject(source.shortcuts)) {
+    const baseShortcuts = mode === 'replace' ? pickShortcuts(DEFAULT_SETTINGS.env) : {};
+    next.env = {
+      ...current.env,
+      ...baseShortcuts,
+      ...pickShortcuts(source.shortcuts)
+    };
+  }
+
+  return {
+    settings: normalizeSettings(next),
+    summary
+  };
+}
+
+module.exports = {
+  SETTINGS_BUNDLE_EXTENSION,
+  SETTINGS_BUNDLE_FORMAT,
+  SETTINGS_BUNDLE_VERSION,
+  applySettingsBundle,
+  buildSettingsBundle,
+  parseSettingsBundle
+};
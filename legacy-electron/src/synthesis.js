@@ -0,0 +1,48 @@
+const SYNTHESIS_CANDIDATE_LIMIT = 6;
+
+function normalizeSynthesisCandidates(rawCandidates) {
+  if (!Array.isArray(rawCandidates)) {
+    return [];
+  }
+  return rawCandidates
+    .map((item) => ({
+      serviceName: String(item?.serviceName || '').trim(),
+      translation: String(item?.translation || '').trim()
+    }))
+    .filter((item) => item.translation)
+    .slice(0, SYNTHESIS_CANDIDATE_LIMIT);
+}
+
+function buildSynthesisInput(sourceText, candidates) {
+  const blocks = normalizeSynthesisCandidates(candidates).map(
+    (candidate, index) =>
+      `<candidate id="${index + 1}"${candidate.serviceName ? ` service="${candidate.serviceName.replace(/"/g, "'")}"` : ''}>\n${
+        candidate.translation
+      }\n</candidate>`
+  );
+  return `<source>\n${String(sourceText || '').trim()}\n</source>\n\n${blocks.join('\n\n')}`;
+}
+
+function extractTaggedBlock(text, tagName) {
+  const match = String(text || '').match(new RegExp(`<${tagName}>([\\s\\S]*?)(?:</${tagName}>|$)`, 'i'));
+  return match ? match[1].trim() : '';
+}
+
+function parseSynthesisResult(text) {
+  const raw = String(text || '').trim();
+  const translation = extractTaggedBlock(raw, 'translation');
+  const rationale = extractTaggedBlock(raw, 'rationale');
+  if (translation) {
+    return { translation, rationale };
+  }
+  return {
+    translation: raw.replace(/<rationale>[\s\S]*$/i, '').trim(),
+    rationale
+  };
+}
+
+module.exports = {
+  buildSynthesisInput,
+  normalizeSynthesisCandidates,
+  parseSynthesisResult
+};
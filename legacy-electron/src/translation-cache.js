@@ -0,0 +1,229 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { DEFAULT_SETTINGS, getCachePath, normalizeCache } = require('./config');
+
+const MEMORY_CACHE_LIMIT = 200;
+const CACHE_FLUSH_DELAY_MS = 1500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let cacheOptions = normalizeCache(DEFAULT_SETTINGS.cache);
+let cacheEntries = null;
+let cacheStats = { hits: 0, misses: 0 };
+let cacheFlushTimer = null;
+let cacheDirty = false;
+let cacheUsageDirty = false;
+
+function hashCacheKey(cacheKey) {
+  return crypto.createHash('sha256').update(String(cacheKey)).digest('hex');
+}
+
+function currentEntryLimit() {
+  return cacheOptions.enabled ? cacheOptions.maxEntries : MEMORY_CACHE_LIMIT;
+}
+
+function isEntryExpired(entry, now) {
+  if (!cacheOptions.enabled) {
+    return false;
+  }
+  return now - entry.createdAt > cacheOptions.maxAgeDays * DAY_MS;
+}
+
+function trimCacheEntries() {
+  const now = Date.now();
+  for (const [hash, entry] of cacheEntries) {
+    if (isEntryExpired(entry, now)) {
+      cacheEntries.delete(hash);
+    }
+  }
+
+  const limit = currentEntryLimit();
+  while (cacheEntries.size > limit) {
+    const oldestHash = cacheEntries.keys().next().value;
+    cacheEntries.delete(oldestHash);
+  }
+}
+
+function loadCacheEntries() {
+  if (cacheEntries) {
+    return cacheEntries;
+  }
+
+  cacheEntries = new Map();
+  if (!cacheOptions.enabled) {
+    return cacheEntries;
+  }
+
+  try {
+    const raw = fs.readFileSync(getCachePath(), 'utf-8');
+    const parsed = JSON.parse(raw);
+    const rawEntries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+    const sortedEntries = rawEntries
+      .filter((item) => item && typeof item.hash === 'string' && typeof item.text === 'string')
+      .map((item) => ({
+        hash: item.hash,
+        text: item.text,
+        createdAt: Number(item.createdAt) || 0,
+        lastUsedAt: Number(item.lastUsedAt) || Number(item.createdAt) || 0
+      }))
+      .sort((left, right) => left.lastUsedAt - right.lastUsedAt);
+
+    for (const item of sortedEntries) {
+      cacheEntries.set(item.hash, {
+        text: item.text,
+        createdAt: item.createdAt,
+        lastUsedAt: item.lastUsedAt
+      });
+    }
+
+    cacheStats = {
+      hits: Math.max(0, Math.floor(Number(parsed?.stats?.hits) || 0)),
+      misses: Math.max(0, Math.floor(Number(parsed?.stats?.misses) || 0))
+    };
+  } catch {
+    // Ignore missing or damaged cache file, it will be rebuilt on next write.
+  }
+
+  trimCacheEntries();
+  return cacheEntries;
+}
+
+function flushTranslationCache() {
+  if (cacheFlushTimer) {
+    clearTimeout(cacheFlushTimer);
+    cacheFlushTimer = null;
+  }
+  if (!cacheOptions.enabled || (!cacheDirty && !cacheUsageDirty) || !cacheEntries) {
+    return;
+  }
+
+  const cachePath = getCachePath();
+  try {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(
+      cachePath,
+      JSON.stringify({
+        stats: cacheStats,
+        entries: Array.from(cacheEntries, ([hash, entry]) => ({ hash, ...entry }))
+      }),
+      'utf-8'
+    );
+    cacheDirty = false;
+    cacheUsageDirty = false;
+  } catch {
+    // Ignore cache write failures, cache is best effort.
+  }
+}
+
+function scheduleCacheFlush() {
+  if (!cacheOptions.enabled) {
+    return;
+  }
+
+  cacheDirty = true;
+  if (cacheFlushTimer) {
+    return;
+  }
+
+  cacheFlushTimer = setTimeout(() => {
+    cacheFlushTimer = null;
+    flushTranslationCache();
+  }, CACHE_FLUSH_DELAY_MS);
+  cacheFlushTimer.unref?.();
+}
+
+function configureTranslationCache(rawOptions) {
+  const nextOptions = normalizeCache(rawOptions);
+  const persistenceChanged = nextOptions.enabled !== cacheOptions.enabled;
+  if (persistenceChanged) {
+    flushTranslationCache();
+    cacheEntries = null;
+    cacheStats = { hits: 0, misses: 0 };
+  }
+
+  cacheOptions = nextOptions;
+  if (cacheEntries) {
+    const sizeBefore = cacheEntries.size;
+    trimCacheEntries();
+    if (cacheEntries.size !== sizeBefore) {
+      scheduleCacheFlush();
+    }
+  }
+}
+
+function readCachedTranslation(cacheKey) {
+  const entries = loadCacheEntries();
+  const hash = hashCacheKey(cacheKey);
+  const entry = entries.get(hash);
+  const now = Date.now();
+
+  if (!entry || isEntryExpired(entry, now)) {
+    cacheStats.misses += 1;
+    cacheUsageDirty = true;
+    if (entry) {
+      entries.delete(hash);
+      scheduleCacheFlush();
+    }
+    return '';
+  }
+
+  entries.delete(hash);
+  entry.lastUsedAt = now;
+  entries.set(hash, entry);
+  cacheStats.hits += 1;
+  cacheUsageDirty = true;
+  return entry.text;
+}
+
+function writeCachedTranslation(cacheKey, translatedText) {
+  const text = String(translatedText || '').trim();
+  if (!text) {
+    return;
+  }
+
+  const entries = loadCacheEntries();
+  const hash = hashCacheKey(cacheKey);
+  const now = Date.now();
+  entries.delete(hash);
+  entries.set(hash, {
+    text,
+    createdAt: now,
+    lastUsedAt: now
+  });
+  trimCacheEntries();
+  scheduleCacheFlush();
+}
+
+function clearTranslationCache() {
+  if (cacheFlushTimer) {
+    clearTimeout(cacheFlushTimer);
+    cacheFlushTimer = null;
+  }
+
+  cacheEntries = new Map();
+  cacheStats = { hits: 0, misses: 0 };
+  cacheDirty = false;
+  cacheUsageDirty = false;
+  fs.rmSync(getCachePath(), { force: true });
+}
+
+function getTranslationCacheStats() {
+  const entries = loadCacheEntries();
+  return {
+    enabled: cacheOptions.enabled,
+    maxEntries: currentEntryLimit(),
+    maxAgeDays: cacheOptions.maxAgeDays,
+    entries: entries.size,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses
+  };
+}
+
+module.exports = {
+  configureTranslationCache,
+  readCachedTranslation,
+  writeCachedTranslation,
+  flushTranslationCache,
+  clearTranslationCache,
+  getTranslationCacheStats
+};
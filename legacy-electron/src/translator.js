@@ -1,11 +1,57 @@
-const { getRuntimeConfig } = require('./config');
+const { getRuntimeConfig, normalizeServiceProtocol, normalizeServiceRetry } = require('./config');
+const { buildGlossarySignature, normalizeGlossary, selectGlossaryEntries } = require('./glossary');
+const {
+  DEFAULT_PROMPT_PRESET,
+  DEFAULT_TRANSLATION_MODE,
+  DICTIONARY_MODE,
+  SYNTHESIS_MODE,
+  getPromptPreset,
+  getTranslationMode,
+  normalizePromptPresetId,
+  renderPromptTemplate,
+  resolvePromptTemplate
+} = require('./prompt-templates');
+const { readCachedTranslation, writeCachedTranslation } = require('./translation-cache');
+const { normalizeDictionaryQuery, parseDictionaryEntry } = require('./dictionary');
+const {
+  buildSynthesisInput,
+  normalizeSynthesisCandidates,
+  parseSynthesisResult
+} = require('./synthesis');
+
+const AUTH_STATUS_CODES = new Set([401, 403]);
+const RATE_LIMIT_STATUS_CODES = new Set([429, 529]);
+const RETRYABLE_STATUS_CODES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+const RETRY_AFTER_LIMIT_MS = 60000;
+
+function buildEndpoint(config) {
+  const baseUrl = config.baseUrl.replace(/\/$/, '');
+  if (config.protocol === 'openai') {
+    if (/\/chat\/completions$/.test(baseUrl)) {
+      return baseUrl;
+    }
+    return /\/v\d+$/.test(baseUrl) ? `${baseUrl}/chat/completions` : `${baseUrl}/v1/chat/completions`;
+  }
+  return `${baseUrl}/v1/messages`;
+}
 
-const TRANSLATION_CACHE_LIMIT = 200;
-const GLOSSARY_LIMIT = 120;
-const translationCache = new Map();
+function buildRequestHeaders(config) {
+  if (config.protocol === 'openai') {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+    return headers;
+  }
 
-function buildEndpoint(baseUrl) {
-  return `${baseUrl.replace(/\/$/, '')}/v1/messages`;
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': config.apiKey,
+    Authorization: `Bearer ${config.apiKey}`,
+    'anthropic-version': '2023-06-01'
+  };
 }
 
 function normalizeInputText(text) {
@@ -20,77 +66,83 @@ function normalizeTimeoutMs(value, fallback = 60000) {
   return Math.floor(parsed);
 }
 
-function normalizeGlossary(rawGlossary = []) {
-  if (!Array.isArray(rawGlossary)) {
-    return [];
-  }
-
-  const dedupe = new Set();
-  const result = [];
-  for (const item of rawGlossary.slice(0, GLOSSARY_LIMIT)) {
-    const source = String(item?.source || '').trim();
-    const target = String(item?.target || '').trim();
-    if (!source || !target) {
-      continue;
-    }
-
-    const key = `${source}\u0001${target}`;
-    if (dedupe.has(key)) {
-      continue;
-    }
-    dedupe.add(key);
-    result.push({
-      source,
-      target
-    });
-  }
-  return result;
-}
-
-function buildGlossarySignature(glossary) {
-  if (!Array.isArray(glossary) || glossary.length === 0) {
-    return '';
-  }
-  return glossary.map((item) => `${item.source}=>${item.target}`).join('|');
-}
-
 function resolveRequestConfig(options = {}) {
   const runtimeConfig = options.runtimeConfig || getRuntimeConfig();
   const serviceConfig = options.serviceConfig || {};
 
+  const protocol = normalizeServiceProtocol(serviceConfig.protocol || runtimeConfig.protocol);
   const baseUrl = String(serviceConfig.baseUrl || runtimeConfig.baseUrl || '').trim();
   const apiKey = String(serviceConfig.apiKey || runtimeConfig.apiKey || '').trim();
   const model = String(serviceConfig.model || runtimeConfig.model || '').trim();
   const targetLanguage = String(
     serviceConfig.targetLanguage || runtimeConfig.targetLanguage || '简体中文'
   ).trim();
+  const sourceLanguage = String(options.sourceLanguage || '').trim();
+  const instructions = String(options.instructions || '').trim();
+  const mode = getTranslationMode(options.mode);
+  const translating = mode.id === DEFAULT_TRANSLATION_MODE;
+  const maxTokensValue = Number(options.maxTokens);
+  const maxTokens =
+    Number.isFinite(maxTokensValue) && maxTokensValue > 0 ? Math.floor(maxTokensValue) : mode.maxTokens;
   const timeoutMs = normalizeTimeoutMs(
     serviceConfig.timeoutMs || runtimeConfig.timeoutMs,
     60000
   );
+  const retry = normalizeServiceRetry(serviceConfig.retry);
   const serviceId = String(
     options.serviceId || serviceConfig.id || runtimeConfig.activeServiceId || ''
   ).trim();
   const serviceName = String(
     options.serviceName || serviceConfig.name || runtimeConfig.activeServiceName || ''
   ).trim();
-  const glossary = normalizeGlossary(
-    Array.isArray(options.glossary) ? options.glossary : runtimeConfig.glossary || []
-  );
+  const glossary = translating
+    ? normalizeGlossary(Array.isArray(options.glossary) ? options.glossary : runtimeConfig.glossary || [])
+    : [];
+  const promptTemplate = translating
+    ? resolvePromptTemplate(options.serviceConfig ? serviceConfig : runtimeConfig, targetLanguage)
+    : mode.template;
+  const promptPreset = translating ? normalizePromptPresetId(options.promptPreset) : DEFAULT_PROMPT_PRESET;
 
   return {
+    protocol,
     baseUrl,
     apiKey,
     model,
     targetLanguage,
+    sourceLanguage,
+    instructions,
+    maxTokens,
     timeoutMs,
+    retry,
+    signal: options.signal || null,
     serviceId,
     serviceName,
-    glossary
+    glossary,
+    mode: mode.id,
+    promptTemplate,
+    promptPreset
+  };
+}
+
+function scopeGlossaryToText(config, text) {
+  return {
+    ...config,
+    glossary: selectGlossaryEntries(config.glossary, text, {
+      serviceId: config.serviceId,
+      sourceLanguage: config.sourceLanguage,
+      targetLanguage: config.targetLanguage
+    })
   };
 }
 
 function ensureConfig(config) {
+  if (config.protocol === 'openai') {
+    if (!config.baseUrl || !config.model) {
+      throw new Error('配置不完整：OpenAI 兼容服务需要设置 Base URL 与模型名');
+    }
+    return;
+  }
+
   if (!config.baseUrl || !config.apiKey || !config.model) {
     throw new Error(
       '配置不完整：请在 settings.json 中设置 ANTHROPIC_BASE_URL / ANTHROPIC_AUTH_TOKEN / ANTHROPIC_MODEL'
@@ -100,43 +152,20 @@ function ensureConfig(config) {
 
 function buildCacheKey(config, text) {
   return [
+    config.protocol,
     config.baseUrl,
     config.model,
+    config.sourceLanguage,
     config.targetLanguage,
+    config.instructions,
+    config.mode,
+    config.promptPreset,
+    config.promptTemplate,
     buildGlossarySignature(config.glossary),
     text
   ].join('\u0001');
 }
 
-function readCachedTranslation(cacheKey) {
-  if (!translationCache.has(cacheKey)) {
-    return '';
-  }
-
-  const value = translationCache.get(cacheKey);
-  translationCache.delete(cacheKey);
-  translationCache.set(cacheKey, value);
-  return value;
-}
-
-function writeCachedTranslation(cacheKey, translatedText) {
-  const text = String(translatedText || '').trim();
-  if (!text) {
-    return;
-  }
-
-  translationCache.set(cacheKey, text);
-
-  if (translationCache.size <= TRANSLATION_CACHE_LIMIT) {
-    return;
-  }
-
-  const oldestKey = translationCache.keys().next().value;
-  if (oldestKey) {
-    translationCache.delete(oldestKey);
-  }
-}
-
 function estimateMaxTokens(text) {
   const charCount = Array.from(text).length;
   if (charCount <= 72) {
@@ -147,25 +176,48 @@ function estimateMaxTokens(text) {
 }
 
 function buildSystemPrompt(config) {
-  const basePrompt = `翻译为${config.targetLanguage}。只输出译文，不要解释；保留原有换行、列表、代码标记、URL、数字与大小写。`;
-  if (!Array.isArray(config.glossary) || config.glossary.length === 0) {
-    return basePrompt;
-  }
-
-  const glossaryLines = config.glossary.map((item) => `${item.source} => ${item.target}`).join('\n');
-  return `${basePrompt}
-
-术语表（命中时优先使用右侧译法）：
-${glossaryLines}
-`;
+  const direction = config.sourceLanguage
+    ? `将${config.sourceLanguage}原文翻译为${config.targetLanguage}`
+    : `翻译为${config.targetLanguage}`;
+  const glossaryLines = Array.isArray(config.glossary)
+    ? config.glossary.map((item) => `${item.source} => ${item.target}`).join('\n')
+    : '';
+
+  return renderPromptTemplate(config.promptTemplate, {
+    direction,
+    sourceLanguage: config.sourceLanguage || '原文语言',
+    targetLanguage: config.targetLanguage,
+    glossary: glossaryLines ? `术语表（原文包含以下术语，请使用右侧译法）：\n${glossaryLines}` : '',
+    style: getPromptPreset(config.promptPreset).style,
+    instructions: config.instructions
+  });
 }
 
 function buildRequestBody(config, text, stream) {
   const normalizedText = normalizeInputText(text);
 
+  if (config.protocol === 'openai') {
+    return {
+      model: config.model,
+      max_tokens: config.maxTokens || estimateMaxTokens(normalizedText),
+      temperature: 0,
+      stream: Boolean(stream),
+      messages: [
+        {
+          role: 'system',
+          content: buildSystemPrompt(config)
+        },
+        {
+          role: 'user',
+          content: normalizedText
+        }
+      ]
+    };
+  }
+
   return {
     model: config.model,
-    max_tokens: estimateMaxTokens(normalizedText),
+    max_tokens: config.maxTokens || estimateMaxTokens(normalizedText),
     temperature: 0,
     stream: Boolean(stream),
     system: buildSystemPrompt(config),
@@ -178,7 +230,15 @@ function buildRequestBody(config, text, stream) {
   };
 }
 
-function extractTextFromMessageResponse(data) {
+function extractTextFromMessageResponse(config, data) {
+  if (config.protocol === 'openai') {
+    return data?.choices
+      ?.map((choice) => choice?.message?.content)
+      ?.filter((content) => typeof content === 'string')
+      ?.join('\n')
+      ?.trim();
+  }
+
   return data?.content
     ?.filter((part) => part.type === 'text')
     ?.map((part) => part.text)
@@ -236,6 +296,23 @@ function toErrorMessage(payload) {
   return payload?.error?.message || payload?.message || payload?.error || '流式翻译请求失败';
 }
 
+function classifyStreamError(payload) {
+  const type = String(payload?.error?.type || '');
+  const status = Number(payload?.error?.status || payload?.error?.code || payload?.status) || 0;
+  const isRateLimited =
+    RATE_LIMIT_STATUS_CODES.has(status) ||
+    ['rate_limit_error', 'rate_limit_exceeded', 'overloaded_error'].includes(type);
+  return {
+    ...(status ? { statusCode: status } : {}),
+    isAuthError: AUTH_STATUS_CODES.has(status) || type === 'authentication_error',
+    isRateLimited,
+    retryable:
+      isRateLimited ||
+      RETRYABLE_STATUS_CODES.has(status) ||
+      ['api_error', 'server_error'].includes(type)
+  };
+}
+
 function buildServiceError(config, message, extra = {}) {
   const error = new Error(message);
   error.serviceId = config.serviceId;
@@ -244,15 +321,48 @@ function buildServiceError(config, message, extra = {}) {
   return error;
 }
 
+function buildCanceledError(config) {
+  return buildServiceError(config, '翻译已取消', {
+    code: 'CANCELED',
+    isCanceled: true
+  });
+}
+
+function linkAbortSignal(signal, controller) {
+  if (!signal) {
+    return () => {};
+  }
+  if (signal.aborted) {
+    controller.abort();
+    return () => {};
+  }
+
+  const onAbort = () => {
+    controller.abort();
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => {
+    signal.removeEventListener('abort', onAbort);
+  };
+}
+
 function rethrowWithServiceMeta(config, error) {
+  if (config.signal?.aborted) {
+    throw buildCanceledError(config);
+  }
+
   if (error?.name === 'AbortError') {
     throw buildServiceError(config, `请求超时（${config.timeoutMs}ms）`, {
       code: 'TIMEOUT',
-      isTimeout: true
+      isTimeout: true,
+      retryable: true
     });
   }
 
   if (error instanceof Error) {
+    if (error.name === 'TypeError' && /fetch failed/i.test(error.message)) {
+      error.retryable = true;
+    }
     if (!error.serviceId) {
       error.serviceId = config.serviceId;
     }
@@ -265,102 +375,165 @@ function rethrowWithServiceMeta(config, error) {
   throw buildServiceError(config, String(error || '请求失败'));
 }
 
-async function translateText(text, options = {}) {
-  const config = resolveRequestConfig(options);
-  ensureConfig(config);
-  const normalizedText = normalizeInputText(text);
-  if (!normalizedText) {
-    return '';
+function parseRetryAfterMs(value) {
+  const raw = String(value || '').trim();
+  if (!raw) {
+    return 0;
   }
 
-  const cacheKey = buildCacheKey(config, normalizedText);
-  const cached = readCachedTranslation(cacheKey);
-  if (cached) {
-    return cached;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.round(seconds * 1000));
   }
 
+  const retryAt = Date.parse(raw);
+  return Number.isFinite(retryAt) ? Math.max(0, retryAt - Date.now()) : 0;
+}
+
+async function buildResponseError(config, response, label) {
+  const detail = await response.text();
+  const status = response.status;
+  return buildServiceError(config, `${label}（${status}）：${detail}`, {
+    statusCode: status,
+    isAuthError: AUTH_STATUS_CODES.has(status),
+    isRateLimited: RATE_LIMIT_STATUS_CODES.has(status),
+    retryable: RETRYABLE_STATUS_CODES.has(status),
+    retryAfterMs: parseRetryAfterMs(response.headers.get('retry-after'))
+  });
+}
+
+function computeRetryDelayMs(retry, attempt, error) {
+  const backoff = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1));
+  const jittered = Math.round(backoff * (0.8 + Math.random() * 0.4));
+  return Math.max(jittered, Number(error?.retryAfterMs) || 0);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+async function runWithRetry(config, requestOnce, onRetry) {
+  const maxAttempts = config.retry.maxAttempts;
+  for (let attempt = 1; ; attempt += 1) {
+    if (config.signal?.aborted) {
+      throw buildCanceledError(config);
+    }
+
+    try {
+      return await requestOnce();
+    } catch (error) {
+      if (error && typeof error === 'object') {
+        error.attempts = attempt;
+      }
+      const canRetry =
+        attempt < maxAttempts &&
+        error?.retryable === true &&
+        !(Number(error.retryAfterMs) > RETRY_AFTER_LIMIT_MS);
+      if (!canRetry) {
+        throw error;
+      }
+
+      const delayMs = computeRetryDelayMs(config.retry, attempt, error);
+      onRetry?.({
+        attempt: attempt + 1,
+        maxAttempts,
+        delayMs,
+        error
+      });
+      await sleep(delayMs, config.signal);
+    }
+  }
+}
+
+async function requestTranslation(config, normalizedText) {
   const controller = new AbortController();
   const timeout = setTimeout(() => {
     controller.abort();
   }, config.timeoutMs);
+  const unlinkSignal = linkAbortSignal(config.signal, controller);
 
   try {
-    const response = await fetch(buildEndpoint(config.baseUrl), {
+    const response = await fetch(buildEndpoint(config), {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.apiKey,
-        Authorization: `Bearer ${config.apiKey}`,
-        'anthropic-version': '2023-06-01'
-      },
+      headers: buildRequestHeaders(config),
       body: JSON.stringify(buildRequestBody(config, normalizedText, false)),
       signal: controller.signal
     });
 
     if (!response.ok) {
-      const detail = await response.text();
-      throw buildServiceError(config, `翻译请求失败（${response.status}）：${detail}`, {
-        statusCode: response.status
-      });
+      throw await buildResponseError(config, response, '翻译请求失败');
     }
 
     const data = await response.json();
-    const translated = extractTextFromMessageResponse(data);
+    const translated = extractTextFromMessageResponse(config, data);
 
     if (!translated) {
       throw buildServiceError(config, '接口返回为空，未获取到译文');
     }
 
-    const finalText = translated.trim();
-    writeCachedTranslation(cacheKey, finalText);
-    return finalText;
+    return translated.trim();
   } catch (error) {
     rethrowWithServiceMeta(config, error);
   } finally {
     clearTimeout(timeout);
+    unlinkSignal();
   }
 }
 
-async function streamTranslateText(text, handlers = {}, options = {}) {
-  const config = resolveRequestConfig(options);
-  ensureConfig(config);
+async function translateText(text, options = {}) {
+  const resolvedConfig = resolveRequestConfig(options);
+  ensureConfig(resolvedConfig);
   const normalizedText = normalizeInputText(text);
   if (!normalizedText) {
     return '';
   }
+  const config = scopeGlossaryToText(resolvedConfig, normalizedText);
 
   const cacheKey = buildCacheKey(config, normalizedText);
+  const isCacheable = (value) => typeof options.cacheable !== 'function' || options.cacheable(value);
   const cached = readCachedTranslation(cacheKey);
-  if (cached) {
-    handlers.onDelta?.(cached, cached);
+  if (cached && isCacheable(cached)) {
     return cached;
   }
 
+  const finalText = await runWithRetry(
+    config,
+    () => requestTranslation(config, normalizedText),
+    options.onRetry
+  );
+  if (isCacheable(finalText)) {
+    writeCachedTranslation(cacheKey, finalText);
+  }
+  return finalText;
+}
+
+async function requestStreamTranslation(config, normalizedText, handlers) {
   const controller = new AbortController();
   const timeout = setTimeout(() => {
     controller.abort();
   }, config.timeoutMs);
+  const unlinkSignal = linkAbortSignal(config.signal, controller);
 
   let fullText = '';
 
   try {
-    const response = await fetch(buildEndpoint(config.baseUrl), {
+    const response = await fetch(buildEndpoint(config), {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.apiKey,
-        Authorization: `Bearer ${config.apiKey}`,
-        'anthropic-version': '2023-06-01'
-      },
+      headers: buildRequestHeaders(config),
       body: JSON.stringify(buildRequestBody(config, normalizedText, true)),
       signal: controller.signal
     });
 
     if (!response.ok) {
-      const detail = await response.text();
-      throw buildServiceError(config, `流式翻译请求失败（${response.status}）：${detail}`, {
-        statusCode: response.status
-      });
+      throw await buildResponseError(config, response, '流式翻译请求失败');
     }
 
     if (!response.body) {
@@ -389,7 +562,25 @@ async function streamTranslateText(text, handlers = {}, options = {}) {
       }
 
       if (event === 'error' || payload?.type === 'error') {
-        throw buildServiceError(config, toErrorMessage(payload));
+        throw buildServiceError(config, toErrorMessage(payload), classifyStreamError(payload));
+      }
+
+      if (config.protocol === 'openai') {
+        if (payload?.error) {
+          throw buildServiceError(config, toErrorMessage(payload), classifyStreamError(payload));
+        }
+
+        const delta = Array.isArray(payload?.choices)
+          ? payload.choices
+              .map((choice) => choice?.delta?.content)
+              .filter((content) => typeof content === 'string')
+              .join('')
+          : '';
+        if (delta) {
+          fullText += delta;
+          handlers.onDelta?.(fullText, delta);
+        }
+        return false;
       }
 
       if (payload?.type === 'content_block_start' && payload?.content_block?.type === 'text') {
@@ -443,17 +634,83 @@ async function streamTranslateText(text, handlers = {}, options = {}) {
       throw buildServiceError(config, '流式接口返回为空，未获取到译文');
     }
 
-    const finalText = fullText.trim();
-    writeCachedTranslation(cacheKey, finalText);
-    return finalText;
+    return fullText.trim();
   } catch (error) {
-    rethrowWithServiceMeta(config, error);
+    try {
+      rethrowWithServiceMeta(config, error);
+    } catch (serviceError) {
+      if (fullText) {
+        serviceError.retryable = false;
+      }
+      throw serviceError;
+    }
   } finally {
     clearTimeout(timeout);
+    unlinkSignal();
+  }
+}
+
+async function streamTranslateText(text, handlers = {}, options = {}) {
+  const resolvedConfig = resolveRequestConfig(options);
+  ensureConfig(resolvedConfig);
+  const normalizedText = normalizeInputText(text);
+  if (!normalizedText) {
+    return '';
+  }
+  const config = scopeGlossaryToText(resolvedConfig, normalizedText);
+
+  const cacheKey = buildCacheKey(config, normalizedText);
+  const cached = readCachedTranslation(cacheKey);
+  if (cached) {
+    handlers.onDelta?.(cached, cached);
+    return cached;
   }
+
+  const finalText = await runWithRetry(
+    config,
+    () => requestStreamTranslation(config, normalizedText, handlers),
+    handlers.onRetry
+  );
+  writeCachedTranslation(cacheKey, finalText);
+  return finalText;
+}
+
+async function lookupDictionaryEntry(word, options = {}) {
+  const query = normalizeDictionaryQuery(word);
+  const raw = await translateText(query, {
+    ...options,
+    mode: DICTIONARY_MODE.id,
+    cacheable: (value) => Boolean(parseDictionaryEntry(value, query))
+  });
+  return {
+    entry: parseDictionaryEntry(raw, query),
+    raw
+  };
+}
+
+async function synthesizeTranslations(sourceText, candidates, options = {}) {
+  const normalizedCandidates = normalizeSynthesisCandidates(candidates);
+  if (normalizedCandidates.length < 2) {
+    throw new Error('至少需要两个候选译文才能综合');
+  }
+
+  const raw = await translateText(buildSynthesisInput(sourceText, normalizedCandidates), {
+    ...options,
+    mode: SYNTHESIS_MODE.id
+  });
+  const result = parseSynthesisResult(raw);
+  if (!result.translation) {
+    throw new Error('综合结果为空');
+  }
+  return {
+    ...result,
+    raw
+  };
 }
 
 module.exports = {
+  lookupDictionaryEntry,
+  synthesizeTranslations,
   translateText,
   streamTranslateText
 };
@@ -0,0 +1,13 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('vocabularyApi', {
+  list: (payload) => ipcRenderer.invoke('vocabulary:list', payload),
+  due: (payload) => ipcRenderer.invoke('vocabulary:due', payload),
+  review: (entryId, quality) => ipcRenderer.invoke('vocabulary:review', { entryId, quality }),
+  remove: (entryId) => ipcRenderer.invoke('vocabulary:remove', entryId),
+  exportAnki: () => ipcRenderer.invoke('vocabulary:export-anki'),
+  writeClipboardText: (text) => ipcRenderer.invoke('vocabulary:clipboard-write-text', text),
+  onUpdated: (handler) => {
+    ipcRenderer.on('vocabulary-updated', () => handler());
+  }
+});
@@ -0,0 +1,308 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getVocabularyPath } = require('./config');
+const { normalizeDictionaryEntry } = require('./dictionary');
+
+const VOCABULARY_LIMIT = 5000;
+const VOCABULARY_TEXT_LIMIT = 2000;
+const REVIEW_DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEW_DEFAULT_EASE = 2.5;
+const REVIEW_MIN_EASE = 1.3;
+const REVIEW_MAX_INTERVAL_DAYS = 3650;
+const ANKI_TAG = 'jikeyi';
+
+let vocabularyEntries = null;
+
+function normalizeText(value) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, VOCABULARY_TEXT_LIMIT);
+}
+
+function normalizeTimestamp(value, fallback) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return Math.floor(parsed);
+  }
+  return fallback;
+}
+
+function normalizeReview(rawReview, createdAt) {
+  const source = rawReview && typeof rawReview === 'object' ? rawReview : {};
+  const repetitions = Number(source.repetitions);
+  const intervalDays = Number(source.intervalDays);
+  const easeFactor = Number(source.easeFactor);
+  return {
+    repetitions: Number.isInteger(repetitions) && repetitions > 0 ? repetitions : 0,
+    intervalDays:
+      Number.isFinite(intervalDays) && intervalDays > 0
+        ? Math.min(Math.round(intervalDays), REVIEW_MAX_INTERVAL_DAYS)
+        : 0,
+    easeFactor:
+      Number.isFinite(easeFactor) && easeFactor >= REVIEW_MIN_EASE
+        ? Math.round(easeFactor * 100) / 100
+        : REVIEW_DEFAULT_EASE,
+    dueAt: normalizeTimestamp(source.dueAt, createdAt),
+    lastReviewedAt: normalizeTimestamp(source.lastReviewedAt, 0)
+  };
+}
+
+function getVocabularyKey(word) {
+  return String(word || '')
+    .trim()
+    .toLowerCase();
+}
+
+function normalizeVocabularyEntry(rawEntry) {
+  if (!rawEntry || typeof rawEntry !== 'object') {
+    return null;
+  }
+
+  const word = normalizeText(rawEntry.word);
+  if (!word) {
+    return null;
+  }
+
+  const now = Date.now();
+  const createdAt = normalizeTimestamp(rawEntry.createdAt, now);
+  const dictionary = normalizeDictionaryEntry(rawEntry, word);
+  return {
+    id: String(rawEntry.id || '').trim() || `voc_${crypto.randomUUID()}`,
+    word,
+    phonetics: dictionary?.phonetics || { uk: '', us: '' },
+    senses: dictionary?.senses || [],
+    examples: dictionary?.examples || [],
+    translation: normalizeText(rawEntry.translation),
+    context: normalizeText(rawEntry.context),
+    source: String(rawEntry.source || '').trim() || 'dictionary',
+    createdAt,
+    updatedAt: normalizeTimestamp(rawEntry.updatedAt, createdAt),
+    review: normalizeReview(rawEntry.review, createdAt)
+  };
+}
+
+function loadVocabularyEntries() {
+  if (vocabularyEntries) {
+    return vocabularyEntries;
+  }
+
+  try {
+    const raw = fs.readFileSync(getVocabularyPath(), 'utf-8');
+    const parsed = JSON.parse(raw);
+    const rawEntries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+    vocabularyEntries = rawEntries
+      .map((item) => normalizeVocabularyEntry(item))
+      .filter(Boolean)
+      .slice(0, VOCABULARY_LIMIT);
+  } catch {
+    vocabularyEntries = [];
+  }
+
+  return vocabularyEntries;
+}
+
+function saveVocabularyEntries() {
+  const vocabularyPath = getVocabularyPath();
+  const vocabularyDir = path.dirname(vocabularyPath);
+  if (!fs.existsSync(vocabularyDir)) {
+    fs.mkdirSync(vocabularyDir, { recursive: true });
+  }
+
+  fs.writeFileSync(
+    vocabularyPath,
+    JSON.stringify({ entries: loadVocabularyEntries() }, null, 2),
+    'utf-8'
+  );
+}
+
+function addVocabularyEntry(rawEntry) {
+  const entry = normalizeVocabularyEntry(rawEntry);
+  if (!entry) {
+    return null;
+  }
+
+  const entries = loadVocabularyEntries();
+  const key = getVocabularyKey(entry.word);
+  const index = entries.findIndex((item) => getVocabularyKey(item.word) === key);
+  if (index >= 0) {
+    const existing = entries[index];
+    entries.splice(index, 1);
+    entries.unshift({
+      ...existing,
+      ...entry,
+      id: existing.id,
+      phonetics: entry.phonetics.uk || entry.phonetics.us ? entry.phonetics : existing.phonetics,
+      senses: entry.senses.length > 0 ? entry.senses : existing.senses,
+      examples: entry.examples.length > 0 ? entry.examples : existing.examples,
+      translation: entry.translation || existing.translation,
+      context: entry.context || existing.context,
+      source: existing.source,
+      createdAt: existing.createdAt,
+      updatedAt: Date.now(),
+      review: existing.review
+    });
+  } else {
+    entries.unshift(entry);
+    if (entries.length > VOCABULARY_LIMIT) {
+      entries.length = VOCABULARY_LIMIT;
+    }
+  }
+
+  saveVocabularyEntries();
+  return entries[0];
+}
+
+function hasVocabularyWord(word) {
+  const key = getVocabularyKey(word);
+  return Boolean(key) && loadVocabularyEntries().some((entry) => getVocabularyKey(entry.word) === key);
+}
+
+function listVocabularyEntries(options = {}) {
+  const query = String(options.query || '').trim().toLowerCase();
+  return loadVocabularyEntries().filter((entry) => {
+    if (!query) {
+      return true;
+    }
+    return (
+      entry.word.toLowerCase().includes(query) ||
+      entry.translation.toLowerCase().includes(query) ||
+      entry.senses.some((sense) => sense.definition.toLowerCase().includes(query))
+    );
+  });
+}
+
+function removeVocabularyEntry(entryId) {
+  const id = String(entryId || '').trim();
+  const entries = loadVocabularyEntries();
+  const index = entries.findIndex((entry) => entry.id === id);
+  if (index < 0) {
+    return false;
+  }
+
+  entries.splice(index, 1);
+  saveVocabularyEntries();
+  return true;
+}
+
+function listDueVocabularyEntries(options = {}) {
+  const now = normalizeTimestamp(options.now, Date.now());
+  const limit = Number(options.limit);
+  const dueEntries = loadVocabularyEntries()
+    .filter((entry) => entry.review.dueAt <= now)
+    .sort((left, right) => left.review.dueAt - right.review.dueAt);
+  return Number.isInteger(limit) && limit > 0 ? dueEntries.slice(0, limit) : dueEntries;
+}
+
+function getVocabularyStats(now = Date.now()) {
+  const entries = loadVocabularyEntries();
+  return {
+    total: entries.length,
+    due: entries.filter((entry) => entry.review.dueAt <= now).length
+  };
+}
+
+function scheduleReview(review, quality, now) {
+  let repetitions = review.repetitions;
+  let intervalDays = review.intervalDays;
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(Math.max(intervalDays, 1) * review.easeFactor);
+    }
+  }
+
+  const penalty = 5 - quality;
+  const easeFactor = Math.max(REVIEW_MIN_EASE, review.easeFactor + (0.1 - penalty * (0.08 + penalty * 0.02)));
+  intervalDays = Math.min(intervalDays, REVIEW_MAX_INTERVAL_DAYS);
+  return {
+    repetitions,
+    intervalDays,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    dueAt: now + intervalDays * REVIEW_DAY_MS,
+    lastReviewedAt: now
+  };
+}
+
+function reviewVocabularyEntry(entryId, quality, now = Date.now()) {
+  const id = String(entryId || '').trim();
+  const grade = Number(quality);
+  if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+    return null;
+  }
+
+  const entry = loadVocabularyEntries().find((item) => item.id === id);
+  if (!entry) {
+    return null;
+  }
+
+  entry.review = scheduleReview(entry.review, grade, now);
+  saveVocabularyEntries();
+  return entry;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCsvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildAnkiFront(entry) {
+  const phonetics = [
+    entry.phonetics.uk ? `英 /${entry.phonetics.uk}/` : '',
+    entry.phonetics.us ? `美 /${entry.phonetics.us}/` : ''
+  ]
+    .filter(Boolean)
+    .join(' ');
+  return phonetics ? `${escapeHtml(entry.word)}<br>${escapeHtml(phonetics)}` : escapeHtml(entry.word);
+}
+
+function buildAnkiBack(entry) {
+  const lines = entry.senses.map((sense) =>
+    escapeHtml(sense.partOfSpeech ? `${sense.partOfSpeech} ${sense.definition}` : sense.definition)
+  );
+  if (entry.translation) {
+    lines.push(escapeHtml(entry.translation).replace(/\n/g, '<br>'));
+  }
+  for (const example of entry.examples) {
+    lines.push(
+      `<i>${escapeHtml(example.source)}</i>${example.translation ? `<br>${escapeHtml(example.translation)}` : ''}`
+    );
+  }
+  return lines.join('<br>');
+}
+
+function buildVocabularyAnkiCsv(entries = loadVocabularyEntries()) {
+  const header = ['#separator:comma', '#html:true', '#tags column:3'];
+  const rows = entries.map((entry) =>
+    [buildAnkiFront(entry), buildAnkiBack(entry), [ANKI_TAG, entry.source].join(' ')]
+      .map((cell) => escapeCsvCell(cell))
+      .join(',')
+  );
+  return `${[...header, ...rows].join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  addVocabularyEntry,
+  buildVocabularyAnkiCsv,
+  getVocabularyStats,
+  hasVocabularyWord,
+  listDueVocabularyEntries,
+  listVocabularyEntries,
+  removeVocabularyEntry,
+  reviewVocabularyEntry
+};
@@ -0,0 +1,398 @@
+const searchInput = document.getElementById('searchInput');
+const exportButton = document.getElementById('exportBtn');
+const reviewTabButton = document.getElementById('reviewTabBtn');
+const listTabButton = document.getElementById('listTabBtn');
+const statusNode = document.getElementById('status');
+const reviewViewNode = document.getElementById('reviewView');
+const listViewNode = document.getElementById('listView');
+const reviewProgressNode = document.getElementById('reviewProgress');
+const reviewWordNode = document.getElementById('reviewWord');
+const reviewAnswerNode = document.getElementById('reviewAnswer');
+const reviewActionsNode = document.getElementById('reviewActions');
+const vocabularyListNode = document.getElementById('vocabularyList');
+const SEARCH_DEBOUNCE_MS = 180;
+
+const REVIEW_GRADES = [
+  { quality: 1, label: '忘记', className: 'grade-again' },
+  { quality: 3, label: '困难', className: 'grade-hard' },
+  { quality: 4, label: '良好', className: 'grade-good' },
+  { quality: 5, label: '简单', className: 'grade-easy' }
+];
+
+const SOURCE_LABELS = {
+  dictionary: '词典',
+  translation: '译文'
+};
+
+let activeView = 'review';
+let vocabularyEntries = [];
+let reviewQueue = [];
+let reviewStats = { total: 0, due: 0 };
+let reviewedCount = 0;
+let answerVisible = false;
+let reviewSubmitting = false;
+let searchTimerHandle = 0;
+let loadSequence = 0;
+
+function setStatus(text, isError = false) {
+  statusNode.textContent = text;
+  statusNode.style.color = isError ? '#fda4af' : '#9fb1c8';
+}
+
+function formatTimestamp(value) {
+  const date = new Date(Number(value) || 0);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(
+    date.getHours()
+  )}:${pad(date.getMinutes())}`;
+}
+
+function formatDueLabel(entry) {
+  const dueAt = Number(entry.review?.dueAt) || 0;
+  if (dueAt <= Date.now()) {
+    return '待复习';
+  }
+  return `下次复习 ${formatTimestamp(dueAt)}`;
+}
+
+function formatPhonetics(phonetics) {
+  return [phonetics?.uk ? `英 /${phonetics.uk}/` : '', phonetics?.us ? `美 /${phonetics.us}/` : '']
+    .filter(Boolean)
+    .join('  ');
+}
+
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = text;
+  if (className) {
+    button.className = className;
+  }
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderEntryDetails(entry, container) {
+  const phonetics = formatPhonetics(entry.phonetics);
+  if (phonetics) {
+    const node = document.createElement('div');
+    node.className = 'vocabulary-phonetics';
+    node.textContent = phonetics;
+    container.appendChild(node);
+  }
+
+  for (const sense of entry.senses || []) {
+    const node = document.createElement('div');
+    node.className = 'vocabulary-sense';
+    if (sense.partOfSpeech) {
+      const pos = document.createElement('span');
+      pos.className = 'vocabulary-sense-pos';
+      pos.textContent = sense.partOfSpeech;
+      node.appendChild(pos);
+    }
+    node.appendChild(document.createTextNode(sense.definition));
+    container.appendChild(node);
+  }
+
+  if (entry.translation) {
+    const node = document.createElement('div');
+    node.className = 'vocabulary-translation';
+    node.textContent = entry.translation;
+    container.appendChild(node);
+  }
+
+  for (const example of entry.examples || []) {
+    const node = document.createElement('div');
+    node.className = 'vocabulary-example';
+    node.textContent = example.source;
+    if (example.translation) {
+      const translation = document.createElement('div');
+      translation.className = 'vocabulary-example-translation';
+      translation.textContent = example.translation;
+      node.appendChild(translation);
+    }
+    container.appendChild(node);
+  }
+
+  if (entry.context && entry.context !== entry.word) {
+    const node = document.createElement('div');
+    node.className = 'vocabulary-context';
+    node.textContent = `语境：${entry.context}`;
+    container.appendChild(node);
+  }
+}
+
+function renderReview() {
+  const entry = reviewQueue[0];
+  reviewAnswerNode.textContent = '';
+  reviewActionsNode.textContent = '';
+
+  if (!entry) {
+    answerVisible = false;
+    reviewAnswerNode.hidden = true;
+    reviewProgressNode.textContent = reviewedCount > 0 ? `本轮已复习 ${reviewedCount} 个` : '';
+    reviewWordNode.textContent =
+      reviewStats.total > 0 ? '当前没有待复习的单词' : '生词本还是空的，查词或翻译后点击“＋ 生词本”添加';
+    return;
+  }
+
+  reviewProgressNode.textContent = `待复习 ${reviewQueue.length} 个${
+    reviewedCount > 0 ? ` ｜ 本轮已复习 ${reviewedCount} 个` : ''
+  }`;
+  reviewWordNode.textContent = entry.word;
+  reviewAnswerNode.hidden = !answerVisible;
+
+  if (!answerVisible) {
+    reviewActionsNode.appendChild(
+      createButton('显示答案（空格）', 'primary', () => {
+        showAnswer();
+      })
+    );
+    return;
+  }
+
+  renderEntryDetails(entry, reviewAnswerNode);
+  REVIEW_GRADES.forEach((grade, index) => {
+    const button = createButton(`${grade.label}（${index + 1}）`, grade.className, () => {
+      submitReview(grade.quality);
+    });
+    button.disabled = reviewSubmitting;
+    reviewActionsNode.appendChild(button);
+  });
+}
+
+function showAnswer() {
+  if (!reviewQueue[0] || answerVisible) {
+    return;
+  }
+  answerVisible = true;
+  renderReview();
+}
+
+async function submitReview(quality) {
+  const entry = reviewQueue[0];
+  if (!entry || !answerVisible || reviewSubmitting) {
+    return;
+  }
+
+  reviewSubmitting = true;
+  renderReview();
+  try {
+    const reviewed = await window.vocabularyApi.review(entry.id, quality);
+    if (!reviewed) {
+      setStatus('复习记录保存失败：单词已被删除', true);
+    } else {
+      reviewedCount += 1;
+      setStatus(`“${reviewed.word}” ${formatDueLabel(reviewed)}`);
+    }
+    reviewQueue.shift();
+    answerVisible = false;
+  } catch (error) {
+    setStatus(`复习记录保存失败：${error?.message || error}`, true);
+  } finally {
+    reviewSubmitting = false;
+    renderReview();
+  }
+}
+
+async function loadReviewQueue() {
+  try {
+    const result = await window.vocabularyApi.due();
+    const entries = Array.isArray(result?.entries) ? result.entries : [];
+    const currentId = reviewQueue[0]?.id;
+    reviewStats = result?.stats || { total: 0, due: 0 };
+    reviewQueue = entries;
+    if (answerVisible && currentId && reviewQueue[0]?.id !== currentId) {
+      answerVisible = false;
+    }
+    renderReview();
+    reviewTabButton.textContent = reviewStats.due > 0 ? `复习（${reviewStats.due}）` : '复习';
+    if (activeView === 'review') {
+      setStatus(`共 ${reviewStats.total} 个单词，${reviewStats.due} 个待复习`);
+    }
+  } catch (error) {
+    setStatus(`读取生词本失败：${error?.message || error}`, true);
+  }
+}
+
+function renderEntry(entry) {
+  const node = document.createElement('article');
+  node.className = 'vocabulary-entry';
+
+  const head = document.createElement('div');
+  head.className = 'vocabulary-entry-head';
+  const title = document.createElement('div');
+  title.className = 'vocabulary-entry-title';
+  const word = document.createElement('span');
+  word.className = 'vocabulary-entry-word';
+  word.textContent = entry.word;
+  const meta = document.createElement('span');
+  meta.className = 'vocabulary-entry-meta';
+  meta.textContent = [SOURCE_LABELS[entry.source] || entry.source, formatDueLabel(entry)]
+    .filter(Boolean)
+    .join(' ｜ ');
+  title.append(word, meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'vocabulary-entry-actions';
+  actions.append(
+    createButton('复制', '', () => {
+      copyText(entry.word);
+    }),
+    createButton('删除', 'warn', () => {
+      removeEntry(entry);
+    })
+  );
+  head.append(title, actions);
+
+  const body = document.createElement('div');
+  body.className = 'vocabulary-body';
+  renderEntryDetails(entry, body);
+
+  node.append(head, body);
+  return node;
+}
+
+function renderVocabularyList() {
+  vocabularyListNode.textContent = '';
+  if (vocabularyEntries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'vocabulary-empty';
+    empty.textContent = searchInput.value.trim() ? '没有匹配的单词' : '生词本还是空的';
+    vocabularyListNode.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  for (const entry of vocabularyEntries) {
+    fragment.appendChild(renderEntry(entry));
+  }
+  vocabularyListNode.appendChild(fragment);
+}
+
+async function loadVocabularyList() {
+  const sequence = ++loadSequence;
+  try {
+    const entries = await window.vocabularyApi.list({ query: searchInput.value });
+    if (sequence !== loadSequence) {
+      return;
+    }
+    vocabularyEntries = Array.isArray(entries) ? entries : [];
+    renderVocabularyList();
+    if (activeView === 'list') {
+      setStatus(`共 ${vocabularyEntries.length} 个单词`);
+    }
+  } catch (error) {
+    setStatus(`读取生词本失败：${error?.message || error}`, true);
+  }
+}
+
+function loadVocabulary() {
+  loadReviewQueue();
+  loadVocabularyList();
+}
+
+async function copyText(text) {
+  try {
+    await window.vocabularyApi.writeClipboardText(text);
+    setStatus('单词已复制');
+  } catch {
+    setStatus('复制失败：无法写入剪贴板', true);
+  }
+}
+
+async function removeEntry(entry) {
+  if (!window.confirm(`确定从生词本删除“${entry.word}”？`)) {
+    return;
+  }
+
+  try {
+    await window.vocabularyApi.remove(entry.id);
+    loadVocabulary();
+  } catch (error) {
+    setStatus(`删除失败：${error?.message || error}`, true);
+  }
+}
+
+function setActiveView(view) {
+  activeView = view;
+  reviewViewNode.hidden = view !== 'review';
+  listViewNode.hidden = view !== 'list';
+  searchInput.hidden = view !== 'list';
+  reviewTabButton.classList.toggle('active', view === 'review');
+  listTabButton.classList.toggle('active', view === 'list');
+  loadVocabulary();
+}
+
+reviewTabButton.addEventListener('click', () => {
+  setActiveView('review');
+});
+
+listTabButton.addEventListener('click', () => {
+  setActiveView('list');
+});
+
+searchInput.addEventListener('input', () => {
+  if (searchTimerHandle) {
+    clearTimeout(searchTimerHandle);
+  }
+  searchTimerHandle = window.setTimeout(() => {
+    searchTimerHandle = 0;
+    loadVocabularyList();
+  }, SEARCH_DEBOUNCE_MS);
+});
+
+exportButton.addEventListener('click', async () => {
+  exportButton.disabled = true;
+  try {
+    const result = await window.vocabularyApi.exportAnki();
+    if (result?.canceled) {
+      return;
+    }
+    if (!result?.ok) {
+      setStatus(`导出失败：${result?.error || '未知错误'}`, true);
+      return;
+    }
+    setStatus(`已导出 ${result.count} 个单词到 ${result.filePath}`);
+  } catch (error) {
+    setStatus(`导出失败：${error?.message || error}`, true);
+  } finally {
+    exportButton.disabled = false;
+  }
+});
+
+document.addEventListener('keydown', (event) => {
+  if (activeView !== 'review' || event.metaKey || event.ctrlKey || event.altKey) {
+    return;
+  }
+
+  if (event.key === ' ' || event.key === 'Enter') {
+    if (!answerVisible && reviewQueue[0]) {
+      event.preventDefault();
+      showAnswer();
+    }
+    return;
+  }
+
+  const grade = REVIEW_GRADES[Number(event.key) - 1];
+  if (grade && answerVisible) {
+    event.preventDefault();
+    submitReview(grade.quality);
+  }
+});
+
+window.vocabularyApi.onUpdated(() => {
+  loadVocabulary();
+});
+
+window.addEventListener('DOMContentLoaded', () => {
+  setActiveView('review');
+});
+
+window.addEventListener('focus', () => {
+  loadVocabulary();
+});